@@ -0,0 +1,84 @@
+import Sprite from '../../../js/Drawable/Sprite';
+import Map from '../../../js/Map/Map';
+import Tile from '../../../js/Map/Tile';
+
+// time-based player standing on a map with a floor at y = 400
+function createPlayer(options) {
+    const frames = [{ offsetX: 0, offsetY: 0, width: 10, height: 10 }],
+        map = new Map({
+            width: 1000,
+            height: 500,
+            viewportW: 200,
+            viewportH: 100,
+            tileWidth: 10,
+            tileHeight: 10,
+            buffer: new ArrayBuffer(100 * 50 * 2)
+        }),
+        player = new Sprite('player', Object.assign({
+            x: 500,
+            y: 390,
+            timeBased: true,
+            animations: {
+                idle: { frames: frames },
+                jumpleft: { frames: frames },
+                jumpright: { frames: frames },
+                fallleft: { frames: frames },
+                fallright: { frames: frames }
+            }
+        }, options));
+
+    for (let col = 0; col < map.numCols; col++) {
+        map.tileBehaviors[40 * map.numCols + col] = Tile.TYPE.WALL;
+    }
+
+    player.setAnimation('idle');
+    player.setMap(map);
+    player.setBehavior('player');
+
+    return player;
+}
+
+// updates the player until time reaches `to`, at the specified rate
+function run(player, updatesPerSecond, from, to) {
+    for (let t = from; t <= to; t += 1000 / updatesPerSecond) {
+        player.update(t);
+    }
+}
+
+test('jumps are symmetric', () => {
+    const left = createPlayer(),
+        right = createPlayer();
+
+    // already jumping: skips the take-off animation
+    left.behavior.jumping = right.behavior.jumping = true;
+    left.behavior.startJump('left');
+    right.behavior.startJump('right');
+
+    run(left, 30, 0, 3000);
+    run(right, 30, 0, 3000);
+
+    expect(left.behavior.currentMovement).toBe('idle');
+    expect(right.behavior.currentMovement).toBe('idle');
+    expect(left.y).toBe(390);
+    expect(right.y).toBe(390);
+    expect(right.x - 500).toBeCloseTo(500 - left.x);
+});
+
+test('falling players stop on the ground whatever the update rate', () => {
+    const slow = createPlayer({ y: 100 }),
+        fast = createPlayer({ y: 100 });
+
+    slow.behavior.currentMovement = fast.behavior.currentMovement = 'falling';
+
+    run(slow, 30, 0, 500);
+    run(fast, 120, 0, 500);
+
+    expect(slow.y).toBeCloseTo(220);
+    expect(fast.y).toBeCloseTo(220);
+
+    run(slow, 30, 500, 2000);
+    run(fast, 120, 500, 2000);
+
+    expect(slow.y).toBeCloseTo(390);
+    expect(fast.y).toBeCloseTo(390);
+});
@@ -0,0 +1,136 @@
+import Route from '../../../js/Drawable/Behavior/Route';
+import Map from '../../../js/Map/Map';
+import FX from '../../../js/FX/FX';
+import { createObject } from '../../fixtures';
+
+FX.addEasing('square', (t) => t * t);
+
+// object moved by a route, starting at 0, 0
+function createPlatform(options, objectOptions) {
+    const platform = createObject(Object.assign({
+        update(t) {
+            this.behavior.onUpdate(t);
+        }
+    }, objectOptions));
+
+    platform.behavior = new Route(platform, options);
+
+    return platform;
+}
+
+// returns the position of the platform at each time
+function getPositions(platform, times) {
+    return times.map((t) => {
+        platform.update(t);
+
+        return [platform.x, platform.y];
+    });
+}
+
+test('objects stop at the end of the route', () => {
+    const onEnd = jest.fn(),
+        platform = createPlatform({
+            points: [{ x: 100, y: 0 }],
+            onEnd: onEnd
+        });
+
+    expect(getPositions(platform, [0, 500, 1000])).toEqual([[0, 0], [50, 0], [100, 0]]);
+    expect(platform.movable).toBe(false);
+    expect(onEnd).toHaveBeenCalledTimes(1);
+
+    // making it movable again doesn't restart the route
+    platform.movable = true;
+    expect(getPositions(platform, [1500])).toEqual([[100, 0]]);
+    expect(onEnd).toHaveBeenCalledTimes(1);
+});
+
+test('reverse routes go back and forth', () => {
+    const platform = createPlatform({
+        points: [{ x: 100, y: 0 }],
+        reverse: true
+    });
+
+    expect(getPositions(platform, [0, 1000, 1500, 2000, 2500])).toEqual([[0, 0], [100, 0], [50, 0], [0, 0], [50, 0]]);
+    expect(platform.movable).toBe(true);
+});
+
+test('looping routes go back to the starting point', () => {
+    const platform = createPlatform({
+        points: [{ x: 100, y: 0 }, { x: 100, y: 100 }],
+        loop: true
+    });
+
+    expect(getPositions(platform, [0, 1000, 2000, 2500, 3000, 3500])).toEqual([[0, 0], [100, 0], [100, 100], [50, 50], [0, 0], [50, 0]]);
+});
+
+test('objects wait at each point of the route', () => {
+    const platform = createPlatform({
+        points: [{ x: 100, y: 0 }],
+        pause: 500,
+        reverse: true
+    });
+
+    expect(getPositions(platform, [0, 400, 1000, 1500, 1900, 2500, 3000])).toEqual([[0, 0], [0, 0], [50, 0], [100, 0], [100, 0], [50, 0], [0, 0]]);
+});
+
+test('points can have their own duration and easing, used in both directions', () => {
+    const platform = createPlatform({
+        points: [{ x: 100, y: 0, duration: 2000, easing: 'square' }, { x: 200, y: 0 }],
+        reverse: true
+    });
+
+    // going forward
+    expect(getPositions(platform, [0, 1000, 2000, 2500, 3000])).toEqual([[0, 0], [25, 0], [100, 0], [150, 0], [200, 0]]);
+    // going backwards
+    expect(getPositions(platform, [3500, 4000, 5000])).toEqual([[150, 0], [100, 0], [75, 0]]);
+});
+
+test('platforms following a route carry their riders', () => {
+    const map = new Map({
+            width: 1000,
+            height: 500,
+            viewportW: 200,
+            viewportH: 100,
+            tileWidth: 10,
+            tileHeight: 10,
+            buffer: new ArrayBuffer(100 * 50 * 2)
+        }),
+        platform = createPlatform({
+            points: [{ x: 200, y: 0 }]
+        }, {
+            width: 40
+        }),
+        rider = createObject({
+            x: 110,
+            y: -35,
+            update() {
+                this.y += this.platform ? 0 : 5;
+            }
+        });
+
+    platform.collideGroup = 3;
+    map.platforms.push(platform);
+    map.objects.push(platform, rider);
+
+    // the rider lands on the platform as it passes below
+    for (let t = 0; t <= 500; t += 100) {
+        map.movePlatforms(t);
+        map.moveObjects(t);
+    }
+
+    expect(rider.platform).toBe(platform);
+    expect(platform.x).toBe(100);
+    expect(rider.y).toBe(-10);
+
+    // then it's carried until the end of the route
+    const offset = rider.x - platform.x;
+
+    for (let t = 600; t <= 1200; t += 100) {
+        map.movePlatforms(t);
+        map.moveObjects(t);
+    }
+
+    expect(platform.x).toBe(200);
+    expect(rider.x - platform.x).toBe(offset);
+    expect(rider.platform).toBe(platform);
+});
@@ -0,0 +1,161 @@
+import Game from '../../js/Game/Game';
+import Scene from '../../js/Scene/Scene';
+import Drawable from '../../js/Drawable/Drawable';
+import Sprite from '../../js/Drawable/Sprite';
+import Map from '../../js/Map/Map';
+import Tile from '../../js/Map/Tile';
+import Input from '../../js/Input/InputManager';
+import Shape from '../../js/Util/Shape';
+import { createObject } from '../fixtures';
+
+class TestScene extends Scene {
+    start() {
+        this.box = new Drawable('box', {
+            timeBased: true,
+            vx: 60
+        });
+
+        this.addObject(this.box);
+    }
+}
+
+// map with a floor at y = 400
+function createMap() {
+    const map = new Map({
+        width: 1000,
+        height: 500,
+        viewportW: 200,
+        viewportH: 100,
+        tileWidth: 10,
+        tileHeight: 10,
+        buffer: new ArrayBuffer(100 * 50 * 2)
+    });
+
+    for (let col = 0; col < map.numCols; col++) {
+        map.tileBehaviors[40 * map.numCols + col] = Tile.TYPE.WALL;
+    }
+
+    return map;
+}
+
+function createSprite(options) {
+    const sprite = new Sprite('test', Object.assign({
+        timeBased: true,
+        animations: {
+            idle: {
+                frames: [{ offsetX: 0, offsetY: 0, width: 10, height: 10 }]
+            }
+        }
+    }, options));
+
+    sprite.setAnimation('idle');
+    sprite.setMap(createMap());
+
+    return sprite;
+}
+
+// updates the sprite during one second, at the specified rate
+function runFor1Second(sprite, updatesPerSecond) {
+    for (let i = 0; i <= updatesPerSecond; i++) {
+        sprite.update(i * 1000 / updatesPerSecond);
+    }
+
+    return sprite;
+}
+
+afterEach(() => {
+    Input.keyPressed = {};
+});
+
+test('time-based objects do not catch up with the time they were not movable', () => {
+    const game = new Game({ headless: true }),
+        scene = new TestScene();
+
+    return game.setScene(scene).then(() => {
+        const box = scene.box;
+
+        game.step(1000);
+        box.movable = false;
+        game.step(1000);
+
+        const x = box.x;
+
+        box.movable = true;
+        game.step(1000 / 60);
+        expect(box.x - x).toBeCloseTo(1);
+    });
+});
+
+test('time-based objects do not catch up with the time the game was paused', () => {
+    const game = new Game({ headless: true }),
+        scene = new TestScene();
+
+    return game.setScene(scene).then(() => {
+        const box = scene.box;
+
+        game.step(1000);
+        game.togglePause();
+        game.step(1000);
+
+        const x = box.x;
+
+        game.togglePause();
+        game.step(1000 / 60);
+        expect(box.x - x).toBeCloseTo(1);
+    });
+});
+
+test('GroundMove objects cover the same distance whatever the update rate', () => {
+    const slow = runFor1Second(createSprite({ x: 100, y: 390, vx: 60, behavior: 'ground' }), 30),
+        fast = runFor1Second(createSprite({ x: 100, y: 390, vx: 60, behavior: 'ground' }), 120);
+
+    expect(slow.x).toBeCloseTo(160);
+    expect(fast.x).toBeCloseTo(160);
+});
+
+test('SimpleFall objects cover the same distance whatever the update rate', () => {
+    const slow = runFor1Second(createSprite({ y: 0, gravity: 600, behavior: 'simplefall' }), 30),
+        fast = runFor1Second(createSprite({ y: 0, gravity: 600, behavior: 'simplefall' }), 120);
+
+    expect(slow.y).toBeCloseTo(300);
+    expect(fast.y).toBeCloseTo(300);
+});
+
+test('PlayerMove objects cover the same distance whatever the update rate', () => {
+    Input.keyPressed[Input.KEYS.RIGHT] = true;
+
+    const slow = runFor1Second(createSprite({ x: 100, y: 390, behavior: 'player' }), 30),
+        fast = runFor1Second(createSprite({ x: 100, y: 390, behavior: 'player' }), 120);
+
+    expect(slow.x).toBeCloseTo(220);
+    expect(fast.x).toBeCloseTo(220);
+});
+
+test('hitTest() gives the same results for simple boxes and shapes', () => {
+    const sprite = new Sprite('test', {
+            x: 100,
+            y: 100,
+            canCollide: true,
+            animations: {
+                idle: {
+                    frames: [{ offsetX: 0, offsetY: 0, width: 10, height: 10, hitBox: { x: 2, y: 2, x2: 7, y2: 7 } }]
+                }
+            }
+        }),
+        box = { x: 1, y: 1, x2: 4, y2: 4 },
+        simple = createObject({ hitBox: box }),
+        shaped = createObject({ hitBox: Object.assign({ shape: Shape.fromBox(box) }, box) }),
+        positions = [95, 96, 97, 98, 99, 105, 106, 107, 108];
+
+    sprite.setAnimation('idle');
+
+    const hits = positions.map((x) => {
+        simple.x = shaped.x = x;
+        simple.y = shaped.y = 100;
+
+        return [sprite.hitTest(simple), sprite.hitTest(shaped)];
+    });
+
+    expect(hits.map(hit => hit[0])).toEqual([false, false, false, true, true, true, true, false, false]);
+    expect(hits.map(hit => hit[1])).toEqual(hits.map(hit => hit[0]));
+});
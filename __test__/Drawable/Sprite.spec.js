@@ -0,0 +1,79 @@
+import Sprite from '../../js/Drawable/Sprite';
+
+let time = 0;
+
+// sprite with a 4-frame animation, each frame being displayed for 100ms
+function createSprite(animation, onEnd) {
+    const sprite = new Sprite('test', {
+        animations: {
+            run: Object.assign({
+                frameTime: 100,
+                frames: [0, 1, 2, 3].map(i => ({ offsetX: i * 10, offsetY: 0, width: 10, height: 10 }))
+            }, animation)
+        }
+    });
+
+    time = 0;
+    sprite._now = () => time;
+    sprite.setAnimation('run', onEnd);
+
+    return sprite;
+}
+
+// returns the frame displayed at each time
+function getFrames(sprite, times) {
+    return times.map((t) => {
+        time = t;
+        sprite.advanceFrame('run');
+
+        return sprite.currentFrameNum;
+    });
+}
+
+test('frames are advanced using the elapsed time', () => {
+    const sprite = createSprite({ loop: 1 });
+
+    expect(getFrames(sprite, [50, 100, 250, 399, 400])).toEqual([0, 1, 2, 3, 0]);
+});
+
+test('frames can have their own duration', () => {
+    const sprite = createSprite({ loop: 1 });
+
+    sprite.currentAnim.frames[0].duration = 300;
+    sprite.setAnimationSpeed(2);
+
+    expect(getFrames(sprite, [100, 150, 200])).toEqual([0, 1, 2]);
+});
+
+test('animations play in reverse once they reach the end with loop mode 2', () => {
+    const sprite = createSprite({ loop: 2 });
+
+    expect(getFrames(sprite, [300, 400, 500, 700, 800, 900])).toEqual([3, 3, 2, 0, 0, 1]);
+});
+
+test('animations stop on their last frame with loop mode 0', () => {
+    const onEnd = jest.fn(),
+        sprite = createSprite({ loop: 0 }, onEnd);
+
+    expect(getFrames(sprite, [300, 400, 1000])).toEqual([3, 3, 3]);
+    expect(sprite.running).toBe(false);
+
+    return sprite.animEndDef.promise.then(() => {
+        expect(onEnd).toHaveBeenCalledTimes(1);
+    });
+});
+
+test('animations are played backwards before stopping with rewindOnEnd', () => {
+    const onEnd = jest.fn(),
+        sprite = createSprite({ loop: 0, rewindOnEnd: true }, onEnd);
+
+    expect(getFrames(sprite, [300, 400, 600, 700])).toEqual([3, 3, 1, 0]);
+    expect(sprite.running).toBe(true);
+
+    expect(getFrames(sprite, [800, 1000])).toEqual([0, 0]);
+    expect(sprite.running).toBe(false);
+
+    return sprite.animEndDef.promise.then(() => {
+        expect(onEnd).toHaveBeenCalledTimes(1);
+    });
+});
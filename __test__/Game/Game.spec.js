@@ -0,0 +1,452 @@
+import Game from '../../js/Game/Game';
+import Scene from '../../js/Scene/Scene';
+import Drawable from '../../js/Drawable/Drawable';
+import Input from '../../js/Input/InputManager';
+import Loader from '../../js/Scene/default/Loader';
+import ResourceManager from '../../js/Resource/ResourceManager';
+import { createTextBuffer } from '../fixtures';
+
+class TestScene extends Scene {
+    start() {
+        this.box = new Drawable('box', {
+            x: 0,
+            y: 0,
+            vx: 1
+        });
+
+        this.addObject(this.box);
+    }
+}
+
+let game;
+
+beforeEach(() => {
+    game = new Game({
+        headless: true
+    });
+});
+
+test('headless game has no display', () => {
+    expect(game.display).toBe(null);
+    expect(game.target).toBe(null);
+});
+
+test('setScene() starts the scene', () => {
+    const scene = new TestScene();
+
+    return game.setScene(scene).then(() => {
+        expect(game.scene).toBe(scene);
+        expect(game.running).toBe(true);
+    });
+});
+
+test('step() runs fixed-step updates', () => {
+    const scene = new TestScene();
+
+    return game.setScene(scene).then(() => {
+        const x = scene.box.x;
+
+        expect(game.step(1000)).toBe(60);
+        expect(scene.box.x).toBe(x + 60);
+        expect(scene.getTime()).toBeCloseTo(61 * 1000 / 60);
+    });
+});
+
+test('step() does nothing while the game is paused', () => {
+    const scene = new TestScene();
+
+    return game.setScene(scene).then(() => {
+        const x = scene.box.x;
+
+        game.togglePause();
+        expect(game.step(1000)).toBe(0);
+        expect(scene.box.x).toBe(x);
+    });
+});
+
+test('scene timers follow the scene clock', () => {
+    const scene = new TestScene(),
+        cb = jest.fn();
+
+    return game.setScene(scene).then(() => {
+        scene.clock.setTimeout(cb, 500);
+        game.step(400);
+        expect(cb).not.toHaveBeenCalled();
+        game.step(200);
+        expect(cb).toHaveBeenCalledTimes(1);
+    });
+});
+
+// display that records rendered scenes, and whose effects are over once their end() method is called
+function createDisplay() {
+    return {
+        effects: [],
+        animate(fxName, options, scene) {
+            return new Promise(resolve => this.effects.push({ fxName, options, scene, end: resolve }));
+        },
+        clearDisplay() {},
+        clearAllScreens() {},
+        prepareCanvas() {},
+        renderScene: jest.fn()
+    };
+}
+
+// waits until a condition is met, engine promises being settled asynchronously
+function waitFor(condition) {
+    return new Promise((resolve) => {
+        const check = () => condition() ? resolve() : setTimeout(check, 0);
+
+        check();
+    });
+}
+
+// runs a frame of the game loop without scheduling the next one
+function runFrame(time) {
+    const requestAnimationFrame = window.requestAnimationFrame;
+
+    window.requestAnimationFrame = jest.fn();
+
+    try {
+        game._sceneLoop(time);
+    } finally {
+        window.requestAnimationFrame = requestAnimationFrame;
+    }
+}
+
+test('the game loop runs fixed-step updates and renders the remaining time as alpha', () => {
+    const display = createDisplay(),
+        scene = new TestScene(),
+        lastAlpha = () => display.renderScene.mock.calls[display.renderScene.mock.calls.length - 1][1];
+
+    game.display = display;
+    game.setScene(scene);
+
+    return waitFor(() => game.running).then(() => {
+        const x = scene.box.x;
+
+        // first frame: no time has elapsed yet
+        runFrame(1000);
+        expect(scene.box.x).toBe(x);
+
+        // two updates, and 40% of a tick left
+        runFrame(1040);
+        expect(scene.box.x).toBe(x + 2);
+        expect(lastAlpha()).toBeCloseTo(0.4);
+
+        // the game cannot catch up: remaining time is dropped after maxUpdateSteps updates
+        runFrame(2040);
+        expect(scene.box.x).toBe(x + 2 + game.maxUpdateSteps);
+        expect(game.accumulator).toBeLessThan(game.tickDuration);
+
+        game.interpolate = false;
+        runFrame(2050);
+        expect(lastAlpha()).toBe(1);
+    });
+});
+
+test('scenes are updated before their first frame only when they are started', () => {
+    const below = new TestScene(),
+        top = new TestScene();
+
+    return game.setScene(below).then(() => {
+        const x = below.box.x;
+
+        expect(below.getTime()).toBeCloseTo(1000 / 60);
+
+        // resuming the game doesn't run an update
+        game.togglePause();
+        game.togglePause();
+        expect(below.box.x).toBe(x);
+
+        return game.pushScene(top);
+    }).then(() => {
+        const x = below.box.x;
+
+        // neither does going back to the scene below
+        game.popScene();
+        expect(below.box.x).toBe(x);
+        expect(below.getTime()).toBeCloseTo(1000 / 60);
+    });
+});
+
+test('pushed scenes pause the scene below until they are popped', () => {
+    const below = new TestScene(),
+        top = new TestScene(),
+        onSpace = jest.fn();
+
+    game.display = createDisplay();
+    game.setScene(below);
+
+    return waitFor(() => game.running).then(() => {
+        Input.installKeyCallback('SPACE', 'down', onSpace);
+        game.pushScene(top);
+
+        return waitFor(() => game.running);
+    }).then(() => {
+        const x = below.box.x;
+
+        game._updateScene();
+        expect(game.scene).toBe(top);
+        expect(below.box.x).toBe(x);
+        expect(below.clock.paused).toBe(true);
+        // key callbacks of the scene below are not called anymore
+        expect(Input.keyCb[Input.KEYS.SPACE]).toBe(undefined);
+
+        game.popScene();
+        game._updateScene();
+        expect(game.scene).toBe(below);
+        expect(below.box.x).toBeGreaterThan(x);
+        expect(below.clock.paused).toBe(false);
+        expect(Input.keyCb[Input.KEYS.SPACE].down).toEqual([onSpace]);
+
+        Input.clearEvents();
+    });
+});
+
+test('scenes below are rendered unless renderBelow is false', () => {
+    const display = createDisplay(),
+        below = new TestScene(),
+        middle = new TestScene(),
+        top = new TestScene();
+
+    game.display = display;
+    game.setScene(below);
+
+    return waitFor(() => game.running).then(() => {
+        game.pushScene(middle);
+
+        return waitFor(() => game.running);
+    }).then(() => {
+        runFrame(1000);
+        expect(display.renderScene).toHaveBeenLastCalledWith(middle, expect.any(Number), [below]);
+
+        game.pushScene(top, { renderBelow: false });
+
+        return waitFor(() => game.running);
+    }).then(() => {
+        runFrame(2000);
+        expect(display.renderScene).toHaveBeenLastCalledWith(top, expect.any(Number), []);
+
+        game.popScene();
+        runFrame(3000);
+        expect(display.renderScene).toHaveBeenLastCalledWith(middle, expect.any(Number), [below]);
+    });
+});
+
+test('recorded input can be replayed', () => {
+    class InputScene extends TestScene {
+        update() {
+            this.box.vx = Input.isKeyDown(39) ? 1 : 0;
+        }
+    }
+
+    const scene = new InputScene();
+
+    return game.startRecording(scene, { seed: 42 }).then(() => {
+        game.step(100);
+        Input.keyPressed[39] = true;
+        game.step(200);
+        Input.keyPressed[39] = false;
+        game.step(100);
+
+        const x = scene.box.x,
+            json = JSON.stringify(game.stopRecording()),
+            recording = JSON.parse(json);
+
+        expect(recording.scene).toBe(scene.name);
+        expect(recording.seed).toBe(42);
+        expect(scene.random.seed).toBe(42);
+        expect(recording.frames.length).toBe(2);
+
+        return game.playRecording(json, scene).then(() => {
+            game.step(400);
+            expect(scene.box.x).toBe(x);
+        });
+    });
+});
+
+test('replays use the recorded seed', () => {
+    const scene = new TestScene();
+    let values;
+
+    return game.startRecording(scene).then(() => {
+        values = [scene.random.next(), scene.random.next()];
+
+        return game.playRecording(game.stopRecording(), scene);
+    }).then(() => {
+        expect([scene.random.next(), scene.random.next()]).toEqual(values);
+    });
+});
+
+test('scenes updated below a pushed scene do not see pressed keys', () => {
+    class InputScene extends TestScene {
+        update(timestamp) {
+            this.box.vx = Input.isKeyDown(39) ? 1 : 0;
+            super.update(timestamp);
+        }
+    }
+
+    const below = new InputScene(),
+        top = new InputScene();
+
+    return game.setScene(below).then(() => game.pushScene(top, { pauseBelow: false })).then(() => {
+        const belowX = below.box.x,
+            topX = top.box.x;
+
+        Input.keyPressed[39] = true;
+        game.step(100);
+        Input.keyPressed[39] = false;
+
+        expect(below.box.x).toBe(belowX);
+        expect(top.box.x).toBeGreaterThan(topX);
+        expect(Input.focusScene).toBe(null);
+        expect(Input.currentScene).toBe(null);
+    });
+});
+
+test('input disabled by the game stays disabled while scenes are stacked', () => {
+    return game.setScene(new TestScene()).then(() => game.pushScene(new TestScene(), { pauseBelow: false })).then(() => {
+        Input.enabled = false;
+        game.step(100);
+        expect(Input.enabled).toBe(false);
+        Input.enabled = true;
+    });
+});
+
+test('transitions play an effect on the current scene, then on the new scene', () => {
+    const display = createDisplay(),
+        first = new TestScene(),
+        second = new TestScene();
+    let transition;
+
+    game.display = display;
+
+    return game.setScene(first).then(() => {
+        transition = game.setScene(second, { transition: 'fade', duration: 200 });
+
+        expect(display.effects.length).toBe(1);
+        expect(display.effects[0].scene).toBe(first);
+        expect(display.effects[0].options).toMatchObject({ duration: 100, startValue: 1, endValue: 0 });
+        expect(game.scene).toBe(first);
+
+        display.effects[0].end();
+
+        return waitFor(() => display.effects.length === 2);
+    }).then(() => {
+        expect(game.scene).toBe(second);
+        expect(display.effects.length).toBe(2);
+        expect(display.effects[1].scene).toBe(second);
+        expect(display.effects[1].options).toMatchObject({ duration: 100, startValue: 0, endValue: 1 });
+        expect(game.transition).not.toBe(null);
+
+        display.effects[1].end();
+
+        return transition;
+    }).then(() => {
+        expect(game.transition).toBe(null);
+    });
+});
+
+test('scenes set during a transition are set once it is over', () => {
+    const display = createDisplay(),
+        first = new TestScene(),
+        second = new TestScene(),
+        third = new TestScene();
+    let transition, next;
+
+    game.display = display;
+
+    return game.setScene(first).then(() => {
+        transition = game.setScene(second, { transition: 'fade' });
+        next = game.setScene(third);
+
+        display.effects[0].end();
+
+        return waitFor(() => display.effects.length === 2);
+    }).then(() => {
+        expect(game.scene).toBe(second);
+
+        display.effects[1].end();
+
+        return transition;
+    }).then(() => next).then(() => {
+        expect(game.scene).toBe(third);
+        expect(display.effects.length).toBe(2);
+    });
+});
+
+// the loader renders its texts into buffers of the display
+function createLoaderDisplay() {
+    return Object.assign(createDisplay(), {
+        width: 320,
+        height: 240,
+        getBuffer: createTextBuffer,
+        clearScreen() {}
+    });
+}
+
+test('the loader is run while the resources of a scene are loaded', () => {
+    const loader = new Loader(),
+        scene = new TestScene({ resources: [{ id: 'stage1', type: 'stage', src: 'stage1.json' }] }),
+        fetch = window.fetch;
+
+    jest.spyOn(loader, 'onProgress');
+    game.loader = loader;
+    game.display = createLoaderDisplay();
+
+    ResourceManager.registerParser('stage', json => json);
+    window.fetch = jest.fn(() => Promise.resolve({ status: 200, json: () => Promise.resolve({}) }));
+
+    const started = game.setScene(scene);
+
+    expect(game.loaderScene).toBe(loader);
+
+    return started.then(() => {
+        window.fetch = fetch;
+
+        expect(loader.onProgress).toHaveBeenCalledWith(100, expect.objectContaining({ resource: 'stage1', loaded: 1, failed: [] }));
+        expect(game.loaderScene).toBe(null);
+        expect(game.scene).toBe(scene);
+    });
+});
+
+test('the loader is stopped when a scene is popped while it is loading', () => {
+    const below = new TestScene(),
+        top = new TestScene({ resources: [{ id: 'stage2', type: 'stage', src: 'stage2.json' }] }),
+        fetch = window.fetch;
+    let loaded;
+
+    game.loader = new Loader();
+    game.display = createLoaderDisplay();
+
+    ResourceManager.registerParser('stage', json => json);
+    window.fetch = jest.fn(() => new Promise(resolve => loaded = resolve));
+
+    return game.setScene(below).then(() => {
+        const pushed = game.pushScene(top),
+            x = below.box.x;
+
+        expect(game.loaderScene).toBe(game.loader);
+
+        game.popScene();
+        expect(game.loaderScene).toBe(null);
+        expect(game._getRunningScene()).toBe(below);
+
+        game.step(100);
+        expect(below.box.x).toBeGreaterThan(x);
+
+        loaded({ status: 200, json: () => Promise.resolve({}) });
+
+        return pushed;
+    }).then(() => {
+        window.fetch = fetch;
+
+        const x = below.box.x;
+
+        expect(game.scene).toBe(below);
+        expect(game.loaderScene).toBe(null);
+
+        game.step(100);
+        expect(below.box.x).toBeGreaterThan(x);
+    });
+});
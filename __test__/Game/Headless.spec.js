@@ -0,0 +1,32 @@
+/**
+ * @jest-environment node
+ */
+import Game from '../../js/Game/Game';
+import Scene from '../../js/Scene/Scene';
+import Drawable from '../../js/Drawable/Drawable';
+
+class TestScene extends Scene {
+    start() {
+        this.box = new Drawable('box', {
+            x: 0,
+            y: 0,
+            vx: 1
+        });
+
+        this.addObject(this.box);
+    }
+}
+
+test('headless games can be run in Node', () => {
+    const game = new Game({ headless: true }),
+        scene = new TestScene();
+
+    expect(typeof window).toBe('undefined');
+
+    return game.setScene(scene).then(() => {
+        const x = scene.box.x;
+
+        expect(game.step(1000)).toBe(60);
+        expect(scene.box.x).toBe(x + 60);
+    });
+});
@@ -0,0 +1,117 @@
+import Camera from '../../js/Map/Camera';
+import Map from '../../js/Map/Map';
+
+function createMap(target) {
+    const map = new Map({
+        width: 1000,
+        height: 500,
+        viewportW: 200,
+        viewportH: 100,
+        tileWidth: 10,
+        tileHeight: 10,
+        buffer: new ArrayBuffer(100 * 50 * 2)
+    });
+
+    map.masterObject = target;
+    map.isDirty = false;
+    map.moveTo = jest.fn();
+
+    return map;
+}
+
+test('follow mode centers the target', () => {
+    const map = createMap({ x: 500, y: 250, width: 20, height: 10 }),
+        camera = new Camera(map, { mode: 'follow' });
+
+    camera.update();
+    expect(map.viewportX).toBe(-410);
+    expect(map.viewportY).toBe(-205);
+    expect(map.isDirty).toBe(true);
+});
+
+test('camera stays inside its bounds', () => {
+    const map = createMap({ x: 990, y: 0 }),
+        camera = new Camera(map, { mode: 'follow' });
+
+    camera.update();
+    expect(map.viewportX).toBe(-800);
+    expect(map.viewportY).toBe(0);
+
+    camera.setBounds({ x: 0, y: 0, width: 600, height: 500 });
+    camera.update();
+    expect(map.viewportX).toBe(-400);
+});
+
+test('lerp smooths camera movement', () => {
+    const map = createMap({ x: 300, y: 50 }),
+        camera = new Camera(map, { mode: 'follow', lerp: 0.5 });
+
+    camera.update();
+    expect(map.viewportX).toBe(-100);
+    camera.update();
+    expect(map.viewportX).toBe(-150);
+});
+
+test('deadzone mode only moves once the target leaves the zone', () => {
+    const target = { x: 100, y: 50 },
+        map = createMap(target),
+        camera = new Camera(map, {
+            mode: 'deadzone',
+            deadZone: { x: 50, y: 25, width: 100, height: 50 }
+        });
+
+    camera.update();
+    expect(map.viewportX).toBe(0);
+
+    target.x = 170;
+    camera.update();
+    expect(map.viewportX).toBe(-20);
+});
+
+test('camera can target a fixed point', () => {
+    const map = createMap(null),
+        camera = new Camera(map, { mode: 'follow' });
+
+    camera.setTarget({ x: 300, y: 50 }, true);
+    expect(map.viewportX).toBe(-200);
+});
+
+test('screen mode scrolls once the target gets close to an edge', () => {
+    const map = createMap({ x: 190, y: 50 }),
+        camera = new Camera(map, { screenLimitX: 20, screenScrollX: 200, screenLimitY: 0 });
+
+    camera.update();
+    expect(map.moveTo).toHaveBeenCalledWith(-200, 0);
+});
+
+test('shake() is resolved once trauma is back to zero', () => {
+    const map = createMap(null),
+        camera = new Camera(map),
+        promise = camera.shake({ intensity: 1, duration: 100 });
+
+    camera.updateEffects(0);
+    camera.updateEffects(50);
+    expect(camera.trauma).toBeCloseTo(0.5);
+    expect(camera.getViewMatrix()).not.toBe(null);
+
+    camera.updateEffects(100);
+    expect(camera.trauma).toBe(0);
+    expect(camera.getViewMatrix()).toBe(null);
+
+    return promise;
+});
+
+test('zoom() scales the view around a point', () => {
+    const map = createMap(null),
+        camera = new Camera(map),
+        promise = camera.zoom({ scale: 2, x: 50, y: 20, duration: 100 });
+
+    camera.updateEffects(0);
+    camera.updateEffects(50);
+    expect(camera.scale).toBeCloseTo(1.5);
+
+    camera.updateEffects(100);
+    expect(camera.getViewMatrix()).toEqual([2, 0, 0, 2, -50, -20]);
+
+    return promise;
+});
@@ -0,0 +1,39 @@
+import CollisionMatrix from '../../js/Map/CollisionMatrix';
+
+test('players and friend bullets collide with enemies by default', () => {
+    const matrix = new CollisionMatrix();
+
+    expect(matrix.canCollide('player', 'enemy')).toBe(true);
+    expect(matrix.canCollide('enemy', 'friendBullet')).toBe(true);
+    expect(matrix.canCollide('enemy', 'enemy')).toBe(false);
+});
+
+test('pairs can be added and removed in any order', () => {
+    const matrix = new CollisionMatrix([['pickup', 'player'], ['player', 'enemy'], ['enemy', 'player', false]]);
+
+    expect(matrix.getPairs()).toEqual([['pickup', 'player']]);
+
+    matrix.setCollision('enemy', 'enemy');
+    matrix.setCollision('enemy', 'enemy');
+    matrix.setCollision('player', 'pickup', false);
+    expect(matrix.getPairs()).toEqual([['enemy', 'enemy']]);
+});
+
+test('changes made to the default pairs can be listed', () => {
+    const matrix = new CollisionMatrix();
+
+    matrix.setCollision('enemy', 'player', false);
+    matrix.setCollision('pickup', 'player');
+
+    expect(matrix.getChanges()).toEqual([['pickup', 'player'], ['player', 'enemy', false]]);
+    expect(new CollisionMatrix(CollisionMatrix.DEFAULT_PAIRS.concat(matrix.getChanges())).getPairs()).toEqual(matrix.getPairs());
+});
+
+test('legacy collideGroup numbers are converted into group names', () => {
+    expect(CollisionMatrix.getGroupName(0)).toBe('');
+    expect(CollisionMatrix.getGroupName(1)).toBe('enemy');
+    expect(CollisionMatrix.getGroupName(2)).toBe('friendBullet');
+    expect(CollisionMatrix.getGroupName(3)).toBe('platform');
+    expect(CollisionMatrix.getGroupName('pickup')).toBe('pickup');
+    expect(CollisionMatrix.getGroupName(undefined)).toBe('');
+});
@@ -0,0 +1,450 @@
+import Map from '../../js/Map/Map';
+import Tile from '../../js/Map/Tile';
+import NM from '../../js/Notification/NotificationManager';
+import { createObject, createContext } from '../fixtures';
+
+const events = [];
+
+NM.listen('map:scrollStart map:scrollEnd map:edgeReached', (event) => {
+    events.push(event.type + (event.data.edge ? `:${event.data.edge}` : ''));
+});
+
+function createMap(options = {}) {
+    return new Map(Object.assign({
+        width: 1000,
+        height: 500,
+        viewportW: 200,
+        viewportH: 100,
+        tileWidth: 10,
+        tileHeight: 10,
+        buffer: new ArrayBuffer(100 * 50 * 2)
+    }, options));
+}
+
+beforeEach(() => {
+    events.length = 0;
+});
+
+test('setViewPort() clamps the viewport to the edges of the map', () => {
+    const map = createMap();
+
+    map.setViewPort(50, -1000, 200, 100);
+    expect(map.viewportX).toBe(0);
+    expect(map.viewportY).toBe(-400);
+});
+
+test('overscroll allows the viewport to go past the edges', () => {
+    const map = createMap({ overscroll: 20 });
+
+    map.setViewPort(50, -1000, 200, 100);
+    expect(map.viewportX).toBe(20);
+    expect(map.viewportY).toBe(-420);
+});
+
+test('maps smaller than the viewport are centered', () => {
+    const map = createMap({ width: 100, height: 60 });
+
+    expect(map.viewportX).toBe(50);
+    expect(map.viewportY).toBe(20);
+});
+
+test('moveTo() destination is clamped', () => {
+    const map = createMap();
+
+    map.moveTo(-5000, 100);
+    expect(map.viewportTargetX).toBe(-800);
+    expect(map.viewportTargetY).toBe(0);
+});
+
+test('scrolling sends notifications', () => {
+    const map = createMap();
+
+    map.duration = 100;
+    map.moveTo(-800, 0);
+    map.startMoveTime = 0;
+
+    map.update(50);
+    map.update(100);
+    map.update(150);
+
+    expect(events).toEqual(['map:scrollStart', 'map:edgeReached:right', 'map:scrollEnd']);
+});
+
+test('tile layers are sorted by depth and the main layer holds the map data', () => {
+    const map = createMap({
+        tileLayers: [{
+            name: 'front',
+            depth: 1
+        }, {
+            name: 'sky',
+            depth: -1,
+            data: new Uint8Array(100 * 50).fill(3)
+        }]
+    });
+
+    expect(map.tileLayers.map(layer => layer.name)).toEqual(['sky', 'main', 'front']);
+    expect(map.tileLayers[1].data).toBe(map.map);
+    expect(map.getTileLayer('sky').getTile(10, 2)).toBe(3);
+    expect(map.getTileLayer('front').getTile(10, 2)).toBe(255);
+
+    map.removeTileLayer('main');
+    map.removeTileLayer('front');
+    expect(map.tileLayers.map(layer => layer.name)).toEqual(['sky', 'main']);
+});
+
+test('tile layers scroll using their scroll factor', () => {
+    const map = createMap(),
+        layer = map.addTileLayer({
+            scrollFactorX: 0.5,
+            scrollFactorY: 0
+        });
+
+    map.setViewPort(-301, -100, 200, 100);
+    expect(layer.getViewport()).toEqual({ x: -150, y: 0 });
+});
+
+test('uint16 tile format allows more than 255 tiles', () => {
+    const buffer = new ArrayBuffer(100 * 50 * 3),
+        tiles = new Uint16Array(buffer, 0, 100 * 50),
+        behaviors = new Uint8Array(buffer, 100 * 50 * 2);
+
+    tiles[101] = 1000;
+    behaviors[101] = 2;
+
+    const map = createMap({ buffer, tileFormat: 'uint16' });
+
+    expect(map.emptyTile).toBe(0xffff);
+    expect(map.map[101]).toBe(1000);
+    expect(map.getTileBehaviorAtIndex(1, 1)).toBe(2);
+    expect(map.addTileLayer({ name: 'front' }).getTile(1, 1)).toBe(0xffff);
+});
+
+test('setData() converts extra layers when changing the tile format', () => {
+    const map = createMap({ emptyTile: 0 }),
+        layer = map.addTileLayer({ name: 'front' });
+
+    layer.setTile(2, 0, 7);
+    map.setData(new Uint16Array(100 * 50).fill(300), new Uint8Array(100 * 50), 'uint16');
+
+    expect(map.map[0]).toBe(300);
+    expect(map.tileBehaviors.length).toBe(100 * 50);
+    expect(layer.getTile(1, 0)).toBe(0);
+    expect(layer.getTile(2, 0)).toBe(7);
+});
+
+test('setTileFormat() converts the main layer and its buffer', () => {
+    const map = createMap();
+
+    map.map[0] = 0xff;
+    map.map[1] = 7;
+    map.tileBehaviors[1] = 2;
+    map.setTileFormat('uint16');
+
+    expect(map.map).toBeInstanceOf(Uint16Array);
+    expect(map.map[0]).toBe(0xffff);
+    expect(map.map[1]).toBe(7);
+    expect(map.getTileBehaviorAtIndex(1, 0)).toBe(2);
+    expect(map.map.buffer).toBe(map.buffer);
+    expect(map.buffer.byteLength).toBe(100 * 50 * 3);
+});
+
+test('only cells with animated tiles are redrawn when their frame changes', () => {
+    const map = createMap({
+            tiles: [
+                { offsetX: 0, offsetY: 0, width: 10, height: 10 },
+                { offsetX: 10, offsetY: 0, width: 10, height: 10, frames: [{ offsetX: 10, offsetY: 0 }, { offsetX: 20, offsetY: 0 }], frameDuration: 100 }
+            ]
+        }),
+        ctx = createContext();
+
+    map.srcBitmap = {};
+    map.updateTile(2, 1, 1);
+    map.draw(ctx, false);
+
+    expect(map.animatedCells.length).toBe(1);
+    expect(ctx.drawImage).toHaveBeenCalledTimes(20 * 10);
+
+    ctx.drawImage.mockClear();
+    map.animationTime = 50;
+    map.drawAnimatedTiles(ctx);
+    expect(ctx.drawImage).not.toHaveBeenCalled();
+
+    map.animationTime = 120;
+    map.drawAnimatedTiles(ctx);
+    expect(ctx.clearRect).toHaveBeenCalledWith(20, 10, 10, 10);
+    expect(ctx.drawImage).toHaveBeenCalledTimes(1);
+    expect(ctx.drawImage).toHaveBeenCalledWith(map.srcBitmap, 20, 0, 10, 10, 20, 10, 10, 10);
+});
+
+test('chunks are only rendered again when their tiles change', () => {
+    const map = createMap({
+            chunkSize: 8,
+            tiles: [{ offsetX: 0, offsetY: 0, width: 10, height: 10 }]
+        }),
+        createElement = document.createElement,
+        chunkContexts = [],
+        ctx = createContext();
+
+    document.createElement = () => ({
+        getContext: () => {
+            const chunkCtx = createContext(['clearRect', 'drawImage']);
+
+            chunkContexts.push(chunkCtx);
+
+            return chunkCtx;
+        }
+    });
+
+    map.srcBitmap = {};
+    map.setViewPort(-75, 0, 200, 100);
+    map.draw(ctx, false);
+
+    // 200x100 viewport starting at x=75: 4 columns and 2 rows of 80x80 chunks
+    expect(ctx.drawImage).toHaveBeenCalledTimes(8);
+    expect(ctx.drawImage.mock.calls[0].slice(1)).toEqual([-75, 0]);
+    expect(chunkContexts.length).toBe(8);
+    expect(chunkContexts[0].drawImage).toHaveBeenCalledTimes(64);
+
+    chunkContexts.forEach(chunkCtx => chunkCtx.drawImage.mockClear());
+    map.updateTile(9, 1, 0);
+    map.draw(ctx, false);
+
+    expect(chunkContexts.length).toBe(8);
+    expect(chunkContexts[0].drawImage).not.toHaveBeenCalled();
+    expect(chunkContexts[1].drawImage).toHaveBeenCalledTimes(64);
+
+    document.createElement = createElement;
+});
+
+test('slopes and one-way platforms are only solid below their ground', () => {
+    const map = createMap();
+
+    map.tileBehaviors[5 * map.numCols + 2] = Tile.TYPE.SLOPE_UP;
+    map.tileBehaviors[5 * map.numCols + 5] = Tile.TYPE.PLATFORM;
+
+    expect(map.fallTest(25, 53)).toBe(false);
+    expect(map.fallTest(25, 55)).toBe(true);
+    expect(map.hitObjectTest(20, 40, 23, 52, Tile.TYPE.WALL)).toBe(false);
+    expect(map.hitObjectTest(24, 40, 29, 52, Tile.TYPE.WALL).groundY).toBe(50);
+
+    // platforms are only hit when landing on them
+    expect(map.hitObjectTest(50, 48, 55, 52, Tile.TYPE.WALL)).toBe(false);
+    expect(map.hitObjectTest(50, 48, 55, 52, Tile.TYPE.WALL, 49).behavior).toBe(Tile.TYPE.PLATFORM);
+    expect(map.hitObjectTest(50, 48, 55, 52, Tile.TYPE.WALL, 51)).toBe(false);
+    expect(map.fallTest(52, 50)).toBe(true);
+    expect(map.fallTest(52, 55, 52)).toBe(false);
+});
+
+test('sprites walk along slopes', () => {
+    const map = createMap(),
+        sprite = {
+            x: 22,
+            y: 50,
+            vx: 5,
+            getHitBox: () => ({ x: 0, y: 0, x2: 9, y2: 9 })
+        };
+
+    for (let col = 0; col < 10; col++) {
+        map.tileBehaviors[6 * map.numCols + col] = Tile.TYPE.WALL;
+    }
+    map.tileBehaviors[5 * map.numCols + 3] = Tile.TYPE.SLOPE_UP;
+
+    expect(map.isOnSlope(sprite)).toBe(false);
+    expect(map.setNextX(sprite, Tile.TYPE.WALL)).toBe(false);
+    expect(sprite.x).toBe(27);
+    expect(sprite.y).toBe(48);
+    expect(map.isOnSlope(sprite)).toBe(true);
+
+    // back on the flat ground
+    sprite.vx = -5;
+    map.setNextX(sprite, Tile.TYPE.WALL);
+    expect(sprite.y).toBe(50);
+});
+
+test('moveAndCollide() stops fast objects at the first solid tile', () => {
+    const map = createMap(),
+        sprite = {
+            x: 0,
+            y: 0,
+            getHitBox: () => ({ x: 0, y: 0, x2: 9, y2: 9 })
+        };
+
+    for (let row = 0; row < map.numRows; row++) {
+        map.tileBehaviors[row * map.numCols + 10] = Tile.TYPE.WALL;
+    }
+    for (let col = 0; col < 10; col++) {
+        map.tileBehaviors[20 * map.numCols + col] = Tile.TYPE.WALL;
+    }
+
+    let contacts = map.moveAndCollide(sprite, 500, 0);
+
+    expect(sprite.x).toBe(90);
+    expect(contacts).toEqual({ dx: 90, dy: 0, floor: false, ceiling: false, left: false, right: true });
+
+    contacts = map.moveAndCollide(sprite, -20, 300);
+    expect(sprite.x).toBe(70);
+    expect(sprite.y).toBe(190);
+    expect(contacts.floor).toBe(true);
+    expect(contacts.left).toBe(false);
+
+    map.tileBehaviors[5 * map.numCols + 7] = Tile.TYPE.WALL;
+    contacts = map.moveAndCollide(sprite, 0, -300);
+    expect(sprite.y).toBe(60);
+    expect(contacts.ceiling).toBe(true);
+});
+
+test('objects landing on a moving platform are carried by it', () => {
+    const map = createMap(),
+        platform = createObject({
+            x: 100,
+            y: 100,
+            width: 40,
+            update() {
+                this.x += 5;
+            }
+        }),
+        rider = createObject({
+            x: 110,
+            y: 80,
+            update() {
+                this.y += this.platform ? 0 : 4;
+            }
+        });
+
+    platform.collideGroup = 3;
+    map.platforms.push(platform);
+    map.objects.push(platform, rider);
+
+    // falling: 80 => 84 => 88 => lands at 90 instead of 92
+    for (let i = 0; i < 3; i++) {
+        map.movePlatforms(0);
+        map.moveObjects(0);
+    }
+
+    expect(rider.platform).toBe(platform);
+    expect(rider.y).toBe(90);
+    expect(rider.x).toBe(110);
+
+    map.movePlatforms(0);
+    map.moveObjects(0);
+    expect(rider.x).toBe(115);
+    expect(rider.y).toBe(90);
+    // riders are interpolated along with their platform
+    expect(rider.x - rider.prevX).toBe(platform.x - platform.prevX);
+
+    // jump off
+    rider.y -= 10;
+    map.moveObjects(0);
+    expect(rider.platform).toBe(null);
+});
+
+test('objects of groups found in the collision matrix collide', () => {
+    const map = createMap({
+            collisions: [['enemyBullet', 'player'], ['enemy', 'enemy']]
+        }),
+        collisions = [];
+
+    function onCollision(other, info) {
+        collisions.push(`${this.id}>${other.id}:${info.group}/${info.otherGroup}:${info.overlap.width}x${info.overlap.height}`);
+    }
+
+    const player = createObject({ id: 'player', collideGroup: 0, onCollision }),
+        bullet = createObject({ id: 'bullet', x: 5, y: 8, collideGroup: 'enemyBullet', onCollision }),
+        enemy1 = createObject({ id: 'enemy1', x: 100, collideGroup: 1, onCollision }),
+        enemy2 = createObject({ id: 'enemy2', x: 109, y: 9, collideGroup: 'enemy', onCollision }),
+        shot = createObject({ id: 'shot', x: 205, collideGroup: 'friendBullet', onCollision });
+
+    // children of objects collide too, like with Drawable.hitTest()
+    enemy1.children.push(createObject({ id: 'turret', x: 200, onCollision }));
+
+    map.setMasterObject(player);
+    player.x = player.y = 0;
+
+    map.getCollisionGroup('enemyBullet').push(bullet);
+    map.friendBullets.push(shot);
+    map.enemies.push(enemy1, enemy2);
+
+    map.checkCollisions();
+
+    expect(collisions).toEqual([
+        'shot>turret:friendBullet/enemy:5x10',
+        'turret>shot:enemy/friendBullet:5x10',
+        'bullet>player:enemyBullet/player:5x2',
+        'player>bullet:player/enemyBullet:5x2',
+        'enemy1>enemy2:enemy/enemy:1x1',
+        'enemy2>enemy1:enemy/enemy:1x1'
+    ]);
+});
+
+test('checkMasterToEnemiesCollisions() reports every enemy hitting the master object', () => {
+    const map = createMap(),
+        collisions = [];
+
+    function onCollision(other) {
+        collisions.push(`${this.id}>${other.id}`);
+    }
+
+    const player = createObject({ id: 'player', onCollision }),
+        enemy1 = createObject({ id: 'enemy1', x: 5, collideGroup: 'enemy', onCollision }),
+        enemy2 = createObject({ id: 'enemy2', y: 5, collideGroup: 'enemy', onCollision });
+
+    map.setMasterObject(player);
+    player.x = player.y = 0;
+    map.enemies.push(enemy1, enemy2);
+
+    expect(map.checkMasterToEnemiesCollisions()).toBe(true);
+    expect(collisions).toEqual(['player>enemy1', 'enemy1>player', 'player>enemy2', 'enemy2>player']);
+});
+
+test('checkMasterBulletsToEnemiesCollisions() reports enemies hit by friend bullets', () => {
+    const map = createMap(),
+        collisions = [];
+
+    function onCollision(other) {
+        collisions.push(`${this.id}>${other.id}`);
+    }
+
+    const bullet = createObject({ id: 'bullet', collideGroup: 'friendBullet', onCollision }),
+        enemy1 = createObject({ id: 'enemy1', x: 5, collideGroup: 'enemy', onCollision }),
+        enemy2 = createObject({ id: 'enemy2', y: 5, collideGroup: 'enemy', canCollideFriendBullet: false, onCollision });
+
+    map.friendBullets.push(bullet);
+    map.enemies.push(enemy1, enemy2);
+
+    expect(map.checkMasterBulletsToEnemiesCollisions()).toBe(true);
+    expect(collisions).toEqual(['bullet>enemy1', 'enemy1>bullet']);
+});
+
+test('objects added onto the map are found by position and culled outside of the viewport', () => {
+    const map = createMap({
+            spatialCellSize: 2
+        }),
+        collisions = [];
+
+    function onCollision(other) {
+        collisions.push(`${this.id}>${other.id}`);
+    }
+
+    const enemy1 = createObject({ id: 'enemy1', x: 20, y: 20, collideGroup: 'enemy', onCollision }),
+        enemy2 = createObject({ id: 'enemy2', x: 500, y: 20, collideGroup: 'enemy', onCollision }),
+        bullet = createObject({ id: 'bullet', x: 505, y: 25, collideGroup: 'friendBullet', onCollision });
+
+    [enemy1, enemy2, bullet].forEach(obj => map.addObject(obj));
+
+    expect(map.getObjectsInRect(0, 0, 499, 99)).toEqual([enemy1]);
+    expect(map.getObjectsInRect(0, 0, 999, 99)).toEqual([enemy1, enemy2, bullet]);
+
+    // only objects close to the viewport are drawn
+    expect(map.getVisibleObjects()).toEqual([enemy1]);
+
+    map.checkCollisions();
+    expect(collisions).toEqual(['bullet>enemy2', 'enemy2>bullet']);
+
+    // moving objects are put into their new cells once the map is updated
+    bullet.x = 25;
+    map.updateSpatialHash();
+    expect(map.getObjectsInRect(0, 0, 499, 99)).toEqual([enemy1, bullet]);
+
+    map.removeObject(enemy1);
+    expect(map.getObjectsInRect(0, 0, 499, 99)).toEqual([bullet]);
+});
@@ -0,0 +1,75 @@
+import Map from '../../js/Map/Map';
+import Tile from '../../js/Map/Tile';
+
+function createMap() {
+    const map = new Map({
+        name: 'level',
+        src: 'tiles',
+        width: 40,
+        height: 20,
+        viewportW: 20,
+        viewportH: 20,
+        tileWidth: 10,
+        tileHeight: 10,
+        tileFormat: 'uint16',
+        startX: 5,
+        tiles: [{ offsetX: 0, offsetY: 0, width: 10, height: 10 }, { offsetX: 10, offsetY: 0, width: 10, height: 10 }],
+        buffer: new ArrayBuffer(4 * 2 * 3),
+        windows: {
+            1: { displayed: true, items: [{ type: 'Enemy', spriteOptions: { x: 25, y: 0, data: 'keep' } }] }
+        },
+        triggers: {
+            6: { type: 'message', message: 'hello', triggered: true, conditions: [{ type: 'switch', id: 'door', status: true }] }
+        },
+        collisions: [['enemyBullet', 'player']]
+    });
+
+    map.updateTile(1, 1, 1000, Tile.TYPE.WALL);
+    map.addTileLayer({ name: 'front', depth: 1, opacity: 0.5, aboveSprites: true }).setTile(3, 0, 1);
+    map.mapEvent.setSwitch('door', true);
+    map.collisionMatrix.setCollision('friendBullet', 'enemy', false);
+    map.startY = 10;
+
+    return map;
+}
+
+function checkMap(map) {
+    expect(map.name).toBe('level');
+    expect(map.src).toBe('tiles');
+    expect(map.tileFormat).toBe('uint16');
+    expect(map.tiles[1].offsetX).toBe(10);
+    expect(map.map[5]).toBe(1000);
+    expect(map.getTileBehaviorAtIndex(1, 1)).toBe(Tile.TYPE.WALL);
+    expect(map.startX).toBe(5);
+    expect(map.startY).toBe(10);
+    expect(map.mapEvent.getSwitch('door')).toBe(true);
+    expect(map.windows[1]).toEqual({ displayed: false, items: [{ type: 'Enemy', spriteOptions: { x: 25, y: 0, data: 'keep' } }] });
+    // removed default pairs are not added back
+    expect(map.collisionMatrix.getPairs()).toEqual([['player', 'enemy'], ['enemyBullet', 'player']]);
+    expect(map.triggers[6]).toEqual({ type: 'message', message: 'hello', conditions: [{ type: 'switch', id: 'door', status: true }] });
+
+    const layer = map.getTileLayer('front');
+
+    expect(layer.opacity).toBe(0.5);
+    expect(layer.aboveSprites).toBe(true);
+    expect(layer.getTile(3, 0)).toBe(1);
+    expect(layer.getTile(2, 0)).toBe(0xffff);
+}
+
+test('maps can be serialized to JSON', () => {
+    const json = JSON.stringify(createMap().serialize());
+
+    expect(JSON.parse(json).version).toBe(1);
+    checkMap(Map.deserialize(json));
+});
+
+test('maps can be serialized to binary', () => {
+    const buffer = createMap().serialize('binary');
+
+    expect(String.fromCharCode.apply(null, new Uint8Array(buffer, 0, 4))).toBe('ATHM');
+    checkMap(Map.deserialize(buffer));
+});
+
+test('unsupported versions are rejected', () => {
+    expect(() => Map.deserialize({ version: 0 })).toThrow();
+});
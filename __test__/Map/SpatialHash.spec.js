@@ -0,0 +1,99 @@
+import SpatialHash from '../../js/Map/SpatialHash';
+import Sprite from '../../js/Drawable/Sprite';
+import Shape from '../../js/Util/Shape';
+import { createObject } from '../fixtures';
+
+// sprite whose only frame has the specified size and hitbox
+function createSprite(options, width, height, hitBox) {
+    const sprite = new Sprite('test', Object.assign({
+        animations: {
+            idle: {
+                frames: [{ offsetX: 0, offsetY: 0, width: width, height: height, hitBox: hitBox }]
+            }
+        }
+    }, options));
+
+    sprite.setAnimation('idle');
+
+    return sprite;
+}
+
+test('objects are found using the cells they overlap', () => {
+    const hash = new SpatialHash(50),
+        small = createObject({ x: 10, y: 10 }),
+        large = createObject({ x: 40, y: 40, width: 100, height: 20 }),
+        far = createObject({ x: 500, y: 500 });
+
+    [small, large, far].forEach(obj => hash.update(obj));
+
+    expect(Object.keys(hash.cells).sort()).toEqual(['0,0', '1,0', '1,1', '2,0', '2,1', '0,1', '10,10'].sort());
+    // objects found in several cells are only returned once
+    expect(hash.query(0, 0, 149, 99)).toEqual([small, large]);
+    // objects of the queried cells are only returned if they are inside the rect
+    expect(hash.query(0, 0, 30, 30)).toEqual([small]);
+    expect(hash.query(200, 200, 300, 300)).toEqual([]);
+});
+
+test('objects are moved into their new cells when updated', () => {
+    const hash = new SpatialHash(50, 20),
+        obj = createObject({ x: 10, y: 10 });
+
+    hash.update(obj);
+    expect(hash.query(0, 0, 49, 19)).toEqual([obj]);
+
+    obj.x = 110;
+    obj.y = -30;
+    hash.update(obj);
+    expect(hash.query(0, 0, 49, 19)).toEqual([]);
+    expect(hash.query(100, -40, 149, -21)).toEqual([obj]);
+    expect(Object.keys(hash.cells)).toEqual(['2,-2']);
+
+    hash.remove(obj);
+    expect(hash.query(100, -40, 149, -21)).toEqual([]);
+    expect(hash.getId(obj)).toBe(-1);
+    expect(hash.cells).toEqual({});
+});
+
+test('children are included in the bounds of objects', () => {
+    const hash = new SpatialHash(50),
+        obj = createObject({ x: 10, y: 10 });
+
+    obj.children.push(createObject({ x: 200, y: 10 }));
+
+    expect(hash.getBounds(obj)).toEqual({ x: 10, y: 10, x2: 209, y2: 19 });
+
+    hash.update(obj);
+    expect(hash.query(205, 15, 205, 15)).toEqual([obj]);
+
+    hash.clear();
+    expect(hash.query(0, 0, 500, 500)).toEqual([]);
+});
+
+test('bounds of sprites include their hitbox and their children', () => {
+    const hash = new SpatialHash(50),
+        sprite = createSprite({ x: 10, y: 10 }, 20, 10, { x: -2, y: 2, x2: 21, y2: 7 });
+
+    expect(hash.getBounds(sprite)).toEqual({ x: 8, y: 10, x2: 31, y2: 19 });
+
+    sprite.addChild(createSprite({ x: 200, y: 30 }, 10, 10));
+    expect(hash.getBounds(sprite)).toEqual({ x: 8, y: 10, x2: 209, y2: 39 });
+
+    hash.update(sprite);
+    expect(hash.query(205, 35, 205, 35)).toEqual([sprite]);
+});
+
+test('bounds of scaled and rotated sprites contain their shape', () => {
+    const hash = new SpatialHash(50),
+        sprite = createSprite({ x: 100, y: 100, scale: 2, angle: Math.PI / 6 }, 20, 10, { x: 2, y: 2, x2: 17, y2: 7 }),
+        bounds = hash.getBounds(sprite),
+        shapeBounds = Shape.getBounds(Shape.fromDrawable(sprite));
+
+    expect(Shape.isSimple(sprite)).toBe(false);
+    expect(bounds.x).toBeLessThanOrEqual(shapeBounds.x);
+    expect(bounds.y).toBeLessThanOrEqual(shapeBounds.y);
+    // shape bounds are exclusive
+    expect(bounds.x2 + 1).toBeGreaterThanOrEqual(shapeBounds.x2);
+    expect(bounds.y2 + 1).toBeGreaterThanOrEqual(shapeBounds.y2);
+    // the shape goes out of the unscaled frame
+    expect(bounds.x2).toBeGreaterThan(100 + 19);
+});
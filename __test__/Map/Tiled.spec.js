@@ -0,0 +1,139 @@
+import Map from '../../js/Map/Map';
+import Tile from '../../js/Map/Tile';
+
+// 4x3 map of 16x16 tiles, with a 32x16 viewport
+function createTiledMap() {
+    return {
+        width: 4,
+        height: 3,
+        tilewidth: 16,
+        tileheight: 16,
+        infinite: false,
+        properties: [{ name: 'startX', type: 'int', value: 16 }],
+        tilesets: [{
+            firstgid: 1,
+            name: 'tiles',
+            columns: 2,
+            tilecount: 4,
+            tilewidth: 16,
+            tileheight: 16,
+            margin: 1,
+            spacing: 2,
+            tiles: [{ id: 1, properties: [{ name: 'behavior', type: 'string', value: 'wall' }] }]
+        }, {
+            firstgid: 5,
+            name: 'clouds',
+            columns: 1,
+            tilecount: 1,
+            tilewidth: 16,
+            tileheight: 16
+        }],
+        layers: [{
+            type: 'tilelayer',
+            name: 'sky',
+            parallaxx: 0.5,
+            data: [5, 5, 5, 5, 0, 0, 0, 0, 0, 0, 0, 0]
+        }, {
+            type: 'tilelayer',
+            name: 'ground',
+            properties: [{ name: 'main', type: 'bool', value: true }],
+            data: [0, 0, 0, 0, 1, 0, 0, 1, 2, 2, 2, 2]
+        }, {
+            type: 'group',
+            layers: [{
+                type: 'tilelayer',
+                name: 'front',
+                opacity: 0.5,
+                properties: [{ name: 'aboveSprites', type: 'bool', value: true }],
+                data: [0, 0, 0, 0, 0, 0, 3, 0, 0, 0, 0, 0]
+            }]
+        }, {
+            type: 'objectgroup',
+            objects: [{
+                id: 1,
+                type: 'trigger',
+                x: 16,
+                y: 16,
+                width: 32,
+                height: 16,
+                properties: [
+                    { name: 'event', type: 'string', value: 'message' },
+                    { name: 'message', type: 'string', value: 'hello' },
+                    { name: 'switch:door', type: 'bool', value: true }
+                ]
+            }, {
+                id: 2,
+                name: 'enemy1',
+                type: 'Enemy',
+                x: 40,
+                y: 20,
+                properties: [{ name: 'spriteOptions.vx', type: 'int', value: 2 }]
+            }]
+        }]
+    };
+}
+
+test('tile layers are converted into map layers', () => {
+    const map = Map.fromTiled(createTiledMap(), { viewportW: 32, viewportH: 16 });
+
+    expect(map.width).toBe(64);
+    expect(map.startX).toBe(16);
+    expect(map.src).toBe('tiles');
+    expect(map.tiles[3].offsetX).toBe(19);
+    expect(map.tiles[3].offsetY).toBe(19);
+    expect(Array.from(map.map)).toEqual([255, 255, 255, 255, 0, 255, 255, 0, 1, 1, 1, 1]);
+    expect(map.tileLayers.map(layer => layer.name)).toEqual(['sky', 'main', 'front']);
+
+    const sky = map.getTileLayer('sky'),
+        front = map.getTileLayer('front');
+
+    expect(sky.src).toBe('clouds');
+    expect(sky.scrollFactorX).toBe(0.5);
+    expect(sky.getTile(0, 0)).toBe(0);
+    expect(front.src).toBe(null);
+    expect(front.opacity).toBe(0.5);
+    expect(front.aboveSprites).toBe(true);
+    expect(front.getTile(2, 1)).toBe(2);
+});
+
+test('tile properties are converted into behaviors', () => {
+    const map = Map.fromTiled(createTiledMap());
+
+    expect(map.getTileBehaviorAtIndex(0, 1)).toBe(Tile.TYPE.AIR);
+    expect(map.getTileBehaviorAtIndex(0, 2)).toBe(Tile.TYPE.WALL);
+});
+
+test('objects are converted into triggers and window items', () => {
+    const map = Map.fromTiled(createTiledMap(), { viewportW: 32, viewportH: 16 }),
+        trigger = map.triggers[5];
+
+    expect(trigger).toEqual({
+        type: 'message',
+        message: 'hello',
+        triggered: false,
+        conditions: [{ type: 'switch', id: 'door', status: true }]
+    });
+    expect(map.triggers[6]).toBe(trigger);
+    expect(map.triggers[7]).toBeUndefined();
+
+    expect(map.windows[3]).toEqual({
+        displayed: false,
+        items: [{
+            type: 'Enemy',
+            itemId: 'enemy1',
+            spriteOptions: { x: 40, y: 20, spriteOptions: { vx: 2 } }
+        }]
+    });
+});
+
+test('maps use 16-bit tiles once tile indexes reach the empty tile', () => {
+    const json = createTiledMap();
+
+    json.tilesets = [Object.assign(json.tilesets[0], { tilecount: 255 })];
+    expect(Map.fromTiled(json).tileFormat).toBe('uint8');
+    expect(Map.fromTiled(json).emptyTile).toBe(0xff);
+
+    json.tilesets[0].tilecount = 256;
+    expect(Map.fromTiled(json).tileFormat).toBe('uint16');
+    expect(Map.fromTiled(json).emptyTile).toBe(0xffff);
+});
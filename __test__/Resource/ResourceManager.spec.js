@@ -0,0 +1,55 @@
+import ResourceManager from '../../js/Resource/ResourceManager';
+
+let fetch;
+
+beforeEach(() => {
+    fetch = window.fetch;
+    // only missing.json cannot be found
+    window.fetch = jest.fn(src => Promise.resolve(src === 'missing.json' ? { status: 404 } : {
+        status: 200,
+        json: () => Promise.resolve({ src: src })
+    }));
+
+    ResourceManager.registerParser('level', json => json.src);
+});
+
+afterEach(() => {
+    window.fetch = fetch;
+});
+
+test('progress is reported after each resource has been loaded', () => {
+    const progress = jest.fn(),
+        loaded = ResourceManager.addResources([
+            { id: 'level1', type: 'level', src: 'level1.json' },
+            { id: 'level2', type: 'level', src: 'level2.json' }
+        ], 'levels');
+
+    ResourceManager.loadResources('levels', progress);
+
+    return loaded.then(() => {
+        expect(progress.mock.calls.map(call => call[0])).toEqual([50, 100]);
+        expect(progress).toHaveBeenLastCalledWith(100, expect.objectContaining({ group: 'levels', loaded: 2, failed: [], total: 2 }));
+        expect(ResourceManager.getResourceById('level2', 'levels')).toBe('level2.json');
+    });
+});
+
+test('resources that could not be loaded are reported and reject their group', () => {
+    const progress = jest.fn(),
+        error = jest.fn(),
+        loaded = ResourceManager.addResources([
+            { id: 'level3', type: 'level', src: 'level3.json' },
+            { id: 'level4', type: 'level', src: 'missing.json' }
+        ], 'broken');
+
+    ResourceManager.loadResources('broken', progress, error);
+
+    return loaded.then(() => {
+        throw new Error('the group should not be loaded');
+    }, (err) => {
+        expect(err).toMatch('level4');
+        expect(error).toHaveBeenCalledTimes(1);
+        expect(error.mock.calls[0][1].id).toBe('level4');
+        expect(progress).toHaveBeenCalledTimes(2);
+        expect(progress).toHaveBeenLastCalledWith(100, expect.objectContaining({ group: 'broken', loaded: 1, failed: ['level4'], total: 2 }));
+    });
+});
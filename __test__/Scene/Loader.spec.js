@@ -0,0 +1,28 @@
+import Loader from '../../js/Scene/default/Loader';
+import { createTextBuffer } from '../fixtures';
+
+// display giving text objects a buffer to render into
+function createDisplay() {
+    return {
+        width: 320,
+        height: 240,
+        getBuffer: createTextBuffer,
+        clearScreen() {}
+    };
+}
+
+test('the loader shows the progress and the resources that failed', () => {
+    const loader = new Loader({ errorColor: 'orange' });
+
+    loader.setDisplay(createDisplay());
+    loader.start();
+
+    loader.onProgress(50, { group: 'any', resource: 'level1', loaded: 1, failed: [], total: 2 });
+    expect(loader.bar.progress).toBe(0.5);
+    expect(loader.text.text).toBe('level1 (1/2)');
+
+    loader.onProgress(100, { group: 'any', resource: 'level2', loaded: 1, failed: ['level2'], total: 2 });
+    expect(loader.bar.progress).toBe(1);
+    expect(loader.text.text).toBe('level2 (1/2) - unable to load: level2');
+    expect(loader.text.color).toBe('orange');
+});
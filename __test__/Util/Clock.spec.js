@@ -0,0 +1,57 @@
+import Clock from '../../js/Util/Clock';
+
+test('tick() advances time', () => {
+    const clock = new Clock();
+    clock.tick(16);
+    clock.tick(16);
+    expect(clock.now()).toBe(32);
+});
+
+test('tick() has no effect when paused', () => {
+    const clock = new Clock();
+    clock.pause();
+    clock.tick(100);
+    expect(clock.now()).toBe(0);
+    clock.resume();
+    clock.tick(100);
+    expect(clock.now()).toBe(100);
+});
+
+test('setTimeout() is called once its delay has elapsed', () => {
+    const clock = new Clock(),
+        cb = jest.fn();
+
+    clock.setTimeout(cb, 50);
+    clock.tick(40);
+    expect(cb).not.toHaveBeenCalled();
+    clock.pause();
+    clock.tick(40);
+    expect(cb).not.toHaveBeenCalled();
+    clock.resume();
+    clock.tick(10);
+    expect(cb).toHaveBeenCalledTimes(1);
+    clock.tick(100);
+    expect(cb).toHaveBeenCalledTimes(1);
+});
+
+test('clearTimeout() cancels a timer', () => {
+    const clock = new Clock(),
+        cb = jest.fn(),
+        id = clock.setTimeout(cb, 10);
+
+    clock.clearTimeout(id);
+    clock.tick(20);
+    expect(cb).not.toHaveBeenCalled();
+});
+
+test('setInterval() is called each time its delay has elapsed', () => {
+    const clock = new Clock(),
+        cb = jest.fn(),
+        id = clock.setInterval(cb, 10);
+
+    clock.tick(35);
+    expect(cb).toHaveBeenCalledTimes(3);
+    clock.clearInterval(id);
+    clock.tick(35);
+    expect(cb).toHaveBeenCalledTimes(3);
+});
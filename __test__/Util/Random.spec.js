@@ -0,0 +1,42 @@
+import Random from '../../js/Util/Random';
+
+test('same seed returns the same sequence', () => {
+    const a = new Random(1234),
+        b = new Random(1234);
+
+    for (let i = 0; i < 10; i++) {
+        expect(a.next()).toBe(b.next());
+    }
+});
+
+test('next() returns numbers between 0 and 1', () => {
+    const random = new Random(1);
+
+    for (let i = 0; i < 100; i++) {
+        const value = random.next();
+        expect(value).toBeGreaterThanOrEqual(0);
+        expect(value).toBeLessThan(1);
+    }
+});
+
+test('integer() stays within bounds', () => {
+    const random = new Random(42);
+
+    for (let i = 0; i < 100; i++) {
+        const value = random.integer(3, 5);
+        expect(Number.isInteger(value)).toBe(true);
+        expect(value).toBeGreaterThanOrEqual(3);
+        expect(value).toBeLessThanOrEqual(5);
+    }
+});
+
+test('setState() restores a sequence', () => {
+    const random = new Random(99);
+
+    random.next();
+    const state = random.getState(),
+        values = [random.next(), random.next()];
+
+    random.setState(state);
+    expect([random.next(), random.next()]).toEqual(values);
+});
@@ -0,0 +1,98 @@
+import Shape from '../../js/Util/Shape';
+import Sprite from '../../js/Drawable/Sprite';
+import { createObject } from '../fixtures';
+
+test('boxes that only touch each other do not intersect', () => {
+    const a = Shape.fromBox({ x: 0, y: 0, x2: 9, y2: 9 }),
+        b = Shape.fromBox({ x: 10, y: 0, x2: 19, y2: 9 }),
+        c = Shape.fromBox({ x: 9, y: 9, x2: 19, y2: 19 });
+
+    expect(Shape.intersects(a, b)).toBe(false);
+    expect(Shape.intersects(a, c)).toBe(true);
+    expect(Shape.getBounds(a)).toEqual({ x: 0, y: 0, x2: 10, y2: 10 });
+});
+
+test('circles are tested against circles and polygons', () => {
+    const circle = { type: 'circle', x: 0, y: 0, radius: 5 },
+        triangle = { type: 'polygon', points: [{ x: 4, y: 4 }, { x: 10, y: 4 }, { x: 4, y: 10 }] };
+
+    expect(Shape.intersects(circle, { type: 'circle', x: 6, y: 0, radius: 2 })).toBe(true);
+    expect(Shape.intersects(circle, { type: 'circle', x: 8, y: 0, radius: 2 })).toBe(false);
+    // the closest corner of the triangle is outside of the circle
+    expect(Shape.intersects(circle, triangle)).toBe(false);
+    expect(Shape.intersects(triangle, Object.assign({}, circle, { x: 2 }))).toBe(true);
+});
+
+test('hitboxes follow the scale and angle of objects', () => {
+    const plain = createObject(),
+        rotated = createObject({ angle: Math.PI / 4 }),
+        scaled = createObject({ scale: 2 }),
+        other = createObject({ x: 11, y: 11, hitBox: { x: 0, y: 0, x2: 1, y2: 1 } });
+
+    expect(Shape.isSimple(plain)).toBe(true);
+    expect(Shape.isSimple(rotated)).toBe(false);
+
+    // rotated around its center, the box doesn't reach its corners anymore
+    const rotatedBounds = Shape.getBounds(Shape.fromDrawable(rotated));
+
+    expect(rotatedBounds.x).toBeCloseTo(5 - Math.sqrt(50));
+    expect(rotatedBounds.x2).toBeCloseTo(5 + Math.sqrt(50));
+    expect(Shape.intersects(Shape.fromDrawable(rotated), Shape.fromBox({ x: 0, y: 0, x2: 0, y2: 0 }))).toBe(false);
+
+    expect(Shape.getBounds(Shape.fromDrawable(scaled))).toEqual({ x: -10, y: -10, x2: 30, y2: 30 });
+    expect(Shape.intersects(Shape.fromDrawable(scaled), Shape.fromDrawable(other))).toBe(true);
+    expect(Shape.intersects(Shape.fromDrawable(plain), Shape.fromDrawable(other))).toBe(false);
+});
+
+test('hitbox shapes are relative to the object', () => {
+    const obj = createObject({
+        x: 100,
+        y: 50,
+        scale: 0.5,
+        hitBox: { x: 0, y: 0, x2: 9, y2: 9, shape: { type: 'circle', x: 5, y: 0, radius: 4 } }
+    });
+
+    expect(Shape.isSimple(obj)).toBe(false);
+    expect(Shape.fromDrawable(obj)).toEqual({ type: 'circle', x: 102.25, y: 51, radius: 1 });
+});
+
+test('hitboxes cover the area where sprites are rendered', () => {
+    const sprite = new Sprite('test', {
+            x: 100,
+            y: 50,
+            animations: {
+                idle: {
+                    frameDuration: 1,
+                    loop: 1,
+                    frames: [{ offsetX: 0, offsetY: 0, width: 10, height: 6, hitBox: { x: 0, y: 0, x2: 9, y2: 5 }, plane: 0 }]
+                }
+            }
+        }),
+        calls = {};
+
+    const ctx = {
+        setTransform: (...args) => calls.transform = args,
+        rotate: angle => calls.angle = angle,
+        drawImage: (...args) => calls.rect = args.slice(5)
+    };
+
+    sprite.image = {};
+    sprite.setScale(2);
+    sprite.setAngle(Math.PI / 6);
+    sprite.draw(ctx);
+
+    // corners of the drawn image, transformed by the context
+    const [scale, , , , e, f] = calls.transform,
+        [dx, dy, width, height] = calls.rect,
+        cos = Math.cos(calls.angle),
+        sin = Math.sin(calls.angle),
+        corners = [[dx, dy], [dx + width, dy], [dx + width, dy + height], [dx, dy + height]].map(([x, y]) => ({
+            x: e + scale * (x * cos - y * sin),
+            y: f + scale * (x * sin + y * cos)
+        }));
+
+    Shape.fromDrawable(sprite).points.forEach((point, i) => {
+        expect(point.x).toBeCloseTo(corners[i].x);
+        expect(point.y).toBeCloseTo(corners[i].y);
+    });
+});
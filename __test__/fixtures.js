@@ -0,0 +1,58 @@
+// test doubles shared by the specs
+
+// canvas context whose methods are mocks
+export function createContext(methods = ['save', 'restore', 'beginPath', 'rect', 'clip', 'clearRect', 'drawImage', 'setTransform']) {
+    const ctx = {};
+
+    methods.forEach((method) => {
+        ctx[method] = jest.fn();
+    });
+
+    return ctx;
+}
+
+// plain object behaving like a Drawable for maps, collisions, spatial hashes and shapes: options override
+// its properties, `width` and `height` set its size and the size of its default hitbox
+export function createObject(options = {}) {
+    const width = options.width || 10,
+        height = options.height || 10;
+
+    return Object.assign({
+        x: 0,
+        y: 0,
+        scale: 1,
+        angle: 0,
+        movable: true,
+        platform: null,
+        canCollide: true,
+        canCollideFriendBullet: true,
+        visible: true,
+        children: [],
+        getHitBox() {
+            return this.hitBox || { x: 0, y: 0, x2: width - 1, y2: height - 1 };
+        },
+        getCurrentWidth: () => width,
+        getCurrentHeight: () => height,
+        _savePreviousPosition() {
+            this.prevX = this.x;
+            this.prevY = this.y;
+        },
+        update() {},
+        setPlatform(platform) {
+            this.platform = platform;
+        },
+        setMap() {},
+        setScene() {},
+        onCollision() {}
+    }, options);
+}
+
+// buffer that text objects can be rendered into, measuring every text 100px wide
+export function createTextBuffer() {
+    const ctx = createContext(['fillText', 'measureText']);
+
+    ctx.measureText.mockReturnValue({ width: 100 });
+    ctx.canvas = {};
+
+    return ctx;
+}
@@ -353,8 +353,10 @@ class Display {
      * Renders the specified scene
      *
      * @param {Scene} scene the scene to render
+     * @param {Number} [alpha=1] Interpolation factor between the previous and the current scene update.
+     * @param {Array<Scene>} [scenesBelow=[]] Scenes that should be rendered first, beneath the scene, from bottom to top.
      */
-    renderScene(scene) {
+    renderScene(scene, alpha = 1, scenesBelow = []) {
         this.clearScreen(this.fxCtx);
 
         // execute pre fx
@@ -372,12 +374,12 @@ class Display {
             this.clearScreen(this.layers[i]);
         }
 
-        scene.render(this.layers);
-
-        if (scene.hudScene) {
-            scene.hudScene.render(this.layers);
+        for (let i = 0; i < scenesBelow.length; i++) {
+            this._renderScene(scenesBelow[i], alpha);
         }
 
+        this._renderScene(scene, alpha);
+
         // TODO: here we have to make some hack to pre-render all buffers into a single one
         // then apply fx on this one, then render this one onto foremost layer
         /* HACK */
@@ -398,6 +400,22 @@ class Display {
         }
     }
 
+    /**
+     * Renders a scene and its hud onto the display layers
+     *
+     * @param {Scene} scene the scene to render
+     * @param {Number} alpha Interpolation factor between the previous and the current scene update.
+     *
+     * @private
+     */
+    _renderScene(scene, alpha) {
+        scene.render(this.layers, alpha);
+
+        if (scene.hudScene) {
+            scene.hudScene.render(this.layers, alpha);
+        }
+    }
+
     /**
      * Prepares the canvas before rendering images.
      *
@@ -447,6 +465,8 @@ class Display {
      * @param {String} [options.easing='linear'] The easing method to use
      * @param {String} [options.when='pre'] When is the effect applied: can be before the game frame rendering ('pre') or after ('post')
      * @param {any} [options.context=this] The context (this) to apply to the animation.
+     * @param {Clock} [options.clock] The clock used to time the effect, defaults to the context's clock if it has one.
+     * @param {Random} [options.random] The random number generator of the effect, defaults to the context's one if it has one.
      * @param {any} context The context to bind the Effect to
      */
     animate(fxName, options, context) {
@@ -457,6 +477,14 @@ class Display {
             fx;
 
         options.context = context || this;
+        // effects on scenes follow the scene's clock
+        if (!options.clock && options.context.clock) {
+            options.clock = options.context.clock;
+        }
+
+        if (!options.random && options.context.random) {
+            options.random = options.context.random;
+        }
 
         if (typeof this.fxQueue[when][fxName] !== 'undefined') {
             console.warn(`[Display] animate() - ${fxName} already in progress, cannot execute twice.`);
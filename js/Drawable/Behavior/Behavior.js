@@ -1,3 +1,6 @@
+import Random from '../../Util/Random';
+import Tile from '../../Map/Tile';
+
 /**
  * Base class for behaviors.
  *
@@ -9,6 +12,10 @@
  * 
  * - `getMapEvent()`
  *
+ * <blockquote><strong>Note:</strong> if the sprite is time-based, velocities and gravity are expressed per second:
+ * behaviors should scale them using `sprite.timeStep` which is the number of seconds elapsed since previous update
+ * (it is always 1 for update-based sprites).</blockquote>
+ *
  */
 class Behavior {
     /**
@@ -21,6 +28,7 @@ class Behavior {
      * @param {Number} [options.vy=0] The object's vertical velocity.
      * @param {Function} [options.onVXChange=undefined] An optional callback to call when changing vx direction.
      * @param {Function} [options.onVYChange=undefined] An optional callback to call when changing vy direction.
+     * @param {Function} [options.onHazard=undefined] An optional callback to call when the object touches a `Tile.TYPE.HAZARD` tile.
      */
     constructor(sprite, options) {
         this.sprite = sprite;
@@ -32,6 +40,7 @@ class Behavior {
 
         this.onVXChange = options.onVXChange || null;
         this.onVYChange = options.onVYChange || null;
+        this.onHazard = options.onHazard || null;
     }
 
     /**
@@ -43,6 +52,15 @@ class Behavior {
         // does nothing
     }
 
+    /**
+     * Called when the object lands on, or leaves, a moving platform
+     *
+     * @param {Drawable} platform The platform the object is standing on, null if it left its platform.
+     */
+    onPlatformChange(/*platform*/) {
+        // does nothing
+    }
+
     /**
      * Returns current mapEvent
      * 
@@ -51,6 +69,41 @@ class Behavior {
     getMapEvent() {
         return this.sprite.currentMap.mapEvent;
     }
+
+    /**
+     * Returns the random number generator to use in behaviors, instead of Math.random, so that
+     * movements can be replayed
+     *
+     * @returns {Random} the random number generator of the object's scene
+     */
+    getRandom() {
+        const scene = this.sprite.currentScene;
+
+        return scene ? scene.random : Random.shared;
+    }
+
+    /**
+     * Checks if the object touches a hazard tile, calling the `onHazard` callback if it does
+     *
+     * @returns {Boolean} true if the object touches a hazard tile
+     */
+    checkHazard() {
+        const sprite = this.sprite,
+            map = sprite.currentMap;
+
+        if (!this.onHazard || !map) {
+            return false;
+        }
+
+        const hitBox = sprite.getHitBox(),
+            pos = map.hitObjectTest(sprite.x + hitBox.x, sprite.y + hitBox.y, sprite.x + hitBox.x2, sprite.y + hitBox.y2, Tile.TYPE.HAZARD);
+
+        if (pos) {
+            this.onHazard(pos);
+        }
+
+        return !!pos;
+    }
 }
 
 export default Behavior;
\ No newline at end of file
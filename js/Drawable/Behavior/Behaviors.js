@@ -3,6 +3,7 @@ import SimpleFall from './SimpleFall';
 import PlayerMove from './PlayerMove';
 import InOut from './InOut';
 import Path from './Path';
+import Route from './Route';
 import WeaponMove from './WeaponMove';
 
 let behaviors = {};
@@ -50,5 +51,6 @@ inst.addBehavior('simplefall', SimpleFall);
 inst.addBehavior('weapon', WeaponMove);
 inst.addBehavior('player', PlayerMove);
 inst.addBehavior('path', Path);
+inst.addBehavior('route', Route);
 
 export default inst;
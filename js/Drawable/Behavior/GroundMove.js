@@ -5,7 +5,7 @@ import Tile from '../../Map/Tile';
 // by default
 /**
  * GroundMove is a simple behavior that causes an object to move along the horizontal
- * axis until a wall or an hole is reached.
+ * axis until a wall or an hole is reached, following slopes.
  *
  *
  * @see {@link #Behavior|Behavior}
@@ -40,30 +40,43 @@ class GroundMove extends Behavior {
     onUpdate(/*t*/) {
         let sprite = this.sprite,
             map = sprite.currentMap,
-            nextX = sprite.x + sprite.vx,
-            nextY = sprite.y + sprite.vy,
+            nextX = sprite.x + sprite.vx * sprite.timeStep,
+            nextY = sprite.y + sprite.vy * sprite.timeStep,
             hitBox = sprite.getHitBox(),
-            startX = sprite.vx > 0 ? hitBox.x2 : hitBox.x;
+            platformBox = sprite.platform && sprite.platform.getHitBox(),
+            contacts;
 
-        if (map.hitObjectTest(nextX + startX, nextY + hitBox.y, nextX + startX, nextY + hitBox.y, Tile.TYPE.WALL)) {
+        // do not walk off moving platforms
+        if (platformBox) {
+            if (nextX + hitBox.x < sprite.platform.x + platformBox.x || nextX + hitBox.x2 > sprite.platform.x + platformBox.x2) {
+                sprite.vx = -sprite.vx;
+                if (this.onVXChange) {
+                    this.onVXChange(sprite.vx);
+                }
+            }
+        } else if (map.hitObjectTest(nextX + hitBox.x, nextY + hitBox.y2 + 2, nextX + hitBox.x2, nextY + hitBox.y2 + 2, Tile.TYPE.AIR)) {
             sprite.vx = -sprite.vx;
             if (this.onVXChange) {
                 this.onVXChange(sprite.vx);
             }
-        } else if (map.hitObjectTest(nextX + hitBox.x, nextY + hitBox.y2 + 2, nextX + hitBox.x2, nextY + hitBox.y2 + 2, Tile.TYPE.AIR)) {
+        } else if (map.hitObjectTest(nextX + hitBox.x, nextY + hitBox.y2 + 2, nextX + hitBox.x2, nextY + hitBox.y2 + 2, Tile.TYPE.LADDER)) {
             sprite.vx = -sprite.vx;
             if (this.onVXChange) {
                 this.onVXChange(sprite.vx);
             }
-        } else if (map.hitObjectTest(nextX + hitBox.x, nextY + hitBox.y2 + 2, nextX + hitBox.x2, nextY + hitBox.y2 + 2, Tile.TYPE.LADDER)) {
+        }
+
+        // walls stop the object, slopes are followed
+        contacts = map.moveAndCollide(sprite, sprite.vx * sprite.timeStep, sprite.vy * sprite.timeStep);
+
+        if (contacts.left || contacts.right) {
             sprite.vx = -sprite.vx;
             if (this.onVXChange) {
                 this.onVXChange(sprite.vx);
             }
         }
 
-        sprite.x += sprite.vx;
-        sprite.y += sprite.vy;
+        this.checkHazard();
     }
 }
 
@@ -49,8 +49,8 @@ class InOut extends Behavior {
             }
         }
 
-        sprite.x += sprite.vx;
-        sprite.y += sprite.vy;
+        sprite.x += sprite.vx * sprite.timeStep;
+        sprite.y += sprite.vy * sprite.timeStep;
     }
 }
 
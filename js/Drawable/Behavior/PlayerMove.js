@@ -20,6 +20,14 @@ class PlayerMove extends Behavior {
      * @param {String} [options.startMovement="idle"] The initial behavior state.
      * @param {String} [options.direction="right"] The initial direction.
      * @param {String} [options.lookDirection="left"] The initial look direction, can be different than direction.
+     * @param {Number} [options.walkSpeed=2] The horizontal velocity when walking or jumping.
+     * @param {Number} [options.jumpSpeed=4] The initial vertical velocity of a jump.
+     * @param {Number} [options.jumpGravity=0.098] The gravity applied while jumping.
+     * @param {Number} [options.climbSpeed=2] The vertical velocity when climbing a ladder.
+     * @param {Number} [options.fallSpeed=4] The maximum vertical velocity when falling.
+     *
+     * <blockquote><strong>Note:</strong> default values are expressed per update: for time-based sprites they are
+     * converted to per-second values so that the player moves at the same speed than at 60 updates per second.</blockquote>
      */
     constructor(sprite, options) {
         super(sprite, options);
@@ -30,7 +38,14 @@ class PlayerMove extends Behavior {
 
         this.lookDirection = options.lookDirection || 'left';
 
-        this.climbVY = 2;
+        const rate = sprite.timeBased ? 60 : 1;
+
+        this.walkSpeed = options.walkSpeed || 2 * rate;
+        this.jumpSpeed = options.jumpSpeed || 4 * rate;
+        this.jumpGravity = options.jumpGravity || 0.098 * rate * rate;
+        this.fallSpeed = options.fallSpeed || 4 * rate;
+
+        this.climbVY = options.climbSpeed || 2 * rate;
 
         this.jumping = false;
 
@@ -130,6 +145,8 @@ class PlayerMove extends Behavior {
                 this.fall();
             }
         }
+
+        this.checkHazard();
     }
 
     /**
@@ -179,9 +196,7 @@ class PlayerMove extends Behavior {
     walk(direction) {
         // ADD: this.currentMovement = 'walk_left|right'
         let sprite = this.sprite,
-            currentHitBox = sprite.getHitBox(),
-            nextX,
-            nextY,
+            contacts,
             sound;
 
         this.currentMovement = 'walk_' + direction;
@@ -192,16 +207,15 @@ class PlayerMove extends Behavior {
         this.lookDirection = direction;
 
         if (direction === 'left') {
-            this.vx = -2;
+            this.vx = -this.walkSpeed;
         } else {
-            this.vx = 2;
+            this.vx = this.walkSpeed;
         }
 
-        nextX = sprite.x + this.vx;
-        nextY = sprite.y + this.vy;
+        contacts = sprite.currentMap.moveAndCollide(sprite, this.vx * sprite.timeStep, this.vy * sprite.timeStep);
 
         // hit wall ?
-        if (!sprite.currentMap.hitObjectTest(nextX + currentHitBox.x, nextY + currentHitBox.y, nextX + currentHitBox.x2, nextY + currentHitBox.y2, Tile.TYPE.WALL)) {
+        if (!contacts.left && !contacts.right) {
             sprite.startAnimation();
             if (sprite.currentFrameNum !== sprite.previousFrameNum && (sprite.currentFrameNum === 3 || sprite.currentFrameNum === 7)) {
                 AM.play(sound);
@@ -210,9 +224,6 @@ class PlayerMove extends Behavior {
             this.idle();
         }
 
-        sprite.x += this.vx;
-        sprite.y += this.vy;
-
         this.fallTest();
 
         return 0;
@@ -257,13 +268,16 @@ class PlayerMove extends Behavior {
         let sprite = this.sprite,
             that = this;
 
+        // jump off the moving platform
+        sprite.setPlatform(null);
+
         if (!this.jumping) {
             console.log('[PlayerMove] starting jump', sprite.y);
             this.readyToJump = false;
             this.currentMovement = 'startjump';
-            this.vx = direction === 'left' ? -2 : 2;
-            this.vy = -4;
-            this.gravity = 0.098;
+            this.vx = direction === 'left' ? -this.walkSpeed : this.walkSpeed;
+            this.vy = -this.jumpSpeed;
+            this.gravity = this.jumpGravity;
 
             console.log('[PlayerMove] startJump', this.vy);
 
@@ -282,9 +296,9 @@ class PlayerMove extends Behavior {
             this.jumping = true;
             that.currentMovement = 'jump' + direction;
 
-            this.vx = direction === 'left' ? -2 : 2;
-            this.vy = -4;
-            this.gravity = 0.098;
+            this.vx = direction === 'left' ? -this.walkSpeed : this.walkSpeed;
+            this.vy = -this.jumpSpeed;
+            this.gravity = this.jumpGravity;
 
             // TODO: call onEvent('jump')
             this.sprite.setAnimation('jump' + direction);
@@ -306,13 +320,7 @@ class PlayerMove extends Behavior {
      */
     jump(/*direction*/) {
         let sprite = this.sprite,
-            nextX = sprite.x + Math.ceil(this.vx),
-            nextY = sprite.y + Math.ceil(this.vy),
-            currentHitBox = sprite.getHitBox(),
-            horizTileHit = null,
-            vertTileHit = null,
-            noVx = false,
-            noVy = false;
+            contacts = null;
 
         if (!this.readyToJump) {
             console.log('[PlayerMove] not ready to jump', this.fromLadder);
@@ -320,68 +328,54 @@ class PlayerMove extends Behavior {
         }
 
         if (this.currentMovement.match(/jump/)) {
-            horizTileHit = sprite.currentMap.hitObjectTest(nextX + currentHitBox.x, sprite.y + currentHitBox.y, nextX + currentHitBox.x2, sprite.y + currentHitBox.y2, Tile.TYPE.WALL);
-            // left/right collision ? => vx = 0, but player continues to go up
-            if (horizTileHit) {
-                // debugger;
-                // console.log('[PlayerMove] Left/Right collision!');
+            contacts = sprite.currentMap.moveAndCollide(sprite, this.vx * sprite.timeStep, this.vy * sprite.timeStep);
 
-                // this.vx = 0;
+            // left/right collision ? => the player is stopped by the wall, but continues to go up
+            if (contacts.left || contacts.right) {
+                // console.log('[PlayerMove] Left/Right collision!');
                 this.sideHit = true;
-                noVx = true;
+            }
 
-                // set x to max(wall, nextx), which is wall-1
-                if (this.direction === 'right') {
-                    sprite.x = horizTileHit.tile.x - currentHitBox.x2 - currentHitBox.x - 1;
+            // top collision ? => fall
+            if (contacts.ceiling) {
+                console.log('[PlayerMove] Top collision, reversing vy!');
+                if (!this.sideHit) {
+                    this.fall();
                 } else {
-                    sprite.x = horizTileHit.tile.x + sprite.currentMap.tileWidth;
-                }
-
-            }/* else if (!this.fromLadder && this.sideHit === true) {
-					// side was hit during jump
-					noVy = true;
-                    this.currentMovement = '';
-					AM.play('land');
-                }*/
-            // top/down collision
-            vertTileHit = sprite.currentMap.hitObjectTest(sprite.x + currentHitBox.x, nextY + currentHitBox.y, sprite.x + currentHitBox.x2, nextY + currentHitBox.y2, Tile.TYPE.WALL);
-            // top/bottom collision ? => fall
-            if (vertTileHit) {
-                // top
-                if (this.vy < 0) {
-                    // debugger;
-                    console.log('[PlayerMove] Top collision, reversing vy!');
-                    if (!this.sideHit) {
-                        this.fall();
-                    } else {
-                        this.vy = -this.vy;
-                        // ** this.vx = 0;
-                    }
-                    return;
-                } else {    // ground touched
-                    console.log('[PlayerMove] touch ground!', this.currentMovement);
-                    // debugger;
-                    this.jumping = false;
-                    this.fromLadder = false;
-
-                    // TODO: play endJumLeft animation => onAnimationEnd, readyLeft
-                    AM.play('land');
-                    this.currentMovement = 'idle';
-
-                    sprite.y = vertTileHit.tile.y - sprite.getCurrentHeight();
-                    this.vy = 0;
-                    return;
+                    this.vy = -this.vy;
                 }
+                return;
+            } else if (contacts.floor) {    // ground touched
+                console.log('[PlayerMove] touch ground!', this.currentMovement);
+                this.jumping = false;
+                this.fromLadder = false;
+
+                // TODO: play endJumLeft animation => onAnimationEnd, readyLeft
+                AM.play('land');
+                this.currentMovement = 'idle';
+
+                this.vy = 0;
+                return;
             }
+        } else {
+            sprite.x += this.vx * sprite.timeStep;
+            sprite.y += this.vy * sprite.timeStep;
         }
 
-        if (!noVx) {
-            sprite.x += Math.ceil(this.vx);
-        }
-        if (!noVy) {
-            sprite.y += Math.ceil(this.vy);
-            this.vy += this.gravity;
-        } else {
+        this.vy += this.gravity * sprite.timeStep;
+    }
+
+    /**
+     * Called when the player lands on a moving platform: stops jumping or falling
+     *
+     * @param {Drawable} platform The platform, null if the player left the platform.
+     */
+    onPlatformChange(platform = null) {
+        if (platform && (this.currentMovement.match(/jump/) || this.currentMovement === 'falling')) {
+            this.jumping = false;
+            this.fromLadder = false;
+            AM.play('land');
+            this.currentMovement = 'idle';
             this.vy = 0;
         }
     }
@@ -457,8 +451,8 @@ class PlayerMove extends Behavior {
 
         // TODO: check for top ladder or floor
 
-        sprite.x += this.vx;
-        sprite.y += this.vy;
+        sprite.x += this.vx * sprite.timeStep;
+        sprite.y += this.vy * sprite.timeStep;
     }
 
     /**
@@ -529,7 +523,8 @@ class PlayerMove extends Behavior {
     goDownOrClimb() {
         let sprite = this.sprite,
             currentHitBox = sprite.getHitBox(),
-            pos = sprite.currentMap.hitObjectTest(currentHitBox.x + sprite.x + 24, currentHitBox.y2 + sprite.y + this.climbVY, currentHitBox.x2 + sprite.x - 24, currentHitBox.y2 + sprite.y + this.climbVY, Tile.TYPE.LADDER);
+            climbY = this.climbVY * sprite.timeStep,
+            pos = sprite.currentMap.hitObjectTest(currentHitBox.x + sprite.x + 24, currentHitBox.y2 + sprite.y + climbY, currentHitBox.x2 + sprite.x - 24, currentHitBox.y2 + sprite.y + climbY, Tile.TYPE.LADDER);
 
         if (pos) {
             if (this.currentMovement !== 'climb') {
@@ -543,7 +538,7 @@ class PlayerMove extends Behavior {
                 // debugger;
                 // console.log(currentHitBox.x2 + sprite.x - 24, currentHitBox.y2 + sprite.y + this.climbVY);
                 // console.log('faceWall');
-                pos = sprite.currentMap.hitObjectTest(currentHitBox.x + sprite.x + 24, currentHitBox.y2 + sprite.y + this.climbVY, currentHitBox.x2 + sprite.x - 24, currentHitBox.y2 + sprite.y + this.climbVY, Tile.TYPE.LADDER);
+                pos = sprite.currentMap.hitObjectTest(currentHitBox.x + sprite.x + 24, currentHitBox.y2 + sprite.y + climbY, currentHitBox.x2 + sprite.x - 24, currentHitBox.y2 + sprite.y + climbY, Tile.TYPE.LADDER);
                 this.faceWall();
             } else {
                 this.goDown();
@@ -557,24 +552,18 @@ class PlayerMove extends Behavior {
      * @private
      */
     fall() {
-        let i = 4,
-            sprite = this.sprite;
+        let sprite = this.sprite;
 
         this.jumping = false;
 
         //          AM.play('falling');
         // TODO: guess movement is different if we're falling after a jump or simple walk
         // console.log('fall()', this.lookDirection);
-        for (; i > 0; i--) {
-            if (this.fallTest(i)) {
-                this.vy = i;
-                break;
-            }
-        }
-
-        if (i > 0) {
+        if (this.fallTest()) {
             this.vx = 0;
-            sprite.y += this.vy;
+            this.vy = this.fallSpeed;
+            // stops on the ground
+            sprite.currentMap.moveAndCollide(sprite, 0, this.vy * sprite.timeStep);
             sprite.advanceFrame('fall' + this.lookDirection);
         } else {
             this.fromLadder = false;
@@ -604,7 +593,7 @@ class PlayerMove extends Behavior {
         // check for falling
         // var y = sprite.y + sprite.getCurrentHeight() + size;
 
-        if (!sprite.currentMap.fallTest(sprite.x + currentHitBox.x, y) && !sprite.currentMap.fallTest(sprite.x + currentHitBox.x2, y)) {
+        if (!sprite.platform && !sprite.currentMap.fallTest(sprite.x + currentHitBox.x, y, y - size) && !sprite.currentMap.fallTest(sprite.x + currentHitBox.x2, y, y - size)) {
             this.currentMovement = 'falling';
             return true;
         } else {
@@ -4,7 +4,9 @@ import AM from '../../Audio/AudioManager';
 import Tile from '../../Map/Tile';
 
 // debug
-window.AM = AM;
+if (typeof window !== 'undefined') {
+    window.AM = AM;
+}
 
 // Possible level 1 & 2 statuses for the player movements
 var STATUS = {},
@@ -0,0 +1,129 @@
+import Behavior from './Behavior';
+import FX from '../../FX/FX';
+
+/**
+ * Route is a behavior that moves an object through a list of points, using easing functions to go
+ * from one point to the next one.
+ *
+ * It is typically used for moving platforms: objects standing on them are moved along with the platform.
+ *
+ * @example
+ *
+ * platform.setBehavior('route', {
+ *     points: [{ x: 300, y: 200 }, { x: 300, y: 50, duration: 2000, easing: 'swing' }],
+ *     pause: 500,
+ *     reverse: true
+ * });
+ *
+ * @see {@link #Behavior|Behavior}
+ * @extends Behavior
+ */
+class Route extends Behavior {
+    /**
+     * Creates a new Route behavior
+     *
+     * @param {Drawable} sprite The sprite to attach the behavior to.
+     * @param {Object} options The options of the behavior.
+     * @param {Array<Object>} options.points The points of the route `{ x, y, duration, easing }`, starting from the current position
+     * of the object: duration & easing are used to reach the point.
+     * @param {Number} [options.duration=1000] The default duration to go from one point to the next one, in milliseconds.
+     * @param {String} [options.easing='linear'] The default easing function.
+     * @param {Number} [options.pause=0] The time to wait at each point, in milliseconds.
+     * @param {Boolean} [options.reverse=false] Set to true so that when the end of the route is reached, movement goes backwards.
+     * @param {Boolean} [options.loop=false] Set to true to go back to the starting point once the end of the route is reached.
+     * @param {Function} [options.onEnd=undefined] An optional callback to execute when the object reaches the end of the route.
+     */
+    constructor(sprite, options) {
+        super(sprite, options);
+
+        this.points = [{ x: sprite.x, y: sprite.y }].concat(options.points);
+
+        this.duration = options.duration || 1000;
+        this.easing = options.easing || 'linear';
+        this.pause = options.pause || 0;
+
+        this.reverse = options.reverse || false;
+        this.loop = options.loop || false;
+
+        this.onEnd = options.onEnd || null;
+
+        this.currentPoint = 0;
+        this.direction = 1;
+        this.targetPoint = 1;
+        this.startTime = -1;
+    }
+
+    /**
+     * Move handler: moves the object towards the next point of the route
+     *
+     * @param {Number} t The current timestamp.
+     */
+    onUpdate(t = 0) {
+        // the end of the route has been reached
+        if (this.targetPoint === -1) {
+            return;
+        }
+
+        if (this.startTime < 0) {
+            this.startTime = t;
+        }
+
+        const sprite = this.sprite,
+            from = this.points[this.currentPoint],
+            to = this.points[this.targetPoint],
+            // going backwards, we use the settings that were used to reach the current point
+            settings = this.direction > 0 ? to : from,
+            duration = settings.duration || this.duration,
+            ellapsedTime = t - this.startTime - this.pause;
+
+        if (ellapsedTime < 0) {
+            return;
+        }
+
+        if (ellapsedTime < duration) {
+            const progress = FX.getEasing(settings.easing || this.easing)(ellapsedTime / duration, ellapsedTime, 0, 1, duration);
+
+            sprite.x = from.x + (to.x - from.x) * progress;
+            sprite.y = from.y + (to.y - from.y) * progress;
+        } else {
+            sprite.x = to.x;
+            sprite.y = to.y;
+
+            this.currentPoint = this.targetPoint;
+            this.targetPoint = this.getNextPoint();
+            this.startTime = t;
+
+            if (this.targetPoint === -1) {
+                sprite.movable = false;
+                if (this.onEnd) {
+                    this.onEnd();
+                }
+            }
+        }
+    }
+
+    /**
+     * Returns the index of the next point to reach, changing direction if needed
+     *
+     * @returns {Number} the index of the next point, -1 if the end of the route was reached
+     *
+     * @private
+     */
+    getNextPoint() {
+        const next = this.currentPoint + this.direction;
+
+        if (next >= 0 && next < this.points.length) {
+            return next;
+        } else if (this.loop) {
+            return 0;
+        } else if (this.reverse) {
+            this.direction = -this.direction;
+
+            return this.currentPoint + this.direction;
+        } else {
+            return -1;
+        }
+    }
+}
+
+export default Route;
@@ -1,5 +1,4 @@
 import Behavior from './Behavior';
-import Tile from '../../Map/Tile';
 
 /*jshint devel: true, bitwise: false*/
 /**
@@ -46,29 +45,32 @@ class SimpleFall extends Behavior {
     onUpdate(/*t*/) {
         let sprite = this.sprite,
             map = sprite.currentMap,
-            nextX = sprite.x + sprite.vx,
-            nextY = sprite.y + sprite.vy,
-            hitBox = sprite.getHitBox(),
-            hitTest = null;
+            timeStep = sprite.timeStep,
+            // time-based objects fall the exact distance given by gravity so that it doesn't depend on the update rate
+            dy = sprite.vy * timeStep + (sprite.timeBased ? sprite.gravity * timeStep * timeStep / 2 : 0),
+            contacts = map.moveAndCollide(sprite, 0, dy);
 
         // reached ground ? revert vy
-        hitTest = map.hitObjectTest(nextX + hitBox.x, nextY + hitBox.y2, nextX + hitBox.x2, nextY + hitBox.y2, Tile.TYPE.WALL);
-        if (hitTest) {
+        if (contacts.floor) {
             if (this.onGround) {
                 this.onGround();
             }
             this.resetY();
-            if (Math.abs(sprite.vy) <= sprite.gravity) {
+            if (Math.abs(sprite.vy) <= sprite.gravity * sprite.timeStep) {
                 sprite.movable = false;
                 if (this.onEnd) {
                     this.onEnd();
                 }
             }
         } else {
-            sprite.vy += sprite.gravity;
+            if (contacts.ceiling) {
+                sprite.vy = 0;
+            }
 
-            sprite.y += sprite.vy;
+            sprite.vy += sprite.gravity * sprite.timeStep;
         }
+
+        this.checkHazard();
     }
 
     /**
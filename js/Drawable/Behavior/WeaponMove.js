@@ -1,5 +1,4 @@
 import Behavior from './Behavior';
-import Tile from '../../Map/Tile';
 
 /*jshint devel: true, bitwise: false*/
 /**
@@ -32,20 +31,14 @@ class WeaponMove extends Behavior {
     onUpdate(/*t*/) {
         let sprite = this.sprite,
             map = sprite.currentMap,
-            nextX = sprite.x + sprite.vx,
-            nextY = sprite.y + sprite.vy,
-            hitBox = sprite.getHitBox(),
-            startX = sprite.vx > 0 ? hitBox.x2 : hitBox.x;
+            contacts = map.moveAndCollide(sprite, sprite.vx * sprite.timeStep, sprite.vy * sprite.timeStep);
 
-        if (map.hitObjectTest(nextX + startX, nextY + hitBox.y, nextX + startX, nextY + hitBox.y2, Tile.TYPE.WALL)) {
+        if (contacts.left || contacts.right) {
             sprite.vx = -sprite.vx;
             if (this.onVXChange) {
                 this.onVXChange(sprite.vx);
             }
         }
-
-        sprite.x += sprite.vx;
-        sprite.y += sprite.vy;
     }
 }
 
@@ -266,7 +266,7 @@ class BitmapText extends Drawable {
             this.speedX = this.targetOffsetX - this.startX | 0;
             this.speedY = this.targetOffsetY - this.startY | 0;
 
-            this.startMoveTime = new Date().getTime();
+            this.startMoveTime = this._now();
         }
     }
 
@@ -283,7 +283,7 @@ class BitmapText extends Drawable {
      * update() is called at each render loop and calculates the next position during a scrolling
      */
     update() {
-        let currentTime = new Date().getTime(),
+        let currentTime = this._now(),
             ellapsedTime = currentTime - this.startMoveTime,
             t = ellapsedTime / this.duration,
             moveProgress;
@@ -390,6 +390,11 @@ class BitmapText extends Drawable {
 
         this.getLines();
 
+        // text can only be rendered once we have a display (headless scenes don't have any)
+        if (!this.currentScene || !this.currentScene.display) {
+            return;
+        }
+
         // generate wide-enough internal buffer to hold every lines of text
         if (!this.buffer) {
             this.createBuffer(this.currentScene.display);
@@ -468,7 +473,7 @@ class BitmapText extends Drawable {
         }
         // if this.scrolling, need to first offset text into this.buffer
 
-        destCtx.setTransform(this.scale, 0, 0, this.scale, this.x + mapOffsetX + subScaledW, this.y + mapOffsetY + subScaledH);
+        this._setTransform(destCtx, this.scale, 0, 0, this.scale, this.x + mapOffsetX + subScaledW, this.y + mapOffsetY + subScaledH);
         destCtx.rotate(this.angle);
 
         destCtx.drawImage(this.buffer.canvas, 0, copyStartY, Math.floor(width), Math.floor(height), Math.floor(-subScaledW), Math.floor(-subScaledH), Math.floor(scaledW), Math.floor(scaledH));
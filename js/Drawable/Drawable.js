@@ -3,6 +3,11 @@ import Behaviors from './Behavior/Behaviors';
 import NM from '../Notification/NotificationManager';
 import AM from '../Audio/AudioManager';
 import Deferred from '../Util/Deferred';
+import Shape from '../Util/Shape';
+
+// maximum time step (in ms) for time-based objects: prevents objects
+// from going through walls after a long pause
+const MAX_TIME_STEP = 250;
 
 /*jshint devel: true, bitwise: false*/
 /**
@@ -23,9 +28,10 @@ class Drawable {
      * @param {String} type The type of object: this describes the type of object
      * @param {Object} options
      * @param {String} [options.objectId] The id of the object. The defaults is type + random timestamp.
-     * @param {Number} [options.collideGroup=0] The type of collision to use for the object.
+     * @param {(String|Number)} [options.collideGroup=0] The collision group of the object, like 'enemy' or 'pickup', see {CollisionMatrix}.
      * @param {Boolean} [options.master=false] Set to true if the object should be the master.
      * @param {Boolean} [options.visible=true] An invisible object isn't rendered onto the screen.
+     * @param {Boolean} [options.timeBased=false] Set to true to express velocities and gravity in pixels per second instead of pixels per update.
      */
     constructor(type, options) {
         this.type = type;
@@ -50,14 +56,20 @@ class Drawable {
         // very basic masc support
         this.mask = null;
 
+        // name of the collision group, numbers are supported for compatibility:
         // 0 == master (player)
         // 1 == enemies (inc. enemy bullets, gems, bonuses,...)
         // 2 == friend bullets
+        // 3 == platforms
         this.collideGroup = options.collideGroup || 0;
         this.canCollideFriendBullet = options.canCollideFriendBullet || false;
 
         this.master = options.master || false;
 
+        // time-based objects move using elapsed time instead of a fixed amount per update:
+        // this needs to be set before the behavior is created
+        this.timeBased = options.timeBased || false;
+
         this.moving = false;
         this.easing = FX.getEasing(options.easing || 'linear');
 
@@ -95,6 +107,9 @@ class Drawable {
 
         this.fxQueue = {};
 
+        // no interpolation until the object has been updated once
+        this._hasPreviousPosition = false;
+
         if (!options.pool) {
             // only set option if not from pool since pool elements are intantiated with
             // fake data: we don't want to reset them yet
@@ -153,6 +168,10 @@ class Drawable {
 
         this.gravity = this._settings.gravity;
 
+        // 1 for update-based objects, elapsed seconds since previous update for time-based ones
+        this.timeStep = this.timeBased ? 0 : 1;
+        this.lastUpdateTime = null;
+
         // handlers
         this.moveHandlers = [];
 
@@ -163,6 +182,11 @@ class Drawable {
         this.savedX = this.x;
         this.savedY = this.y;
 
+        // position before last update, used for interpolation
+        this.prevX = this.x;
+        this.prevY = this.y;
+        this._hasPreviousPosition = false;
+
         this.wave = this._settings.wave;
     }
 
@@ -200,12 +224,21 @@ class Drawable {
     }
 
     /**
-     * WIP Sets the platform of the object. This will be used when platforms will be fully implemented.
+     * Sets the moving platform the object is standing on: the object will then be moved along with the platform
      *
-     * @param {Drawable} platform The platform the object is attached to.
+     * This is called by the map when the object lands on or leaves a platform, the behavior of the object
+     * is notified using `Behavior.onPlatformChange()`.
+     *
+     * @param {Drawable} platform The platform the object is attached to, null to leave the current one.
      */
     setPlatform(platform) {
-        this.platform = platform;
+        if (platform !== this.platform) {
+            this.platform = platform;
+
+            if (this.behavior) {
+                this.behavior.onPlatformChange(platform);
+            }
+        }
     }
 
     /**
@@ -222,6 +255,9 @@ class Drawable {
             if (duration === 0) {
                 this.x = x;
                 this.y = y;
+                // this is a jump: we don't want to draw the object in-between
+                this.prevX = x;
+                this.prevY = y;
                 this._onUpdate();
             } else {
                 console.log('moveTo from', this.x, 'to', x);
@@ -230,7 +266,7 @@ class Drawable {
                 this.targetY = y;
                 this.duration = duration;
 
-                this.startMoveTime = new Date().getTime();
+                this.startMoveTime = this._now();
                 this.targetDistanceX = x - this.x | 0;
                 this.targetDistanceY = y - this.y | 0;
                 this.targetStartX = this.x;
@@ -393,15 +429,77 @@ class Drawable {
         }
     }
 
+    /**
+     * Sets the transformation matrix of the destination context: if the object is on a map,
+     * the view transformation of the map's camera (shake, zoom, rotation) is applied as well
+     *
+     * @param {RenderingContext} ctx The destination context.
+     * @param {Number} a Horizontal scaling.
+     * @param {Number} b Vertical skewing.
+     * @param {Number} c Horizontal skewing.
+     * @param {Number} d Vertical scaling.
+     * @param {Number} e Horizontal translation.
+     * @param {Number} f Vertical translation.
+     *
+     * @private
+     */
+    _setTransform(ctx, a, b, c, d, e, f) {
+        if (this.currentMap) {
+            this.currentMap.camera.setTransform(ctx, a, b, c, d, e, f);
+        } else {
+            ctx.setTransform(a, b, c, d, e, f);
+        }
+    }
+
+    /**
+     * Set to false to stop moving the object: once movable again, time-based objects
+     * start moving from the current scene time instead of catching up with the time they were stopped
+     *
+     * @type {Boolean}
+     */
+    get movable() {
+        return this._movable;
+    }
+
+    set movable(movable) {
+        if (movable !== this._movable) {
+            this.lastUpdateTime = this.currentScene ? this.currentScene.getTime() : null;
+        }
+
+        this._movable = movable;
+    }
+
+    /**
+     * Updates the `timeStep` property, which is used to scale velocities and gravity:
+     * - for update-based objects, it is always 1
+     * - for time-based objects, it is the number of seconds elapsed since previous update
+     *
+     * @param {Number} timestamp The current time.
+     * @private
+     */
+    _updateTimeStep(timestamp) {
+        if (this.timeBased) {
+            // time may go back if the object is moved to another scene
+            this.timeStep = this.lastUpdateTime === null ? 0 : Math.max(0, Math.min(timestamp - this.lastUpdateTime, MAX_TIME_STEP)) / 1000;
+            this.lastUpdateTime = timestamp;
+        } else {
+            this.timeStep = 1;
+        }
+    }
+
     /**
      * Called on each move loop and used to move the object using its (optional) behavior or its
      * vx and vy properties.
      *
+     * <blockquote><strong>Note:</strong> if the object is time-based, vx, vy and gravity are scaled using the time elapsed since previous update.</blockquote>
+     *
      * @param {Number} timestamp The current time.
      * @private
      */
     update(timestamp) {
         if (this.movable) {
+            this._updateTimeStep(timestamp);
+
             if (this.moving === true) {
                 let ellapsedTime = timestamp - this.startMoveTime,
                     t = ellapsedTime / this.duration,
@@ -424,11 +522,11 @@ class Drawable {
                 // }
             } else {
                 if (!this.behavior) {
-                    this.x += this.vx;
-                    this.y += this.vy;
+                    this.x += this.vx * this.timeStep;
+                    this.y += this.vy * this.timeStep;
 
                     // gravity impacts velocity
-                    this.vy -= this.gravity;
+                    this.vy -= this.gravity * this.timeStep;
                 } else {
                     this.behavior.onUpdate(timestamp);
                 }
@@ -436,12 +534,41 @@ class Drawable {
 
             if (this.children.length) {
                 this.children.forEach((child) => {
-                    child.update();
+                    child.update(timestamp);
                 });
             }
         }
     }
 
+    /**
+     * Returns the current time of the scene the object belongs to, or the
+     * current wall-clock time if the object hasn't been added onto a scene yet
+     *
+     * @returns {Number} The current time in milliseconds.
+     *
+     * @private
+     */
+    _now() {
+        return this.currentScene ? this.currentScene.getTime() : new Date().getTime();
+    }
+
+    /**
+     * Saves current object position into `prevX` and `prevY` properties: this is done before
+     * each update so that the object can be drawn at an interpolated position between
+     * the previous and the current update.
+     *
+     * @private
+     */
+    _savePreviousPosition() {
+        this.prevX = this.x;
+        this.prevY = this.y;
+        this._hasPreviousPosition = true;
+
+        for (let i = 0; i < this.children.length; ++i) {
+            this.children[i]._savePreviousPosition();
+        }
+    }
+
     /**
      * Saves current object position into `savedX` and `savedY` properties
      */
@@ -485,7 +612,7 @@ class Drawable {
     /**
      * Change the scale of the object
      *
-     * <blockquote><strong>Note:</strong> it's only used when rendering, collision detection is not using the scale yet.</blockquote>
+     * <blockquote><strong>Note:</strong> the hitbox is scaled too, like the rendered object, see {Shape.fromDrawable}.</blockquote>
      * 
      * @param {number} scale The new scale of the object.
      *
@@ -497,9 +624,9 @@ class Drawable {
     /**
      * Change the angle of an object
      *
-     * <blockquote><strong>Note:</strong> this property is only used for the rendering and it's ignored for collisions.</blockquote>
+     * <blockquote><strong>Note:</strong> the hitbox is rotated too, like the rendered object, see {Shape.fromDrawable}.</blockquote>
      * 
-     * @param {number} angle The new angle of the object. 0 < angle < 360.
+     * @param {number} angle The new angle of the object, in radians.
      *
      */
     setAngle(angle) {
@@ -615,7 +742,7 @@ class Drawable {
     }
 
     /**
-     * Draws the sprite hit box
+     * Draws the sprite hit box: scaled or rotated hitboxes and hitbox shapes are drawn in blue
      *
      * @param {RenderingContext} The canvas context where to render the hitbox.
      */
@@ -624,7 +751,6 @@ class Drawable {
             return;
         }
 
-        // TODO: add scale (rotation ?)
         let hitBox = this.getHitBox(),
             mapOffsetX = this.currentMap && this.currentMap.viewportX || 0,
             mapOffsetY = this.currentMap && this.currentMap.viewportY || 0;
@@ -633,7 +759,15 @@ class Drawable {
             return;
         }
 
-        ctx.setTransform(1, 0, 0, 1, 0, 0);
+        this._setTransform(ctx, 1, 0, 0, 1, 0, 0);
+
+        if (!Shape.isSimple(this)) {
+            ctx.strokeStyle = 'rgb(0,120,255)';
+            ctx.beginPath();
+            Shape.trace(ctx, Shape.fromDrawable(this), mapOffsetX, mapOffsetY);
+            ctx.stroke();
+            return;
+        }
 
         ctx.strokeStyle = 'rgb(0,230,0)';
         ctx.beginPath();
@@ -672,10 +806,11 @@ class Drawable {
 
     // TODO: should return the type of sprite ?
     // TODO: should check map ?
-    // TODO: handle scale/rotation here !!
     /**
      * Performs collision tests on the specifed object.
      *
+     * Scaled or rotated objects, and objects whose hitbox has a shape, are tested using their shapes, see {Shape}.
+     *
      * @param {Drawable} obj The object to perform test on
      *
      * @returns {Boolean} Returns true if this and obj collide
@@ -685,22 +820,19 @@ class Drawable {
             found = false;
 
         if (this.canCollide && obj.canCollide && this !== obj && this.visible) {
-            let spriteHitBox = this.getHitBox(),
-                box = {
-                    x: this.x + spriteHitBox.x,
-                    y: this.y + spriteHitBox.y,
-                    x2: this.x + spriteHitBox.x + spriteHitBox.x2,
-                    y2: this.y + spriteHitBox.y2 + spriteHitBox.y
-                };
-
-            if ((box.y < obj.y + hitBox.y && box.y2 > obj.y + hitBox.y) || (box.y > obj.y + hitBox.y && box.y < obj.y + hitBox.y + hitBox.y2)) {
-                if ((box.x < obj.x + hitBox.x && box.x2 > obj.x + hitBox.x) || (box.x > obj.x + hitBox.x && box.x < obj.x + hitBox.x + hitBox.x2)) {
-                    // console.log('collision detected with', sprite.id);
-                    obj.onCollision(this);
-                    this.onCollision(obj);
-
-                    found = true;
-                }
+            if (!Shape.isSimple(this) || !Shape.isSimple(obj)) {
+                found = Shape.intersects(Shape.fromDrawable(this), Shape.fromDrawable(obj));
+            } else {
+                // x2 & y2 are inclusive, like in Shape.fromBox()
+                let spriteHitBox = this.getHitBox();
+
+                found = this.x + spriteHitBox.x <= obj.x + hitBox.x2 && obj.x + hitBox.x <= this.x + spriteHitBox.x2 &&
+                    this.y + spriteHitBox.y <= obj.y + hitBox.y2 && obj.y + hitBox.y <= this.y + spriteHitBox.y2;
+            }
+
+            if (found) {
+                obj.onCollision(this);
+                this.onCollision(obj);
             }
         }
 
@@ -786,6 +918,8 @@ class Drawable {
      * @param {String} fxName The name of the effect to use.
      * @param {Object} options The options of the effect.
      * @param {String} [options.easing="linear"] The easing functions to use, can be: 'linear', 'swing', 'easeInQuad', 'easeOutBounce'.
+     * @param {Clock} [options.clock] The clock used to time the effect, defaults to the clock of the object's scene.
+     * @param {Random} [options.random] The random number generator of the effect, defaults to the one of the object's scene.
      *
      * @returns {Promise} a promise that will be fullfilled when the effect has been completed
      */
@@ -795,12 +929,25 @@ class Drawable {
             easing = options.easing || 'linear',
             fx;
 
+        // effects are processed when drawing the object, which never happens in headless scenes
+        if (this.currentScene && !this.currentScene.display) {
+            return Deferred.resolve(true);
+        }
 
         if (typeof this.fxQueue[fxName] !== 'undefined') {
             console.warn('Fx', fxName, 'already in progress, cannot execute twice');
         } else if (!fxClass) {
             console.warn('Fx', fxName, 'unknown: did you spell it correctly ?');
         } else {
+            // effects follow the clock of the object's scene
+            if (!options.clock && this.currentScene) {
+                options.clock = this.currentScene.clock;
+            }
+
+            if (!options.random && this.currentScene) {
+                options.random = this.currentScene.random;
+            }
+
             fx = new fxClass(options);
             fx.setEasing(new FX.getEasing(easing));
 
@@ -867,8 +1014,11 @@ class Drawable {
      *
      * This method does nothing and should be extended if needed.
      *
+     * @param {Drawable} other The object that collided.
+     * @param {Object} [info] The collision details when detected by the map: `{ group, otherGroup, overlap: { x, y, width, height } }`,
+     * group being the collision group of this object.
      */
-    onCollision() {
+    onCollision(/*other, info*/) {
 
     }
 
@@ -931,14 +1081,31 @@ class Drawable {
     /**
      * Performs common draw effects on canvas here so that each Object doesn't need to reimplement it
      *
+     * When `alpha` is less than 1, the object is drawn in-between its previous and current positions.
+     *
      * @param {RenderingContext} ctx The context to use for graphic operations.
+     * @param {Number} [alpha=1] Interpolation factor between the previous and the current update.
      * @private
      */
-    _draw(ctx) {
+    _draw(ctx, alpha = 1) {
+        const x = this.x,
+            y = this.y,
+            interpolate = alpha < 1 && this._hasPreviousPosition && (this.prevX !== x || this.prevY !== y);
+
+        if (interpolate) {
+            this.x = this.prevX + (x - this.prevX) * alpha;
+            this.y = this.prevY + (y - this.prevY) * alpha;
+        }
+
         this.applyCtxAlpha(ctx);
         // call object-specific draw-method
         this.draw(ctx);
         this.restoreCtxAlpha(ctx);
+
+        if (interpolate) {
+            this.x = x;
+            this.y = y;
+        }
     }
 
     /**
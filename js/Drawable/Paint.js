@@ -43,7 +43,7 @@ class Paint extends Drawable {
     draw(ctx/*, debug*/) {
         this.ctx = ctx;
 
-        ctx.setTransform(1, 0, 0, 1, 0, 0);
+        this._setTransform(ctx, 1, 0, 0, 1, 0, 0);
 
         this._applyMask(ctx, this.x, this.y);
 
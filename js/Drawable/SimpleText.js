@@ -142,6 +142,11 @@ class SimpleText extends Drawable {
      * pre-renders text in a temp canvas
      */
     renderText() {
+        // text can only be rendered once we have a display (headless scenes don't have any)
+        if (!this.currentScene || !this.currentScene.display) {
+            return;
+        }
+
         this.prepareRender();
         for (let i = 0; i < this.lines.length; ++i) {
             this.buffer.fillText(this.lines[i], 0, this.fakeLineHeight * i);
@@ -263,7 +268,7 @@ class SimpleText extends Drawable {
 
         this.executeFx(destCtx);
 
-        destCtx.setTransform(this.scale, 0, 0, this.scale, this.x + mapOffsetX + subScaledW, this.y + mapOffsetY + subScaledH);
+        this._setTransform(destCtx, this.scale, 0, 0, this.scale, this.x + mapOffsetX + subScaledW, this.y + mapOffsetY + subScaledH);
         destCtx.rotate(this.angle);
 
         destCtx.drawImage(this.buffer.canvas, 0, 0, Math.floor(w), Math.floor(h), Math.floor(-subScaledW), Math.floor(-subScaledH), Math.floor(scaledW), Math.floor(scaledH));
@@ -2,13 +2,19 @@ import Drawable from './Drawable';
 import Deferred from '../Util/Deferred';
 import Dom from '../Util/Dom';
 
+// duration of a display frame at 60fps: legacy frameDuration values are expressed in such frames
+const LEGACY_FRAME_TIME = 1000 / 60;
+
 /*jshint devel: true, bitwise: false*/
 /**
  * This class extends {Drawable} to implement 2D sprites using an image sprite sheet.
  *
  * A sprite can have an infinite number of animations.
- * Each animation can have a different frameDuration and any number of frames.
- * Each frame may have a different size and a different hitbox
+ * Each animation can have a different frame duration and any number of frames.
+ * Each frame may have a different size, a different hitbox and a different duration.
+ *
+ * Animations are time-based and use the time of the scene: they are not played faster on high refresh rate displays
+ * and they are frozen when the game is paused.
  *
  * <blockquote><strong>Note:</strong> Since games usually have multiple sprites of the same type, it's common to extend the Sprite class
  * to generate each sprite type with its own properties and then use these sprites instead of instanciating
@@ -24,7 +30,8 @@ class Sprite extends Drawable {
      * @param {String} type An identifier for this sprite, can be for example `enemy1`,...
      * @param {Object} options An options hash for the object.
      * @param {String} options.imageId The id to the spritesheet image to use.
-     * @param {Object} options.animations A map with a key for each animation of the sprite.
+     * @param {Object} options.animations A map with a key for each animation of the sprite: the `hitBox` of frames may have
+     * a `shape` (circle or convex polygon) used for precise collision tests, see {Shape}.
      *
      * @see {@link #Drawable|Drawable} for additionnal parameters
      * @example
@@ -38,7 +45,7 @@ class Sprite extends Drawable {
      *  collideGroup: 1,
      *  animations: {
      *      mainLoop: {
-     *          frameDuration: 4,
+     *          frameTime: 80,
      *          frames:[{
      *              offsetX: 136,
      *              offsetY: 189,
@@ -53,6 +60,7 @@ class Sprite extends Drawable {
      *              plane: 0
      *          },
      *               {
+     *              duration: 160,
      *              offsetX: 170,
      *              offsetY: 189,
      *              width: 31,
@@ -102,7 +110,11 @@ class Sprite extends Drawable {
         this.rewindOnEnd = false;
         this.direction = 1;
 
-        this.frameCounter = 0;
+        // time at which current frame started to be displayed
+        this.frameStartTime = 0;
+
+        // animation playback rate
+        this.animationSpeed = 1;
 
         // end animation defered
         this.animEndDef = null;
@@ -139,7 +151,8 @@ class Sprite extends Drawable {
      * @param {number} [options.offsetY=0] The y offset of the sprite frames inside the image.
      * @param {number} [options.frameWidth] The width of a frame.
      * @param {number} [options.frameHeight=imageHeight] The height of a frame. By default frameHeight is taken from image.naturalHeight.
-     * @param {number} [options.frameDuration=1] The duration of a frame (1 = 16ms).
+     * @param {number} [options.frameTime] The duration of a frame in milliseconds: frames can override it using their own `duration` property.
+     * @param {number} [options.frameDuration=1] Legacy frame duration, only used if `frameTime` isn't set: number of 60fps frames to wait before displaying the next frame (1 = 33ms).
      * @param {number} [options.frameSpacing=0] The space between each frame.
      * @param {number} [options.loop=1] 0 = anim play once and stops at the end, 1 = anim loops to frame 1 at the end, 2 = anim will play in reverse when reaching the end, then plays again, etc.
      * @returns {Deferred} a deferred object that's resolved once the animation is ready.
@@ -258,18 +271,53 @@ class Sprite extends Drawable {
         // right now, flip animations only contain the flipType: 1 = horiz, 2 = vert, 3 = both
         // we only need to define hitBoxes
         for (let i = 0; i < animFromFrames.length; ++i) {
+            const frame = animFromFrames[i];
+
             anim.frames[i] = {};
             // $.extend(true, anim.frames[i], animFromFrames[i]);
-            Object.assign(anim.frames[i], animFromFrames[i]);
+            Object.assign(anim.frames[i], frame);
+            // hitboxes are flipped: they must not be shared with the source animation
+            anim.frames[i].hitBox = Object.assign({}, frame.hitBox);
+
             if (flipType & 1) {
-                anim.frames[i].hitBox.x = animFromFrames[i].width - animFromFrames[i].hitBox.x2;
-                anim.frames[i].hitBox.x2 = animFromFrames[i].width - animFromFrames[i].hitBox.x;
+                anim.frames[i].hitBox.x = frame.width - frame.hitBox.x2;
+                anim.frames[i].hitBox.x2 = frame.width - frame.hitBox.x;
             }
             if (flipType & 2) {
-                anim.frames[i].hitBox.y = animFromFrames[i].height - animFromFrames[i].hitBox.y2;
-                anim.frames[i].hitBox.y2 = animFromFrames[i].height - animFromFrames[i].hitBox.y;
+                anim.frames[i].hitBox.y = frame.height - frame.hitBox.y2;
+                anim.frames[i].hitBox.y2 = frame.height - frame.hitBox.y;
             }
+            if (frame.hitBox.shape) {
+                anim.frames[i].hitBox.shape = this._flipShape(frame.hitBox.shape, frame.width, frame.height, flipType);
+            }
+        }
+    }
+
+    /**
+     * Flips a hitbox shape
+     *
+     * @param {Object} shape The shape to flip, see {Shape}.
+     * @param {Number} width The width of the frame.
+     * @param {Number} height The height of the frame.
+     * @param {Number} flipType The direction of the flip: 1 = horiz, 2 = vert, 3 = both.
+     * @returns {Object} the flipped shape
+     *
+     * @private
+     */
+    _flipShape(shape, width, height, flipType) {
+        const flipPoint = point => ({
+            x: flipType & 1 ? width - point.x : point.x,
+            y: flipType & 2 ? height - point.y : point.y
+        });
+
+        if (shape.type === 'circle') {
+            return Object.assign({}, shape, flipPoint(shape));
         }
+
+        return {
+            type: 'polygon',
+            points: shape.points.map(flipPoint)
+        };
     }
 
     /**
@@ -379,23 +427,75 @@ class Sprite extends Drawable {
     }
 
     /**
-     * advanceFrame is called at each render loop and waits for currentAnim.frameDuration
-     * before advancing to the next animation frame.
+     * Changes the animation playback rate
+     *
+     * @param {number} speed The new playback rate: 1 is normal speed, 0.5 half speed, 2 double speed, 0 freezes the animation.
+     */
+    setAnimationSpeed(speed) {
+        this.animationSpeed = speed;
+    }
+
+    /**
+     * Returns the duration of current animation frame, taking into account the animation speed
+     *
+     * The duration is taken from (in this order): the frame's `duration`, the animation's `frameTime`,
+     * the animation's legacy `frameDuration`.
+     *
+     * @returns {number} The duration of the frame in milliseconds.
+     *
+     * @private
+     */
+    _getFrameDuration() {
+        const anim = this.currentAnim,
+            frame = this.currentFrame;
+
+        let duration = Infinity;
+
+        if (frame && typeof frame.duration !== 'undefined') {
+            duration = frame.duration;
+        } else if (typeof anim.frameTime !== 'undefined') {
+            duration = anim.frameTime;
+        } else if (typeof anim.frameDuration !== 'undefined') {
+            duration = (anim.frameDuration + 1) * LEGACY_FRAME_TIME;
+        }
+
+        return duration / this.animationSpeed;
+    }
+
+    /**
+     * advanceFrame is called at each render loop and advances to the next animation frame(s)
+     * once current frame has been displayed long enough.
      *
      * @param {String} animName The name to advance.
      *
      * If animName != currentAnimName then switches to the new animation
      */
     advanceFrame(animName) {
+        const now = this._now();
+
         this.previousFrameNum = this.currentFrameNum;
 
         if (this.currentAnim !== this.animations[animName]) {
-            this.frameCounter = 0;
             this.setAnimation(animName);
+        } else if (!this.running || now < this.frameStartTime) {
+            // stopped animations must not catch up once restarted
+            this.frameStartTime = now;
         } else {
-            if (++this.frameCounter > this.currentAnim.frameDuration) {
+            const maxSteps = this.numFrames * 2;
+            let duration = this._getFrameDuration(),
+                steps = 0;
+
+            // we may need to skip several frames if they are shorter than an update
+            while (this.running && now - this.frameStartTime >= duration && steps < maxSteps) {
+                this.frameStartTime += duration;
                 this.nextFrame();
-                this.frameCounter = 0;
+                duration = this._getFrameDuration();
+                steps++;
+            }
+
+            // sprite wasn't drawn for a long time: no need to catch up
+            if (steps === maxSteps) {
+                this.frameStartTime = now;
             }
         }
     }
@@ -553,6 +653,7 @@ class Sprite extends Drawable {
 
             this.currentFrameNum = this.previousFrameNum = !revert ? frameNum || 0 : this.numFrames - 1;
             this.currentFrame = this.currentAnim.frames[this.currentFrameNum];
+            this.frameStartTime = this._now();
 
             // animation running
             this.running = true;
@@ -685,17 +786,18 @@ class Sprite extends Drawable {
         this.executeFx(destCtx);
 
         if (this.mask && !this.mask.exclude) {
+            this._setTransform(destCtx, 1, 0, 0, 1, 0, 0);
             this._applyMask(destCtx, Math.floor(drawX + mapOffsetX), Math.floor(drawY + mapOffsetY));
         }
 
-        destCtx.setTransform(this.scale, 0, 0, this.scale, drawX + mapOffsetX + subScaledW, drawY + mapOffsetY + subScaledH);
+        this._setTransform(destCtx, this.scale, 0, 0, this.scale, drawX + mapOffsetX + subScaledW, drawY + mapOffsetY + subScaledH);
         destCtx.rotate(this.angle);
         destCtx.drawImage(this.image, Math.floor(sheetX), Math.floor(sheetY), Math.floor(w), Math.floor(h), Math.floor(-subScaledW), Math.floor(-subScaledH), Math.floor(scaledW), Math.floor(scaledH));
         // destCtx.restore();
 
         // in exclude mode, we need to write the mask after having rendered the object
         if (this.mask && this.mask.exclude) {
-            destCtx.setTransform(1, 0, 0, 1, 0, 0);
+            this._setTransform(destCtx, 1, 0, 0, 1, 0, 0);
             this._applyMask(destCtx, Math.floor(drawX + mapOffsetX), Math.floor(drawY + mapOffsetY));
         }
 
@@ -1,4 +1,5 @@
 import RM from '../Resource/ResourceManager';
+import Random from '../Util/Random';
 
 /**
  * This class allows to handle wave of Drawables.
@@ -16,11 +17,13 @@ class Wave {
      * @param {Number} options.size The size of the Wave.
      * @param {String} options.type The type of wave, ie. what will happen after the wave have been destroyed.
      * @param {Object} options.afterDestroyData The data needed for the `type` trigger.
+     * @param {Random} [options.random] The random number generator to use, usually the one of the scene.
      */
     constructor(options) {
         this.counter = options.size;
         this.type = options.afterDestroy;
         this.data = options.afterDestroyData;
+        this.random = options.random || Random.shared;
         // this.delay = options.afterDestroyDelay || 0;
     }
 
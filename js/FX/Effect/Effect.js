@@ -1,4 +1,5 @@
 import Deferred from '../../Util/Deferred';
+import Random from '../../Util/Random';
 
 /**
  * The Effect class allows to apply transformations to Scene & Drawable instances.
@@ -16,11 +17,15 @@ class Effect {
      * @param {Number} options.endValue The end value of the effect.
      * @param {Number} options.duration The duration of the effect (ms).*
      * @param {Boolean} options.loop Set to true to make the effect loop.
+     * @param {Clock} [options.clock] The clock used to time the effect: the effect is paused with it. Wall-clock time is used if not specified.
+     * @param {Random} [options.random] The random number generator to use in the effect instead of Math.random.
      * @param {Display} display Reference to the Display in case a buffer is needed.
      */
     constructor(options, display) {
         this.easing = null;
         this.context = options.context || this;
+        this.clock = options.clock || null;
+        this.random = options.random || Random.shared;
 
         // TODO: we may need width/height for sprites as well
         // => pass the currentWidth/Height to fake display size
@@ -46,6 +51,17 @@ class Effect {
         this.easing = easing;
     }
 
+    /**
+     * Returns the current time of the effect's clock
+     *
+     * @returns {Number} The current time in milliseconds.
+     *
+     * @private
+     */
+    _now() {
+        return this.clock ? this.clock.now() : new Date().getTime();
+    }
+
     /**
      * Called when the ffect is started.
      *
@@ -57,7 +73,7 @@ class Effect {
             this.def = new Deferred();
         }
 
-        this.startTime = new Date().getTime();
+        this.startTime = this._now();
 
         this.ended = false;
         this.stopped = false;
@@ -78,7 +94,7 @@ class Effect {
      * This method can be overridden but the super should always be calle dfirst
      */
     process(ctx, fxCtx, obj) {
-        let currentTime = new Date().getTime(),
+        let currentTime = this._now(),
             ellapsedTime = currentTime - this.startTime,
             t = ellapsedTime / this.duration;
 
@@ -0,0 +1,75 @@
+import Effect from './Effect';
+
+/**
+ * Wipe effect: the frame is progressively covered (or uncovered) by a plain color
+ *
+ * Supported on: `Scene`
+ *
+ * <blockquote><strong>Note:</strong> this effect needs to be applied after the frame has been rendered (`when: 'post'`).</blockquote>
+ *
+ * @extends Effect
+ */
+class Wipe extends Effect {
+    /**
+     * Creates a new Wipe effect
+     *
+     * @param {Object} options
+     * @param {Number} [options.startValue=0] The covered part of the frame at the start of the effect, from 0 to 1.
+     * @param {Number} [options.endValue=1] The covered part of the frame at the end of the effect, from 0 to 1.
+     * @param {Number} options.duration The duration of the effect (ms).
+     * @param {String} [options.color='black'] The color used to cover the frame.
+     * @param {String} [options.direction='right'] The direction of the wipe, can be `left`, `right`, `up` or `down`.
+     * @param {Display} display Reference to the Display in case a buffer is needed.
+     */
+    constructor(options, display) {
+        super(Object.assign({
+            startValue: 0,
+            endValue: 1
+        }, options), display);
+
+        this.color = options.color || 'black';
+        this.direction = options.direction || 'right';
+
+        this.diff = this.endValue - this.startValue;
+    }
+
+    /**
+     * Covers part of the rendered frame
+     *
+     * @param {RenderingContext} ctx The source drawing context, which happens to be the destination context as well.
+     */
+    process(ctx/*, fxCtx*/) {
+        super.process();
+
+        const coverage = this.startValue + this.animProgress * this.diff,
+            width = this.width * coverage | 0,
+            height = this.height * coverage | 0;
+
+        ctx.save();
+        ctx.fillStyle = this.color;
+
+        switch (this.direction) {
+            case 'left':
+                ctx.fillRect(this.width - width, 0, width, this.height);
+                break;
+
+            case 'up':
+                ctx.fillRect(0, this.height - height, this.width, height);
+                break;
+
+            case 'down':
+                ctx.fillRect(0, 0, this.width, height);
+                break;
+
+            default:
+                ctx.fillRect(0, 0, width, this.height);
+                break;
+        }
+
+        ctx.restore();
+
+        return this.ended;
+    }
+}
+
+export default Wipe;
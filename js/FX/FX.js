@@ -3,6 +3,7 @@ import Fade from './Effect/Fade';
 import Rotate from './Effect/Rotate';
 import Custom from './Effect/Custom';
 import Mosaic from './Effect/Mosaic';
+import Wipe from './Effect/Wipe';
 
 const effects = {},
     easing = {};
@@ -72,6 +73,7 @@ instance.addFX('Mosaic', Mosaic);
 instance.addFX('Fade', Fade);
 instance.addFX('Rotate', Rotate);
 instance.addFX('Custom', Custom);
+instance.addFX('Wipe', Wipe);
 
 // the FX module exports the `instance` of FX
 export default instance;
\ No newline at end of file
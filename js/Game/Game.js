@@ -3,8 +3,43 @@ import DisplayManager from '../Display/DisplayManager';
 import AudioManager from '../Audio/AudioManager';
 import NM from '../Notification/NotificationManager';
 import Input from '../Input/InputManager';
-import fpscounter from '../lib/fpscounter/fpscounter.min';
+import FX from '../FX/FX';
+import Loader from '../Scene/default/Loader';
 import Dom from '../Util/Dom';
+import Deferred from '../Util/Deferred';
+import Random from '../Util/Random';
+
+// the fps counter needs a window as soon as it is imported: it's set by the AthenaJS bundle, see Game.setFpsCounter()
+let fpscounter = null;
+
+/**
+ * Built-in scene transitions, see `Game.setScene()`
+ *
+ * Each transition describes the effect to use, when it's executed and the options
+ * of the outgoing and incoming effects.
+ *
+ * @private
+ */
+const TRANSITIONS = {
+    fade: {
+        name: 'Fade',
+        when: 'pre',
+        out: { startValue: 1, endValue: 0 },
+        in: { startValue: 0, endValue: 1 }
+    },
+    mosaic: {
+        name: 'Mosaic',
+        when: 'post',
+        out: { startValue: 1, endValue: 0.002 },
+        in: { startValue: 0.002, endValue: 1 }
+    },
+    wipe: {
+        name: 'Wipe',
+        when: 'post',
+        out: { startValue: 0, endValue: 1 },
+        in: { startValue: 1, endValue: 0 }
+    }
+};
 
 /**
  * The `Game` class is the central part to AthenaJS.
@@ -18,6 +53,12 @@ import Dom from '../Util/Dom';
  * @param {Number} [options.width=1024] The width of the game display.
  * @param {Number} [options.height=768] The height of the game display.
  * @param {Object} [options.resources] An optionnal array of resources of the form:`{ id: 'unique id', type: 'image|script|map|audio', src: 'path_to_resource'}` that the scene needs.
+ * @param {Number} [options.tickRate=60] The number of fixed scene updates per second.
+ * @param {Number} [options.maxUpdateSteps=5] The maximum number of updates that can be run to catch up before a new frame is rendered.
+ * @param {Boolean} [options.interpolate=true] Set to false to disable drawing objects at interpolated positions between two updates.
+ * @param {Boolean|Scene} [options.loader=true] The scene that is displayed while scene resources are loading: by default a {Loader} is used, set to false to disable it.
+ * @param {Boolean} [options.headless=false] Set to true to run the game without any display, audio or input: the game then has to be updated manually using `step()`.
+ * @param {Number} [options.seed] The seed of the game's random number generator, used to seed scenes that don't have their own seed.
  * @example
  * import { Game } from 'athenajs';
  *
@@ -40,6 +81,12 @@ class Game {
      * @param {Number} [options.width=1024] The width of the game display.
      * @param {Number} [options.height=768] The height of the game display.
      * @param {Object} [options.resources] An optionnal array of resources of the form:`{ id: 'unique id', type: 'image|script|map|audio', src: 'path_to_resource'}` that the scene needs.
+    * @param {Number} [options.tickRate=60] The number of fixed scene updates per second.
+    * @param {Number} [options.maxUpdateSteps=5] The maximum number of updates that can be run to catch up before a new frame is rendered.
+    * @param {Boolean} [options.interpolate=true] Set to false to disable drawing objects at interpolated positions between two updates.
+    * @param {Boolean|Scene} [options.loader=true] The scene that is displayed while scene resources are loading: by default a {Loader} is used, set to false to disable it.
+    * @param {Boolean} [options.headless=false] Set to true to run the game without any display, audio or input: the game then has to be updated manually using `step()`.
+    * @param {Number} [options.seed] The seed of the game's random number generator, used to seed scenes that don't have their own seed.
     */
     constructor(options = {}) {
         console.log('[Game] Init()'/*, options*/);
@@ -47,28 +94,39 @@ class Game {
         this.debug = options.debug;
         this.name = options.name;
 
-        const target = options.target && new Dom(options.target);
+        // headless games have no display, no audio, no input and are updated using step()
+        this.headless = !!options.headless;
+
+        const target = !this.headless && options.target && new Dom(options.target);
 
         // weather to display FPS
-        this.showFps = typeof options.showFps !== 'undefined' ? options.showFps : false;
+        this.showFps = !this.headless && typeof options.showFps !== 'undefined' ? options.showFps : false;
 
         if (this.showFps) {
-            fpscounter({
-                width: 50,
-                height: 50
-            });
+            if (fpscounter) {
+                fpscounter({
+                    width: 50,
+                    height: 50
+                });
+            } else {
+                console.warn('[Game] showFps - no fps counter has been set, see Game.setFpsCounter()');
+            }
         }
 
         this.width = options.width || 1024;
         this.height = options.height || 768;
 
         // DOM element to use for the game (it will be cleared)
-        this.target = target && target.length && target[0] || Dom('div').css({
-            width: `${this.width}px`,
-            height: `${this.height}px`
-        }).appendTo('body')[0];
+        this.target = null;
 
-        Dom(this.target).addClass('athena-game');
+        if (!this.headless) {
+            this.target = target && target.length && target[0] || Dom('div').css({
+                width: `${this.width}px`,
+                height: `${this.height}px`
+            }).appendTo('body')[0];
+
+            Dom(this.target).addClass('athena-game');
+        }
 
         this.resources = options.resources;
 
@@ -78,30 +136,59 @@ class Game {
         // current scene
         this.scene = null;
 
-        this.running = false;
+        // scenes that have been covered by pushScene(), from bottom to top
+        this.sceneStack = [];
 
-        // get ready for input events
-        this._initEvents();
+        // scene transition in progress, with the promise resolved once it's over
+        this.transition = null;
+        this.transitionEnd = null;
 
-        // creates the main display
-        this.createDisplay({
-            name: 'main',
-            width: options.width,
-            height: options.height,
-            layers: options.layers || [false, true]
-        }, this.target);
+        // input recording/replay to start with the next scene
+        this.replay = null;
 
-        this.toggleSound(typeof options.sound !== 'undefined' ? options.sound : true);
+        // seeds scenes so that a whole game session can be reproduced
+        this.random = new Random(options.seed);
+
+        // scene displayed while loading scene resources
+        this.loader = !this.headless && typeof options.loader !== 'undefined' ? options.loader : !this.headless;
+        this.loaderScene = null;
+        // scene whose resources are being loaded while the loader scene is running
+        this.loadingScene = null;
+
+        this.running = false;
 
-        if (!this.sound) {
+        if (!this.headless) {
+            // get ready for input events
+            this._initEvents();
+
+            // creates the main display
+            this.createDisplay({
+                name: 'main',
+                width: options.width,
+                height: options.height,
+                layers: options.layers || [false, true]
+            }, this.target);
+        }
+
+        this.toggleSound(!this.headless && typeof options.sound !== 'undefined' ? options.sound : !this.headless);
+
+        if (!this.sound && ResourceManager.skipResources.indexOf('audio') === -1) {
             console.warn('sound disabled: skipping audio resources');
             ResourceManager.skipResources.push('audio');
         }
 
-        // eventLoop timeout
-        this.timeout = null;
+        // fixed timestep: the scene is updated tickRate times per second
+        // whatever the refresh rate of the display is
+        this.setTickRate(options.tickRate || 60);
+        this.maxUpdateSteps = options.maxUpdateSteps || 5;
+        this.interpolate = typeof options.interpolate !== 'undefined' ? options.interpolate : true;
 
-        // rendering loop
+        // time that hasn't been consumed by scene updates yet
+        this.accumulator = 0;
+        // timestamp of the last rendered frame
+        this.lastFrameTime = null;
+
+        // game loop
         this.animFrame = null;
 
         // listen for all events
@@ -111,7 +198,7 @@ class Game {
             this.setScene(options.scene);
         }
 
-        if (this.debug) {
+        if (this.debug && !this.headless) {
             document.addEventListener('keyup', (event) => {
                 if (event.keyCode === 68) {
                     if (this.scene) {
@@ -137,6 +224,23 @@ class Game {
         }
     }
 
+    /**
+     * Sets the fps counter that is displayed when the `showFps` option is set
+     *
+     * The counter needs a window as soon as it is imported: the AthenaJS bundle sets it, but games
+     * importing the engine modules where there is no window (eg. headless games in Node) can leave it unset.
+     *
+     * @param {Function} counter The fpscounter function.
+     *
+     * @example
+     * import fpscounter from 'athenajs/js/lib/fpscounter/fpscounter.min';
+     *
+     * Game.setFpsCounter(fpscounter);
+     */
+    static setFpsCounter(counter) {
+        fpscounter = counter;
+    }
+
     /**
      * Creates the tile inspector, adding it onto the DOM and starts listening for events
      * 
@@ -329,19 +433,51 @@ class Game {
     /**
      * Sets a new scene as the current scene
      *
+     * If a transition is specified, the outgoing effect is played on the current scene while
+     * the new scene's resources are loaded, then the incoming effect is played on the new scene.
+     *
+     * Scenes set while a transition is in progress are set once it is over, in the order they were set.
+     *
      * @param {Scene} scene instance to set as current Scene
+     * @param {Object} [options]
+     * @param {String|Object} [options.transition] The transition to use: can be `fade`, `mosaic`, `wipe`, the name of any
+     * registered effect, or an object of the form `{ name: 'fxName', when: 'pre|post', out: { ...fxOptions }, in: { ...fxOptions } }`.
+     * @param {Number} [options.duration=1000] The total duration of the transition (ms), split between the outgoing and the incoming effects.
+     * @param {String} [options.easing='linear'] The easing to use for the transition effects.
+     * @returns {Promise} a promise that is resolved once the scene has been started and the transition is over
      *
+     * @example
+     * game.setScene(new Level2(), {
+     *     transition: 'fade',
+     *     duration: 800
+     * });
      */
-    setScene(scene) {
+    setScene(scene, options = {}) {
         console.log(`[Game] setScene: ${scene.name}`);
+        if (this.transition) {
+            return this.transitionEnd.then(() => this.setScene(scene, options));
+        }
+
+        // transitions need a display
+        if (this.scene !== scene && scene && options.transition && this.display) {
+            const transition = this._getTransition(options.transition);
+
+            if (transition) {
+                return this._transitionToScene(scene, transition, options);
+            }
+        }
+
         if (this.scene !== scene) {
             if (this.scene) {
-                // stops render + input loops
+                // stops the game loop
                 this._stopSceneLoops();
 
                 // stops the scene from running
                 this.scene._stop();
 
+                // along with the scenes it was covering
+                this._clearSceneStack();
+
                 this.toggleTileInspector(false);
             }
 
@@ -354,56 +490,482 @@ class Game {
 
                 // console.log('**resetMap', resetMap);
                 //*** this.startScene(resetMap);
-                this._setupScene(scene);
+                return this._setupScene(scene);
             } else {
                 console.warn('[Game] Attempt to set non-existing scene:', scene);
             }
         }
+
+        return Deferred.resolve();
+    }
+
+    /**
+     * Returns the description of a transition
+     *
+     * @param {String|Object} transition The name of a built-in transition, an effect name or a custom transition.
+     * @returns {Object} the transition or null if it couldn't be found
+     *
+     * @private
+     */
+    _getTransition(transition) {
+        if (typeof transition === 'string') {
+            transition = TRANSITIONS[transition] || {
+                name: transition,
+                out: { startValue: 1, endValue: 0 },
+                in: { startValue: 0, endValue: 1 }
+            };
+        }
+
+        if (!FX.getEffect(transition.name)) {
+            console.warn(`[Game] unknown scene transition: ${transition.name}`);
+            return null;
+        }
+
+        return transition;
+    }
+
+    /**
+     * Plays a transition between the current scene and a new one: the new scene is loaded
+     * while the outgoing effect is played.
+     *
+     * <blockquote><strong>Note:</strong> the current scene doesn't receive input anymore once the transition has started.</blockquote>
+     *
+     * @param {Scene} scene The new scene.
+     * @param {Object} transition The transition to play.
+     * @param {Object} options The options that were passed to `setScene`.
+     * @returns {Promise} a promise that is resolved once the incoming effect is over
+     *
+     * @private
+     */
+    _transitionToScene(scene, transition, options) {
+        const previous = this.scene,
+            opacity = previous && previous.getOpacity(),
+            duration = (options.duration || 1000) / 2;
+
+        let fadeOut = Deferred.resolve();
+
+        this.transition = transition;
+
+        // the current scene may still be loading: there's nothing to fade out
+        if (this.loaderScene) {
+            this._stopLoader();
+        }
+
+        // the outgoing effect can only be played if the scene is running
+        if (previous && this.running && transition.out) {
+            fadeOut = previous.animate(transition.name, this._getTransitionOptions(transition, 'out', duration, options.easing)).then(() => {
+                // stop right away so that the last frame of the effect stays on screen
+                this._stopSceneLoops();
+            });
+        }
+
+        // meanwhile, load the new scene
+        const loaded = this._loadScene(scene);
+
+        this.transitionEnd = fadeOut.then(() => loaded).then(() => {
+            if (previous) {
+                this._stopSceneLoops();
+                previous._stop();
+                previous.setOpacity(opacity);
+                this._clearSceneStack();
+                this.toggleTileInspector(false);
+            }
+
+            this.scene = scene;
+
+            this._exposeScene(scene);
+
+            this.display && this.display.clearDisplay();
+            this._startScene();
+
+            if (transition.in) {
+                return scene.animate(transition.name, this._getTransitionOptions(transition, 'in', duration, options.easing));
+            }
+        }).then(() => {
+            this.transition = null;
+        }).catch(err => {
+            this.transition = null;
+            console.error(err);
+        });
+
+        return this.transitionEnd;
+    }
+
+    /**
+     * Returns the options for one of the effects of a transition
+     *
+     * @param {Object} transition The transition.
+     * @param {String} direction `in` or `out`.
+     * @param {Number} duration The duration of the effect.
+     * @param {String} [easing] The easing to use.
+     * @returns {Object} the effect options
+     *
+     * @private
+     */
+    _getTransitionOptions(transition, direction, duration, easing) {
+        return Object.assign({
+            duration: duration,
+            when: transition.when || 'pre',
+            easing: easing
+        }, transition[direction]);
+    }
+
+    /**
+     * Pushes a new scene on top of the current one: unlike `setScene`, the current scene
+     * isn't stopped and will be back once the new scene is popped using `popScene`.
+     *
+     * This is useful for pause menus, dialogs, inventory screens,...
+     *
+     * <blockquote><strong>Note:</strong> only the top scene receives input: key callbacks of the
+     * scene below are restored when the top scene is popped.</blockquote>
+     *
+     * @param {Scene} scene The scene to push.
+     * @param {Object} [options]
+     * @param {Boolean} [options.pauseBelow=true] Set to false to keep updating the scene below.
+     * @param {Boolean} [options.renderBelow=true] Set to false to stop rendering the scene below.
+     * @returns {Promise} a promise that is resolved once the new scene has been started
+     *
+     * @example
+     * game.pushScene(new PauseMenu(), {
+     *     renderBelow: true,
+     *     pauseBelow: true
+     * });
+     */
+    pushScene(scene, options = {}) {
+        if (!this.scene) {
+            return this.setScene(scene);
+        }
+
+        console.log(`[Game] pushScene: ${scene.name}`);
+
+        const below = {
+            scene: this.scene,
+            pauseBelow: typeof options.pauseBelow !== 'undefined' ? options.pauseBelow : true,
+            renderBelow: typeof options.renderBelow !== 'undefined' ? options.renderBelow : true
+        };
+
+        this._stopSceneLoops();
+        this.toggleTileInspector(false);
+
+        if (below.pauseBelow) {
+            below.scene.clock.pause();
+            below.scene.pause(false);
+        }
+
+        this.sceneStack.push(below);
+
+        // key callbacks of the scene below are saved
+        Input.pushContext();
+
+        return this._setupScene(scene);
+    }
+
+    /**
+     * Removes the top scene that was added using `pushScene` and goes back to the scene below
+     */
+    popScene() {
+        const below = this.sceneStack.pop();
+
+        if (!below) {
+            console.warn('[Game] popScene() - there is no scene to go back to.');
+            return;
+        }
+
+        console.log(`[Game] popScene: ${this.scene.name}`);
+
+        // the popped scene may still be loading
+        if (this.loaderScene) {
+            this._stopLoader();
+        }
+
+        this._stopSceneLoops();
+        this.toggleTileInspector(false);
+        this.scene._stop();
+
+        Input.popContext();
+
+        this.scene = below.scene;
+
+        this._exposeScene(this.scene);
+
+        if (below.pauseBelow) {
+            this.scene.clock.resume();
+            this.scene.pause(true);
+        }
+
+        this.display && this.display.clearAllScreens();
+        this._invalidateScenes();
+
+        this._startSceneLoop();
+    }
+
+    /**
+     * Stops every scene of the scene stack
+     *
+     * @private
+     */
+    _clearSceneStack() {
+        while (this.sceneStack.length) {
+            this.sceneStack.pop().scene._stop();
+        }
+
+        Input.clearContexts();
+    }
+
+    /**
+     * Returns scenes of the stack that are below the top scene, as long as they match the specified filter
+     *
+     * @param {Function} filter The function that's called with each stack entry, from top to bottom.
+     * @returns {Array<Scene>} the scenes, from bottom to top
+     *
+     * @private
+     */
+    _getScenesBelow(filter) {
+        const scenes = [];
+
+        for (let i = this.sceneStack.length - 1; i >= 0 && filter(this.sceneStack[i]); --i) {
+            scenes.unshift(this.sceneStack[i].scene);
+        }
+
+        return scenes;
+    }
+
+    /**
+     * Debug: exposes the current scene as `window.currentScene`
+     *
+     * @param {Scene} scene The current scene.
+     *
+     * @private
+     */
+    _exposeScene(scene) {
+        if (typeof window !== 'undefined') {
+            window.currentScene = scene;
+        }
+    }
+
+    /**
+     * Returns the scenes that should be rendered beneath the running scene
+     *
+     * @returns {Array<Scene>} the scenes, from bottom to top
+     *
+     * @private
+     */
+    _getRenderedScenesBelow() {
+        return this.loaderScene ? [] : this._getScenesBelow(below => below.renderBelow);
+    }
+
+    /**
+     * Forces maps of every scene to be redrawn: this is needed once the display has been cleared
+     *
+     * @private
+     */
+    _invalidateScenes() {
+        this.sceneStack.map(below => below.scene).concat(this.scene).forEach((scene) => {
+            if (scene.map) {
+                scene.map.isDirty = true;
+            }
+        });
     }
 
     _startScene() {
         // console.log('[Game] _startScene()');
         const hudScene = this.scene.hudScene;
-        this.display.clearAllScreens();
-        this.scene._start();
+        this.display && this.display.clearAllScreens();
+        this._invalidateScenes();
+        this.scene._start(this._getSceneSeed());
         this.scene.start();
 
         if (hudScene) {
             hudScene.start();
         }
 
-        this._runSceneLoop();
-        this._renderSceneLoop();
+        if (this.replay) {
+            this._startReplay();
+        }
+
+        // first update is done right away so that the scene is never rendered before being updated:
+        // scenes that are resumed or popped back have already been updated
+        this._updateScene();
+
+        this._startSceneLoop();
+    }
+
+    /**
+     * Starts recording input: the scene is (re)started and key states are recorded on each update
+     * until `stopRecording` is called.
+     *
+     * @param {Scene} scene The scene to record.
+     * @param {Object} [options]
+     * @param {Number} [options.seed] The seed of the scene's random number generator, saved along with the recording. Defaults
+     * to the scene's seed if it has one, or a seed generated by the game.
+     * @returns {Promise} a promise that is resolved once the scene has been started
+     *
+     * @example
+     * game.startRecording(level1).then(() => {
+     *     // ...
+     * });
+     *
+     * // later
+     * const json = JSON.stringify(game.stopRecording());
+     */
+    startRecording(scene, options = {}) {
+        this.replay = {
+            mode: 'record',
+            seed: options.seed
+        };
+
+        return this._restartScene(scene);
+    }
+
+    /**
+     * Stops recording input
+     *
+     * @returns {Object} the recording, that can be exported to JSON and played using `playRecording`
+     */
+    stopRecording() {
+        return Input.stopRecordingEvents();
+    }
+
+    /**
+     * Plays a recording: the scene is (re)started with the recorded seed and recorded key states are replayed
+     * on each update, so that the recorded session is reproduced.
+     *
+     * @param {String|Object} recording The recording to play, as returned by `stopRecording` or its JSON version.
+     * @param {Scene} scene The scene to play the recording with, should be the same as the recorded one.
+     * @param {Function} [onEnd] A function to call once the whole recording has been played.
+     * @returns {Promise} a promise that is resolved once the scene has been started
+     */
+    playRecording(recording, scene, onEnd) {
+        recording = Input.importRecording(recording);
+
+        if (recording.scene && recording.scene !== scene.name) {
+            console.warn(`[Game] playRecording() - recording was made with scene ${recording.scene}, playing it with ${scene.name}`);
+        }
+
+        if (recording.tickRate && recording.tickRate !== this.tickRate) {
+            console.warn(`[Game] playRecording() - recording was made at ${recording.tickRate} updates per second, playing it at ${this.tickRate}`);
+        }
+
+        this.replay = {
+            mode: 'play',
+            recording: recording,
+            onEnd: onEnd
+        };
+
+        return this._restartScene(scene);
+    }
+
+    /**
+     * Sets a scene, restarting it if it's already the current one
+     *
+     * @param {Scene} scene The scene to start.
+     * @returns {Promise} a promise that is resolved once the scene has been started
+     *
+     * @private
+     */
+    _restartScene(scene) {
+        if (this.scene === scene) {
+            if (this.loaderScene) {
+                this._stopLoader();
+            }
+
+            this._stopSceneLoops();
+            this.scene._stop();
+            this._clearSceneStack();
+            this.scene = null;
+        }
+
+        return this.setScene(scene);
+    }
+
+    /**
+     * Returns the seed to use for the scene that's about to be started
+     *
+     * @returns {Number} the seed of the recording that's being recorded/played, the scene's seed, or a seed
+     * generated by the game's random number generator.
+     *
+     * @private
+     */
+    _getSceneSeed() {
+        const replay = this.replay,
+            scene = this.scene;
+
+        if (replay && replay.mode === 'play' && replay.recording.seed !== null) {
+            return replay.recording.seed;
+        } else if (replay && typeof replay.seed !== 'undefined') {
+            return replay.seed;
+        } else if (typeof scene.seed !== 'undefined') {
+            return scene.seed;
+        }
+
+        return this.random.integer(0, 0xffffffff);
+    }
+
+    /**
+     * Starts the pending input recording or playback, once the scene has been started
+     *
+     * @private
+     */
+    _startReplay() {
+        const replay = this.replay;
+
+        this.replay = null;
+
+        if (Input.recording) {
+            Input.stopRecordingEvents();
+        }
+
+        Input.playingEvents = false;
+
+        if (replay.mode === 'record') {
+            Input.startRecordingEvents({
+                scene: this.scene.name,
+                seed: this.scene.random.seed,
+                tickRate: this.tickRate
+            });
+        } else {
+            Input.playRecordedEvents(replay.recording, replay.onEnd);
+        }
     }
 
     _setupScene(scene) {
         // console.log('[Game] _setupScene()');
-        this.scene = scene;
+        const loader = !scene.loaded && this._getLoader();
 
-        const hudScene = scene.hudScene;
+        if (this.loaderScene) {
+            this._stopLoader();
+        }
 
-        // Debug
-        window.currentScene = scene;
+        this.scene = scene;
 
-        // first do internal stuff
-        this.scene.setDisplay(this.display);
-        this.display.clearDisplay();
+        this._exposeScene(scene);
 
-        // call the scene's internal setup method: we don't want to
-        // rely on the user calling the parent scene's method so we call
-        // it ourselves
-        this.scene._setup();
-        // then the public one
-        this.scene.setup();
-        if (hudScene) {
-            hudScene.setup();
+        // pushed scenes keep effects of the scenes below running
+        if (!this.sceneStack.length) {
+            this.display && this.display.clearDisplay();
         }
 
         // finally load the scene, and call startScene once the scene has been loaded
-        this.scene._load().then((scene) => {
+        const loaded = this._loadScene(scene, loader ? (progress, info) => loader.onProgress(progress, info) : undefined);
+
+        if (loader) {
+            this._startLoader(loader, scene);
+        }
+
+        return loaded.then((scene) => {
             if (this.scene === scene) {
+                if (this.loaderScene) {
+                    this._stopLoader();
+                }
+
                 this._startScene();
             } else {
+                // the loader is still showing the progress of this scene: the current scene has to be run again
+                if (this.loadingScene === scene) {
+                    this._stopLoader();
+                    this.scene && this._startSceneLoop();
+                }
+
                 console.warn('[Game] scene', scene, 'has finished loading but is not the current scene anymore so it won\'t be started.');
             }
         }).catch(err => {
@@ -412,89 +974,289 @@ class Game {
     }
 
     /**
-     * This is the render scene loop that's get called at up to 60 times per second
+     * Returns the loader scene to display while loading resources
      *
+     * @returns {Scene} the loader scene or null if the loader is disabled
      *
      * @private
      */
-    _renderSceneLoop(/*time*/) {
-        var scene = this.scene;
+    _getLoader() {
+        if (this.loader === true) {
+            this.loader = new Loader();
+        }
 
-        if (this.running) {
-            // if we are playing events, set on each frame
-            // TODO: maybe we could throttle it for 1/2 frame
-            if (Input.playingEvents) {
-                Input.nextRecordedEvents();
-            }
+        return this.loader || null;
+    }
 
-            // schedule a call for next frame
-            this.animFrame = window.requestAnimationFrame(this._renderSceneLoop.bind(this));
+    /**
+     * Starts the loader scene: it is run by the game loop until the scene resources have been loaded
+     *
+     * @param {Scene} loader The loader scene.
+     * @param {Scene} scene The scene whose resources are being loaded.
+     *
+     * @private
+     */
+    _startLoader(loader, scene) {
+        this.loaderScene = loader;
+        this.loadingScene = scene;
 
-            // render the scone onto the current display
-            this.display.renderScene(scene);
+        loader.setDisplay(this.display);
+        loader._start();
+        loader.start();
 
-            // TODO: hudScene drawing is hardcoded into display
-            // this should be moved back here
-            if (scene.hudScene) {
-                // use another display (canvas) for the hud: we could use the same one
-                // this.display.renderSecondary(scene.hudScene);
-                //
-                // this.display.renderScene(scene.hudScene);
-            }
+        this._startSceneLoop();
+    }
 
-            // if we are recording events, we do it on each frame
-            // TODO: maybe we could only record once key has been received ?
-            if (Input.recording) {
-                Input.recordEvents();
-            }
+    /**
+     * Stops the loader scene
+     *
+     * @private
+     */
+    _stopLoader() {
+        this._stopSceneLoops();
+        this.loaderScene._stop();
+        this.loaderScene = null;
+        this.loadingScene = null;
+    }
+
+    /**
+     * Returns the scene that's currently run by the game loop: this is the loader scene
+     * while scene resources are loading
+     *
+     * @returns {Scene} the running scene
+     *
+     * @private
+     */
+    _getRunningScene() {
+        return this.loaderScene || this.scene;
+    }
+
+    /**
+     * Sets up a scene and loads its resources
+     *
+     * @param {Scene} scene The scene to load.
+     * @param {Function} [progressCb=undefined] A progress callback that gets called after each resource has been processed.
+     * @returns {Promise} a promise that is resolved with the scene once it has been loaded
+     *
+     * @private
+     */
+    _loadScene(scene, progressCb) {
+        const hudScene = scene.hudScene;
+
+        // first do internal stuff
+        scene.setDisplay(this.display);
+
+        // call the scene's internal setup method: we don't want to
+        // rely on the user calling the parent scene's method so we call
+        // it ourselves
+        scene._setup();
+        // then the public one
+        scene.setup();
+        if (hudScene) {
+            hudScene.setup();
         }
+
+        return scene._load(progressCb);
     }
 
+    /**
+     * Changes the number of scene updates per second
+     *
+     * @param {Number} tickRate The new number of updates per second.
+     */
+    setTickRate(tickRate) {
+        this.tickRate = tickRate;
+        this.tickDuration = 1000 / tickRate;
+    }
 
     /**
-     * Main event loop: handles scene based-events
+     * Starts the game loop
      *
      * @private
      */
-    _runSceneLoop() {
-        let scene = this.scene;
+    _startSceneLoop() {
+        this.running = true;
+
+        this.accumulator = 0;
+        this.lastFrameTime = null;
+
+        // headless games are updated using step()
+        if (!this.headless) {
+            this.animFrame = window.requestAnimationFrame(this._sceneLoop.bind(this));
+        }
+    }
+
+    /**
+     * Manually advances the game by the specified amount of time, running as many fixed-step updates
+     * as needed, then renders the scene if the game has a display.
+     *
+     * This is how headless games are run, for example to test level logic, behaviors and collisions in Node:
+     * unlike the game loop, there is no limit to the number of updates that can be run.
+     *
+     * <blockquote><strong>Note:</strong> this method should not be used while the game loop is running.</blockquote>
+     *
+     * @param {Number} [elapsed=this.tickDuration] The time to advance the game by, in milliseconds.
+     * @returns {Number} the number of scene updates that were run
+     *
+     * @example
+     * const game = new Game({ headless: true });
+     *
+     * game.setScene(new Level1()).then(() => {
+     *     // simulate 10 seconds of gameplay
+     *     game.step(10000);
+     * });
+     */
+    step(elapsed = this.tickDuration) {
+        let steps = 0;
 
         if (!this.running) {
-            this.running = true;
+            return steps;
         }
 
-        scene.update(new Date().getTime());
+        steps = this._runUpdates(elapsed, Infinity);
 
-        if (this.running) {
-            this.timeout = setTimeout(this._runSceneLoop.bind(this), 16);
+        if (this.display) {
+            this.display.renderScene(this._getRunningScene(), this.interpolate ? this.accumulator / this.tickDuration : 1, this._getRenderedScenesBelow());
+        }
+
+        return steps;
+    }
+
+    /**
+     * Accumulates elapsed time and consumes it by running fixed-duration scene updates
+     *
+     * Elapsed time is scaled using the scene clock's `timeScale`, so that slowing down the clock
+     * slows down the whole scene, and nothing is updated while the scene clock is paused.
+     *
+     * @param {Number} elapsed The elapsed time, in milliseconds.
+     * @param {Number} maxSteps The maximum number of updates to run.
+     * @returns {Number} the number of updates that were run
+     *
+     * @private
+     */
+    _runUpdates(elapsed, maxSteps) {
+        const clock = this._getRunningScene().clock;
+        let steps = 0;
+
+        if (!clock.paused) {
+            this.accumulator += elapsed * clock.timeScale;
+        }
+
+        while (this.accumulator >= this.tickDuration && steps < maxSteps) {
+            this._updateScene();
+            this.accumulator -= this.tickDuration;
+            steps++;
+        }
+
+        return steps;
+    }
+
+    /**
+     * Runs a single fixed-step scene update: the scene clock is advanced by exactly one tick
+     *
+     * Scenes below the current one are updated first if they have not been paused, without input.
+     *
+     * @private
+     */
+    _updateScene() {
+        if (this.loaderScene) {
+            this.loaderScene._update(this.tickDuration);
+            return;
+        }
+
+        const scenesBelow = this._getScenesBelow(below => !below.pauseBelow),
+            focusScene = Input.focusScene,
+            currentScene = Input.currentScene;
+
+        // scenes below the top one don't see pressed keys
+        if (scenesBelow.length) {
+            Input.focusScene = this.scene;
+
+            try {
+                scenesBelow.forEach((scene) => {
+                    Input.currentScene = scene;
+                    scene._update(this.tickDuration);
+                });
+            } finally {
+                Input.focusScene = focusScene;
+                Input.currentScene = currentScene;
+            }
         }
+
+        // replays are made of the key states seen by each scene update
+        if (Input.playingEvents) {
+            Input.nextRecordedEvents();
+        } else if (Input.recording) {
+            Input.recordEvents();
+        }
+
+        this.scene._update(this.tickDuration);
+    }
+
+    /**
+     * This is the main game loop that's called by requestAnimationFrame.
+     *
+     * Elapsed time is accumulated and consumed by fixed-duration scene updates: there may
+     * be zero or several updates per rendered frame, depending on the display refresh rate.
+     * The remaining time is then used to compute the interpolation alpha used when rendering.
+     *
+     * @param {Number} time The current time, as sent by requestAnimationFrame.
+     *
+     * @private
+     */
+    _sceneLoop(time) {
+        let scene = this._getRunningScene();
+
+        if (!this.running) {
+            return;
+        }
+
+        // schedule a call for next frame
+        this.animFrame = window.requestAnimationFrame(this._sceneLoop.bind(this));
+
+        this._runUpdates(this.lastFrameTime !== null ? time - this.lastFrameTime : 0, this.maxUpdateSteps);
+
+        this.lastFrameTime = time;
+
+        // we could not catch up (tab throttled, slow device,...): drop remaining time
+        // instead of trying to run more and more updates on each frame
+        if (this.accumulator >= this.tickDuration) {
+            this.accumulator %= this.tickDuration;
+        }
+
+        // render the scene onto the current display
+        this.display.renderScene(scene, this.interpolate ? this.accumulator / this.tickDuration : 1, this._getRenderedScenesBelow());
     }
 
     /**
-     * Pauses the game: both loops are stopped so almost no cpu/gpu is used when calling it
+     * Pauses the game: the game loop is stopped so almost no cpu/gpu is used when calling it,
+     * and the scene clock is paused so that timers and effects resume where they were.
      *
      */
     togglePause() {
+        const scene = this._getRunningScene();
+
         if (this.running) {
             this.running = false;
             // let the scene have a chance to update display, like showing
             // a pause logo, etc...
-            this.scene.pause(this.running);
+            scene.pause(this.running);
+            // freeze scene time so that timers, effects and animations don't advance
+            scene.clock.pause();
             // and display changes
-            this.display.renderScene(this.scene);
+            this.display && this.display.renderScene(scene, 1, this._getRenderedScenesBelow());
             // then immediately stop the scene
             this._stopSceneLoops();
         } else {
-            this.running = true;
-            this.scene.pause(this.running);
+            scene.clock.resume();
+            scene.pause(true);
 
-            this._runSceneLoop();
-            this._renderSceneLoop();
+            this._startSceneLoop();
         }
     }
 
     /**
-     * Stops current scene from running: this will both halt render & event loops
+     * Stops current scene from running: this will halt the game loop
      *
      * Use Game.togglePauseGame() to temporarly pause a game
      *
@@ -504,16 +1266,12 @@ class Game {
     _stopSceneLoops() {
         this.running = false;
 
-        console.log('[Game] Scene stopped, stopping run & render loops');
+        console.log('[Game] Scene stopped, stopping game loop');
 
         if (this.animFrame) {
             window.cancelAnimationFrame(this.animFrame);
             this.animFrame = null;
         }
-        if (this.timeout) {
-            clearTimeout(this.timeout);
-            this.timeout = null;
-        }
     }
 
 }
@@ -1,6 +1,10 @@
 // import VirtualJoystick from '../lib/virtualJoystick/virtualJoystick';
 
 /*globals VirtualJoystick*/
+
+// version of the recording format, see InputManager.getRecording()
+const RECORDING_VERSION = 1;
+
 /**
  * Handles keyboard input (joystick input doesn't work correctly yet).
  *
@@ -8,6 +12,20 @@
  * another hash this.keyCb.
  *
  * The InputManager can also be used to record keystrokes which can then be played back to produce game demos for example.
+ * Key states are recorded on each scene update, and only changes are saved: recordings can be exported to JSON and imported back
+ * to replay a game session and reproduce bugs.
+ *
+ * @example
+ *
+ * // a recording, as returned by InputManager.getRecording(): the RIGHT key is pressed on the 10th update and released on the 70th
+ * {
+ *     version: 1,
+ *     scene: 'level1',
+ *     seed: 1234,
+ *     tickRate: 60,
+ *     length: 120,
+ *     frames: [{ tick: 10, keys: { 39: true } }, { tick: 70, keys: { 39: false } }]
+ * }
  *
  * @example
  *
@@ -60,12 +78,28 @@ const InputManager = {
     recording: false,
     playingEvents: false,
     playingPos: 0,
+    // recorded key changes of the form { tick: 10, keys: { 37: true } }
     recordedEvents: [],
+    // information about the recorded session (scene, seed, tickRate)
+    recordInfo: {},
+    // number of updates that have been recorded/played
+    recordTick: 0,
+    // total number of updates of the recording that's played
+    playLength: 0,
+    playEndCb: null,
+    // last recorded/played key states
+    lastRecordedKeys: {},
     pad: null,
     latches: {},
     keyPressed: {},
     padPressed: {},
     keyCb: {},
+    // saved key callbacks, see pushContext()
+    contexts: [],
+    // when scenes are stacked, only the focused scene sees pressed keys while it's updated, see getKeyStatus()
+    focusScene: null,
+    // scene that's currently being updated
+    currentScene: null,
     enabled: true,
     inputMode: 'keyboard',
     // virtual joystick instance
@@ -127,78 +161,165 @@ const InputManager = {
     },
     /**
      * Starts recording input events. They are stored into `InputManager.recordedEvents`
+     *
+     * @param {Object} [info={}] Information about the recorded session that will be saved along with the recording.
+     * @param {String} [info.scene] The name of the recorded scene.
+     * @param {Number} [info.seed] The seed of the random number generator used by the scene.
+     * @param {Number} [info.tickRate] The number of updates per second of the game.
      */
-    startRecordingEvents: function () {
+    startRecordingEvents: function (info = {}) {
         if (!this.recording) {
-            this.recordedEvents.length = 0;
+            this.recordedEvents = [];
+            this.recordInfo = info;
+            this.recordTick = 0;
+            this.lastRecordedKeys = {};
             this.recording = true;
             console.log('[InputManager] Starting record of input events!');
         }
     },
     /**
      * Stops recording events.
+     *
+     * @returns {Object} the recording
      */
     stopRecordingEvents: function () {
         this.recording = false;
         console.log('[InputManager] Stoping record of input events, recorded', this.recordedEvents.length, 'events');
+
+        return this.getRecording();
+    },
+    /**
+     * Returns the last recording
+     *
+     * @returns {Object} the recording, see the example at the top of this page.
+     */
+    getRecording: function () {
+        return {
+            version: RECORDING_VERSION,
+            scene: this.recordInfo.scene || null,
+            seed: typeof this.recordInfo.seed !== 'undefined' ? this.recordInfo.seed : null,
+            tickRate: this.recordInfo.tickRate || null,
+            length: this.recordTick,
+            frames: this.recordedEvents
+        };
+    },
+    /**
+     * Exports the last recording to JSON
+     *
+     * @returns {String} the JSON recording
+     */
+    exportRecording: function () {
+        return JSON.stringify(this.getRecording());
+    },
+    /**
+     * Imports a recording that was exported using `exportRecording`
+     *
+     * @param {String|Object} json The recording to import.
+     * @returns {Object} the recording
+     */
+    importRecording: function (json) {
+        const recording = typeof json === 'string' ? JSON.parse(json) : json;
+
+        if (!recording || recording.version !== RECORDING_VERSION || !Array.isArray(recording.frames)) {
+            throw `[InputManager] importRecording() - unsupported recording version: ${recording && recording.version}`;
+        }
+
+        return recording;
     },
     /**
      * After events have been reccorded they can be played back using this method.
+     *
+     * While a recording is played, keyboard events are ignored.
+     *
+     * @param {String|Object} [recording] The recording to play, defaults to the last recorded one.
+     * @param {Function} [onEnd] A function to call once the whole recording has been played.
      */
-    playRecordedEvents: function () {
+    playRecordedEvents: function (recording, onEnd) {
         if (!this.playingEvents) {
             console.log('[InputManager] Starting to play an existing record of input events!');
+
+            if (recording) {
+                recording = this.importRecording(recording);
+                this.recordedEvents = recording.frames;
+                this.playLength = recording.length;
+            } else {
+                this.playLength = this.recordTick;
+            }
+
+            this.playEndCb = onEnd || null;
             this.playingEvents = true;
-            this.playPos = 0;
+            this.playingPos = 0;
+            this.recordTick = 0;
+            this.lastRecordedKeys = {};
+            this.keyPressed = {};
+            this.latches = {};
         }
     },
     /**
-     * Sets next key states using recorded events
+     * Sets next key states using recorded events: this is called by the game before each scene update
      *
-     * TODO: add an optional callback to be called at the end of the playback
-     * so that demo can be looped.
+     * Key callbacks are called for keys that changed.
      */
     nextRecordedEvents: function () {
-        if (this.playingPos >= this.recordedEvents.length) {
+        if (this.recordTick >= this.playLength) {
+            const onEnd = this.playEndCb;
+
             this.playingEvents = false;
-            // TODO: reset keys so that movement does not continue
-            this.keyPressed = {
-                '38': false,
-                '40': false,
-                '37': false,
-                '39': false,
-                '32': false,
-                '13': false,
-                '27': false,
-                '17': false
-            };
+            this.playEndCb = null;
+            // reset keys so that movement does not continue
+            this._resetKeys();
             console.log('[InputManager] Reached the end of recorded events, resetting keys status to default!');
+
+            onEnd && onEnd();
         } else {
-            this.keyPressed = this.recordedEvents[this.playingPos++];
-            // TODO: we should call any callback as well
-            // for (keyCode in this.keyPressed) {
-            //  if (this.keyPressed[keyCode] === true && this.keyCb[keyCode]) {
-            //      this.keyCb[keyCode].down.fire();
-            //  }
-            // }
-            //
+            let frame = this.recordedEvents[this.playingPos];
+
+            while (frame && frame.tick === this.recordTick) {
+                Object.keys(frame.keys).forEach((keyCode) => {
+                    const pressed = frame.keys[keyCode];
+
+                    this.keyPressed[keyCode] = pressed;
+                    this.lastRecordedKeys[keyCode] = pressed;
+
+                    if (this.enabled && this.keyCb[keyCode]) {
+                        this.keyCb[keyCode][pressed ? 'down' : 'up'].forEach((callback) => { callback(String.fromCharCode(parseInt(keyCode, 10))); });
+                    }
+                });
+
+                frame = this.recordedEvents[++this.playingPos];
+            }
+
+            this.recordTick++;
         }
     },
     /**
-     * Saves current event state onto the recordedEvents stack
+     * Saves changes of key states since the last update onto the recordedEvents stack: this is called
+     * by the game before each scene update
      *
      * @private
      */
     recordEvents: function () {
-        /*            'UP': 38,
-                    'DOWN': 40,
-                    'LEFT': 37,
-                    'RIGHT': 39,
-                    'SPACE': 32,
-                    'ENTER': 13,
-                    'ESCAPE': 27,
-                    'CTRL': 17*/
-        this.recordedEvents.push(JSON.parse(JSON.stringify(this.keyPressed)));
+        const keys = {};
+        let changed = false;
+
+        Object.keys(this.keyPressed).concat(Object.keys(this.lastRecordedKeys)).forEach((keyCode) => {
+            const pressed = !!this.keyPressed[keyCode];
+
+            if (pressed !== !!this.lastRecordedKeys[keyCode]) {
+                keys[keyCode] = pressed;
+                this.lastRecordedKeys[keyCode] = pressed;
+                changed = true;
+            }
+        });
+
+        if (changed) {
+            this.recordedEvents.push({
+                tick: this.recordTick,
+                keys: keys
+            });
+        }
+
+        this.recordTick++;
     },
     /**
      * Changes input mode
@@ -545,9 +666,23 @@ const InputManager = {
         return result;
     },
 
+    /**
+     * Returns the status of a key
+     *
+     * <blockquote><strong>Note:</strong> keys are reported as released to scenes that don't have the focus,
+     * like scenes that keep running below a scene pushed using `Game.pushScene()`.</blockquote>
+     *
+     * @param {Number|String} key The keyCode of the key.
+     * @param {Boolean} [latch=false] Set to true to report the key as released until it is released and pressed again.
+     * @returns {Boolean} true if the key is pressed
+     */
     getKeyStatus: function (key, latch) {
         let keyPressed;
 
+        if (this.focusScene && this.currentScene && this.currentScene !== this.focusScene) {
+            return false;
+        }
+
         try {
             keyPressed = this.keyPressed[key] || this.padPressed[key];
 
@@ -601,6 +736,33 @@ const InputManager = {
     clearEvents: function () {
         this.keyPressed = {};
         this.keyCb = {};
+    },
+    /**
+     * Saves current key callbacks and starts with an empty set of callbacks: this is used
+     * when a scene is pushed on top of another one so that only the top scene receives input.
+     *
+     * Previous callbacks are restored using `popContext()`.
+     */
+    pushContext: function () {
+        this.contexts.push(this.keyCb);
+        this.keyCb = {};
+        this.keyPressed = {};
+    },
+    /**
+     * Restores the key callbacks that were saved by the last call to `pushContext()`
+     */
+    popContext: function () {
+        if (this.contexts.length) {
+            this.keyCb = this.contexts.pop();
+        }
+
+        this.keyPressed = {};
+    },
+    /**
+     * Drops every saved context, keeping current key callbacks
+     */
+    clearContexts: function () {
+        this.contexts = [];
     }
 };
 
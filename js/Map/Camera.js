@@ -0,0 +1,649 @@
+import FX from '../FX/FX';
+import Deferred from '../Util/Deferred';
+import Random from '../Util/Random';
+
+/**
+ * Multiplies two canvas transformation matrices of the form [a, b, c, d, e, f]
+ *
+ * @param {Array} m1 The first matrix.
+ * @param {Array} m2 The second matrix.
+ * @returns {Array} the resulting matrix
+ *
+ * @private
+ */
+function multiply(m1, m2) {
+    return [
+        m1[0] * m2[0] + m1[2] * m2[1],
+        m1[1] * m2[0] + m1[3] * m2[1],
+        m1[0] * m2[2] + m1[2] * m2[3],
+        m1[1] * m2[2] + m1[3] * m2[3],
+        m1[0] * m2[4] + m1[2] * m2[5] + m1[4],
+        m1[1] * m2[4] + m1[3] * m2[5] + m1[5]
+    ];
+}
+
+/**
+ * The Camera decides which part of a `Map` is visible by moving the map's viewport around a target.
+ *
+ * Every map has a camera, the following modes are available:
+ *
+ * - `screen` (default): the viewport is scrolled by a fixed amount (with map.easing and map.duration) once the target gets
+ * close to an edge of the viewport. Set `screenScrollX/Y` to the size of the viewport and `screenLimitX/Y` to 0 to get
+ * screen-by-screen scrolling.
+ * - `follow`: the viewport continuously follows the target, keeping it centered. Set `lerp` to less than 1 for smooth movement.
+ * - `deadzone`: the viewport only moves when the target leaves a window of the viewport.
+ * - `lookahead`: same as follow, but the viewport is shifted in the direction the target is moving to.
+ *
+ * The target can be any `Drawable`, or a fixed point `{ x: 100, y: 50 }`: it defaults to the master object of the map.
+ *
+ * The camera can also shake, zoom and rotate the view: these effects are applied to the map tiles, the map objects and debug overlays,
+ * and follow the scene clock. Like `animate` they return a promise that is resolved once the effect is over.
+ *
+ * @example
+ * map.camera.setMode('deadzone', {
+ *     deadZone: { x: 120, y: 80, width: 80, height: 60 },
+ *     lerp: 0.2
+ * });
+ *
+ * // look at a fixed point of the map
+ * map.camera.setTarget({ x: 400, y: 200 });
+ *
+ * // shake the view then zoom in around the player
+ * map.camera.shake({ intensity: 0.6, duration: 400 }).then(() => {
+ *     return map.camera.zoom({ scale: 2, x: player.x, y: player.y, duration: 1000 });
+ * });
+ */
+class Camera {
+    /**
+     * Creates a new Camera
+     *
+     * @param {Map} map The map the camera is attached to.
+     * @param {Object} [options]
+     * @param {String} [options.mode='screen'] The camera mode: `screen`, `follow`, `deadzone` or `lookahead`.
+     * @param {Drawable|Object} [options.target] The object or `{ x, y }` point to follow, defaults to the map's master object.
+     * @param {Number} [options.lerp=1] How fast the camera catches up with its destination on each update, from 0 to 1 (1 = immediately).
+     * @param {Object} [options.deadZone] The dead-zone window `{ x, y, width, height }`, relative to the viewport. Defaults to the center third of the viewport.
+     * @param {Number} [options.lookAheadX=64] Horizontal distance (pixels) to look ahead of the target in lookahead mode.
+     * @param {Number} [options.lookAheadY=0] Vertical distance (pixels) to look ahead of the target in lookahead mode.
+     * @param {Number} [options.lookAheadLerp=0.05] How fast the look-ahead shift changes when the target changes direction, from 0 to 1.
+     * @param {Object} [options.bounds] The part of the map `{ x, y, width, height }` the camera is allowed to show, defaults to the whole map
+     * (see the `overscroll` option of the map).
+     * @param {Number} [options.offsetX=0] Horizontal offset (pixels) added to the target position.
+     * @param {Number} [options.offsetY=0] Vertical offset (pixels) added to the target position.
+     * @param {Number} [options.screenLimitX=230] In screen mode, the distance (pixels) to the left/right edges that triggers scrolling.
+     * @param {Number} [options.screenLimitY=154] In screen mode, the distance (pixels) to the top/bottom edges that triggers scrolling.
+     * @param {Number} [options.screenScrollX=307] In screen mode, the number of pixels to scroll horizontally.
+     * @param {Number} [options.screenScrollY=230] In screen mode, the number of pixels to scroll vertically.
+     */
+    constructor(map, options = {}) {
+        this.map = map;
+
+        this.target = options.target || null;
+        this.bounds = options.bounds || null;
+
+        this.offsetX = options.offsetX || 0;
+        this.offsetY = options.offsetY || 0;
+
+        this.screenLimitX = typeof options.screenLimitX !== 'undefined' ? options.screenLimitX : 230;
+        this.screenLimitY = typeof options.screenLimitY !== 'undefined' ? options.screenLimitY : 154;
+        this.screenScrollX = typeof options.screenScrollX !== 'undefined' ? options.screenScrollX : 307;
+        this.screenScrollY = typeof options.screenScrollY !== 'undefined' ? options.screenScrollY : 230;
+
+        this.setMode(options.mode || 'screen', options);
+
+        this.reset();
+        this.resetEffects();
+    }
+
+    /**
+     * Available camera modes
+     */
+    static get MODES() {
+        return ['screen', 'follow', 'deadzone', 'lookahead'];
+    }
+
+    /**
+     * Changes the camera mode
+     *
+     * @param {String} mode The new mode: `screen`, `follow`, `deadzone` or `lookahead`.
+     * @param {Object} [options] Mode-specific options, see the constructor.
+     */
+    setMode(mode, options = {}) {
+        if (Camera.MODES.indexOf(mode) === -1) {
+            throw `[Camera] setMode() - unknown camera mode: ${mode}`;
+        }
+
+        this.mode = mode;
+
+        if (typeof options.lerp !== 'undefined') {
+            this.lerp = Math.min(1, Math.max(0, options.lerp));
+        } else if (typeof this.lerp === 'undefined') {
+            this.lerp = 1;
+        }
+
+        if (options.deadZone) {
+            this.deadZone = options.deadZone;
+        }
+
+        this.lookAheadX = typeof options.lookAheadX !== 'undefined' ? options.lookAheadX : (this.lookAheadX || 64);
+        this.lookAheadY = typeof options.lookAheadY !== 'undefined' ? options.lookAheadY : (this.lookAheadY || 0);
+        this.lookAheadLerp = typeof options.lookAheadLerp !== 'undefined' ? options.lookAheadLerp : (this.lookAheadLerp || 0.05);
+    }
+
+    /**
+     * Sets the target of the camera
+     *
+     * @param {Drawable|Object} target The object or `{ x, y }` point to follow, null to follow the map's master object.
+     * @param {Boolean} [immediate=false] Set to true to move the viewport to the target right away.
+     */
+    setTarget(target, immediate = false) {
+        this.target = target || null;
+        this.lastTargetX = this.lastTargetY = null;
+
+        if (immediate) {
+            this.snap();
+        }
+    }
+
+    /**
+     * Sets the part of the map the camera is allowed to show
+     *
+     * @param {Object} bounds The bounds `{ x, y, width, height }`, in map pixels, null to use the whole map.
+     */
+    setBounds(bounds) {
+        this.bounds = bounds || null;
+    }
+
+    /**
+     * Resets the camera state: the camera position is synchronized with the map's viewport
+     */
+    reset() {
+        this.x = -this.map.viewportX;
+        this.y = -this.map.viewportY;
+        this.lookX = this.lookY = 0;
+        this.lastTargetX = this.lastTargetY = null;
+    }
+
+    /**
+     * Stops camera effects: shake, zoom and rotation are reset, pending promises are resolved
+     */
+    resetEffects() {
+        // shake
+        this.trauma = 0;
+        this.traumaDecay = 0;
+        this.maxShakeOffset = 0;
+        this.maxShakeAngle = 0;
+        this.shakeX = this.shakeY = this.shakeAngle = 0;
+
+        // zoom, around a point of the map
+        this.scale = 1;
+        this.zoomX = this.zoomY = null;
+
+        // rotation, around the center of the viewport
+        this.angle = 0;
+
+        this.lastEffectTime = null;
+
+        (this.shakeDefs || []).forEach(def => def.resolve());
+        this.shakeDefs = [];
+
+        for (let property in (this.tweens || {})) {
+            this.tweens[property].def.resolve();
+        }
+        this.tweens = {};
+
+        this.map.isDirty = true;
+    }
+
+    /**
+     * Shakes the view: each call adds trauma to the camera, and the view shakes with an amplitude
+     * that is proportional to the square of the trauma, which decreases over time.
+     *
+     * @param {Object} [options]
+     * @param {Number} [options.intensity=0.5] The trauma to add, from 0 to 1.
+     * @param {Number} [options.duration=500] The time (ms) it takes for the trauma to go back to zero.
+     * @param {Number} [options.maxOffset=16] The maximum offset (pixels) of the view, reached when trauma is 1.
+     * @param {Number} [options.maxAngle=0.05] The maximum rotation (radians) of the view, reached when trauma is 1.
+     * @returns {Promise} a promise that is resolved once the view has stopped shaking
+     */
+    shake(options = {}) {
+        const def = new Deferred(),
+            duration = options.duration || 500;
+
+        this.trauma = Math.min(1, this.trauma + (typeof options.intensity !== 'undefined' ? options.intensity : 0.5));
+        this.traumaDecay = this.trauma / duration;
+        this.maxShakeOffset = typeof options.maxOffset !== 'undefined' ? options.maxOffset : 16;
+        this.maxShakeAngle = typeof options.maxAngle !== 'undefined' ? options.maxAngle : 0.05;
+
+        this.shakeDefs.push(def);
+
+        return def.promise;
+    }
+
+    /**
+     * Zooms the view in or out around a point of the map
+     *
+     * @param {Object} options
+     * @param {Number} options.scale The new zoom factor: 1 is the original size, 2 zooms in twice.
+     * @param {Number} [options.x] Horizontal position of the point to zoom around, in map pixels. Defaults to the center of the viewport.
+     * @param {Number} [options.y] Vertical position of the point to zoom around, in map pixels. Defaults to the center of the viewport.
+     * @param {Number} [options.duration=0] The duration (ms) of the zoom.
+     * @param {String} [options.easing='linear'] The easing function to use.
+     * @returns {Promise} a promise that is resolved once the zoom is over
+     */
+    zoom(options) {
+        this.zoomX = typeof options.x !== 'undefined' ? options.x : null;
+        this.zoomY = typeof options.y !== 'undefined' ? options.y : null;
+
+        return this._tween('scale', options.scale, options);
+    }
+
+    /**
+     * Rotates the view around the center of the viewport
+     *
+     * @param {Object} options
+     * @param {Number} options.angle The new angle of the view, in radians.
+     * @param {Number} [options.duration=0] The duration (ms) of the rotation.
+     * @param {String} [options.easing='linear'] The easing function to use.
+     * @returns {Promise} a promise that is resolved once the rotation is over
+     */
+    rotate(options) {
+        return this._tween('angle', options.angle, options);
+    }
+
+    /**
+     * Advances camera effects: this is called by the map on each update
+     *
+     * @param {Number} timestamp The current time of the scene.
+     */
+    updateEffects(timestamp) {
+        const elapsed = this.lastEffectTime !== null ? timestamp - this.lastEffectTime : 0;
+        let active = false;
+
+        this.lastEffectTime = timestamp;
+
+        for (let property in this.tweens) {
+            const tween = this.tweens[property];
+
+            if (tween.start === null) {
+                tween.start = timestamp;
+            }
+
+            const ellapsedTime = timestamp - tween.start,
+                t = Math.min(1, ellapsedTime / tween.duration);
+
+            if (t >= 1) {
+                this[property] = tween.to;
+                delete this.tweens[property];
+                tween.def.resolve();
+            } else {
+                this[property] = tween.from + tween.easing(t, ellapsedTime, 0, 1, tween.duration) * (tween.to - tween.from);
+            }
+
+            active = true;
+        }
+
+        if (this.shakeDefs.length) {
+            const random = this.map.scene ? this.map.scene.random : Random.shared;
+
+            this.trauma = Math.max(0, this.trauma - this.traumaDecay * elapsed);
+
+            if (this.trauma) {
+                const amount = this.trauma * this.trauma;
+
+                this.shakeX = this.maxShakeOffset * amount * random.between(-1, 1);
+                this.shakeY = this.maxShakeOffset * amount * random.between(-1, 1);
+                this.shakeAngle = this.maxShakeAngle * amount * random.between(-1, 1);
+            } else {
+                this.shakeX = this.shakeY = this.shakeAngle = 0;
+                this.shakeDefs.forEach(def => def.resolve());
+                this.shakeDefs = [];
+            }
+
+            active = true;
+        }
+
+        // the map layer is only redrawn when it's dirty
+        if (active) {
+            this.map.isDirty = true;
+        }
+    }
+
+    /**
+     * Returns the view transformation caused by camera effects
+     *
+     * @returns {Array} the transformation matrix `[a, b, c, d, e, f]`, or null if there is no effect
+     */
+    getViewMatrix() {
+        const map = this.map,
+            angle = this.angle + this.shakeAngle;
+
+        if (this.scale === 1 && !angle && !this.shakeX && !this.shakeY) {
+            return null;
+        }
+
+        const offsetX = map.scene ? map.scene.mapOffsetX : 0,
+            offsetY = map.scene ? map.scene.mapOffsetY : 0,
+            centerX = offsetX + map.viewportW / 2,
+            centerY = offsetY + map.viewportH / 2,
+            zoomX = this.zoomX !== null ? this.zoomX + map.viewportX + offsetX : centerX,
+            zoomY = this.zoomY !== null ? this.zoomY + map.viewportY + offsetY : centerY,
+            cos = Math.cos(angle),
+            sin = Math.sin(angle);
+
+        // rotate around the center of the viewport, then zoom around the zoom point
+        let matrix = multiply([1, 0, 0, 1, centerX + this.shakeX, centerY + this.shakeY], [cos, sin, -sin, cos, 0, 0]);
+
+        matrix = multiply(matrix, [1, 0, 0, 1, zoomX - centerX, zoomY - centerY]);
+        matrix = multiply(matrix, [this.scale, 0, 0, this.scale, 0, 0]);
+        matrix = multiply(matrix, [1, 0, 0, 1, -zoomX, -zoomY]);
+
+        return matrix;
+    }
+
+    /**
+     * Sets the transformation matrix of a context, combined with the view transformation of the camera
+     *
+     * @param {RenderingContext} ctx The context to transform.
+     * @param {Number} a Horizontal scaling.
+     * @param {Number} b Vertical skewing.
+     * @param {Number} c Horizontal skewing.
+     * @param {Number} d Vertical scaling.
+     * @param {Number} e Horizontal translation.
+     * @param {Number} f Vertical translation.
+     */
+    setTransform(ctx, a, b, c, d, e, f) {
+        const view = this.getViewMatrix();
+
+        if (view) {
+            ctx.setTransform(view[0], view[1], view[2], view[3], view[4], view[5]);
+            ctx.transform(a, b, c, d, e, f);
+        } else {
+            ctx.setTransform(a, b, c, d, e, f);
+        }
+    }
+
+    /**
+     * Animates a camera property
+     *
+     * @param {String} property The property to animate.
+     * @param {Number} to The final value of the property.
+     * @param {Object} options
+     * @param {Number} [options.duration=0] The duration (ms) of the animation.
+     * @param {String} [options.easing='linear'] The easing function to use.
+     * @returns {Promise} a promise that is resolved once the animation is over
+     *
+     * @private
+     */
+    _tween(property, to, options) {
+        const previous = this.tweens[property];
+
+        if (previous) {
+            delete this.tweens[property];
+            previous.def.resolve();
+        }
+
+        if (!options.duration) {
+            this[property] = to;
+            this.map.isDirty = true;
+
+            return Deferred.resolve(true);
+        }
+
+        const def = new Deferred();
+
+        this.tweens[property] = {
+            from: this[property],
+            to: to,
+            start: null,
+            duration: options.duration,
+            easing: FX.getEasing(options.easing || 'linear'),
+            def: def
+        };
+
+        return def.promise;
+    }
+
+    /**
+     * Immediately moves the viewport to the destination of the camera, skipping any smoothing
+     */
+    snap() {
+        const dest = this._getDestination();
+
+        if (dest) {
+            this.x = dest.x;
+            this.y = dest.y;
+            this._applyViewport();
+        }
+    }
+
+    /**
+     * Returns the current target
+     *
+     * @returns {Drawable|Object} the target of the camera or null if it has no target
+     */
+    getTarget() {
+        return this.target || this.map.masterObject || null;
+    }
+
+    /**
+     * Moves the viewport according to the camera mode: this is called by the map on each update
+     */
+    update() {
+        const map = this.map;
+
+        if (!this.getTarget()) {
+            return;
+        }
+
+        if (this.mode === 'screen') {
+            this._updateScreen();
+            return;
+        }
+
+        // viewport was changed outside of the camera (map.moveTo, setViewPort,...)
+        if (-map.viewportX !== Math.round(this.x)) {
+            this.x = -map.viewportX;
+        }
+
+        if (-map.viewportY !== Math.round(this.y)) {
+            this.y = -map.viewportY;
+        }
+
+        const dest = this._getDestination();
+
+        this.x += (dest.x - this.x) * this.lerp;
+        this.y += (dest.y - this.y) * this.lerp;
+
+        // prevent endless tiny moves
+        if (Math.abs(dest.x - this.x) < 0.5) {
+            this.x = dest.x;
+        }
+
+        if (Math.abs(dest.y - this.y) < 0.5) {
+            this.y = dest.y;
+        }
+
+        this._applyViewport();
+    }
+
+    /**
+     * Screen mode: scrolls the viewport by screenScrollX/Y pixels once the target gets close to an edge
+     *
+     * @private
+     */
+    _updateScreen() {
+        const map = this.map,
+            target = this.getTarget();
+
+        let destX = null,
+            destY = null;
+
+        if (map.moving) {
+            return;
+        }
+
+        if (map.viewportX && ((target.x + map.viewportX) <= this.screenLimitX)) {
+            destX = map.viewportX + this.screenScrollX;
+        } else if (((-map.viewportX + map.viewportW) - target.x) <= this.screenLimitX) {
+            destX = map.viewportX - this.screenScrollX;
+        }
+
+        if (map.viewportY && ((target.y + map.viewportY) <= this.screenLimitY)) {
+            destY = map.viewportY + this.screenScrollY;
+        } else if (((-map.viewportY + map.viewportH) - target.y) <= this.screenLimitY) {
+            destY = map.viewportY - this.screenScrollY;
+        }
+
+        if (destX !== null || destY !== null) {
+            map.moveTo(destX !== null ? destX : map.viewportX, destY !== null ? destY : map.viewportY);
+        }
+    }
+
+    /**
+     * Returns the point the camera looks at: the center of the target plus offset and look-ahead shift
+     *
+     * @returns {Object} the focus point `{ x, y }` in map pixels
+     *
+     * @private
+     */
+    _getFocus() {
+        const target = this.getTarget(),
+            x = target.x + (target.width || 0) / 2 + this.offsetX,
+            y = target.y + (target.height || 0) / 2 + this.offsetY;
+
+        if (this.mode === 'lookahead') {
+            const dirX = this.lastTargetX !== null ? Math.sign(target.x - this.lastTargetX) : 0,
+                dirY = this.lastTargetY !== null ? Math.sign(target.y - this.lastTargetY) : 0;
+
+            // keep looking in the same direction while the target doesn't move
+            if (dirX) {
+                this.lookX += (dirX * this.lookAheadX - this.lookX) * this.lookAheadLerp;
+            }
+
+            if (dirY) {
+                this.lookY += (dirY * this.lookAheadY - this.lookY) * this.lookAheadLerp;
+            }
+
+            this.lastTargetX = target.x;
+            this.lastTargetY = target.y;
+
+            return {
+                x: x + this.lookX,
+                y: y + this.lookY
+            };
+        }
+
+        return {
+            x: x,
+            y: y
+        };
+    }
+
+    /**
+     * Returns where the top-left corner of the viewport should be, depending on the camera mode
+     *
+     * @returns {Object} the destination `{ x, y }` in map pixels, or null if the camera has no target
+     *
+     * @private
+     */
+    _getDestination() {
+        const map = this.map;
+
+        if (!this.getTarget()) {
+            return null;
+        }
+
+        const focus = this._getFocus();
+        let x = focus.x - map.viewportW / 2,
+            y = focus.y - map.viewportH / 2;
+
+        if (this.mode === 'deadzone') {
+            const zone = this._getDeadZone();
+
+            x = this.x;
+            y = this.y;
+
+            if (focus.x < x + zone.x) {
+                x = focus.x - zone.x;
+            } else if (focus.x > x + zone.x + zone.width) {
+                x = focus.x - zone.x - zone.width;
+            }
+
+            if (focus.y < y + zone.y) {
+                y = focus.y - zone.y;
+            } else if (focus.y > y + zone.y + zone.height) {
+                y = focus.y - zone.y - zone.height;
+            }
+        }
+
+        return this._clamp(x, y);
+    }
+
+    /**
+     * Returns the dead-zone window, defaults to the center third of the viewport
+     *
+     * @returns {Object} the dead-zone `{ x, y, width, height }`
+     *
+     * @private
+     */
+    _getDeadZone() {
+        const map = this.map;
+
+        return this.deadZone || {
+            x: map.viewportW / 3,
+            y: map.viewportH / 3,
+            width: map.viewportW / 3,
+            height: map.viewportH / 3
+        };
+    }
+
+    /**
+     * Keeps the viewport inside the camera bounds
+     *
+     * @param {Number} x The horizontal position of the viewport, in map pixels.
+     * @param {Number} y The vertical position of the viewport, in map pixels.
+     * @returns {Object} the clamped position `{ x, y }`
+     *
+     * @private
+     */
+    _clamp(x, y) {
+        const map = this.map,
+            bounds = this.bounds;
+
+        // no bounds: use the edges of the map
+        if (!bounds) {
+            const viewport = map.clampViewport(-x, -y);
+
+            return {
+                x: -viewport.x,
+                y: -viewport.y
+            };
+        }
+
+        // bounds smaller than the viewport are centered
+        return {
+            x: bounds.width < map.viewportW ? bounds.x - (map.viewportW - bounds.width) / 2 : Math.max(bounds.x, Math.min(x, bounds.x + bounds.width - map.viewportW)),
+            y: bounds.height < map.viewportH ? bounds.y - (map.viewportH - bounds.height) / 2 : Math.max(bounds.y, Math.min(y, bounds.y + bounds.height - map.viewportH))
+        };
+    }
+
+    /**
+     * Sets the map's viewport using the camera position: the map is only redrawn if the viewport changed
+     *
+     * @private
+     */
+    _applyViewport() {
+        const map = this.map,
+            viewportX = -Math.round(this.x) || 0,
+            viewportY = -Math.round(this.y) || 0;
+
+        if (map.viewportX !== viewportX || map.viewportY !== viewportY) {
+            map.viewportX = viewportX;
+            map.viewportY = viewportY;
+            map.isDirty = true;
+        }
+    }
+}
+
+export default Camera;
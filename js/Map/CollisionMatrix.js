@@ -0,0 +1,150 @@
+// collideGroup numbers used before named groups were introduced
+const LEGACY_GROUPS = ['', 'enemy', 'friendBullet', 'platform'];
+
+/**
+ * The CollisionMatrix tells which collision groups collide with each other
+ *
+ * Objects are put into a collision group using their `collideGroup` option: this is a name like `'enemy'`
+ * or `'pickup'`. Numbers are still supported for compatibility: `1` is `'enemy'`, `2` is `'friendBullet'`
+ * and `3` is `'platform'`. The master object is put into the `'player'` group if it doesn't have a group.
+ *
+ * By default, players collide with enemies, and friend bullets with enemies.
+ *
+ * @example
+ * map.collisionMatrix.setCollision('enemyBullet', 'player');
+ * map.collisionMatrix.setCollision('pickup', 'player');
+ * map.collisionMatrix.setCollision('enemy', 'enemy');
+ *
+ * @see {Map#checkCollisions}
+ */
+class CollisionMatrix {
+    /**
+     * Creates a new CollisionMatrix
+     *
+     * @param {Array<Array>} [pairs] The pairs of groups that collide, like `[['player', 'enemy']]`: a third
+     * element set to false removes the pair, defaults to `CollisionMatrix.DEFAULT_PAIRS`.
+     */
+    constructor(pairs = CollisionMatrix.DEFAULT_PAIRS) {
+        this.pairs = [];
+
+        pairs.forEach((pair) => {
+            this.setCollision(pair[0], pair[1], pair[2] !== false);
+        });
+    }
+
+    /**
+     * Sets whether two groups collide
+     *
+     * @param {String} groupA The name of the first group.
+     * @param {String} groupB The name of the second group, can be the same as groupA.
+     * @param {Boolean} [collide=true] Set to false so that the groups don't collide anymore.
+     */
+    setCollision(groupA, groupB, collide = true) {
+        const index = this._getPairIndex(groupA, groupB);
+
+        if (collide && index === -1) {
+            this.pairs.push([groupA, groupB]);
+        } else if (!collide && index > -1) {
+            this.pairs.splice(index, 1);
+        }
+    }
+
+    /**
+     * Returns true if the objects of two groups collide
+     *
+     * @param {String} groupA The name of the first group.
+     * @param {String} groupB The name of the second group.
+     * @returns {Boolean} true if the groups collide
+     */
+    canCollide(groupA, groupB) {
+        return this._getPairIndex(groupA, groupB) > -1;
+    }
+
+    /**
+     * Returns the pairs of groups that collide
+     *
+     * @returns {Array<Array>} the list of pairs `[groupA, groupB]`
+     */
+    getPairs() {
+        return this.pairs.map(pair => pair.slice());
+    }
+
+    /**
+     * Returns the changes made to a list of default pairs: pairs that were added, and removed default pairs
+     * followed by `false`, so that the matrix can be created again from the same defaults
+     *
+     * @param {Array<Array>} [defaults] The default pairs, defaults to `CollisionMatrix.DEFAULT_PAIRS`.
+     * @returns {Array<Array>} the list of changes, like `[['enemy', 'enemy'], ['player', 'enemy', false]]`
+     */
+    getChanges(defaults = CollisionMatrix.DEFAULT_PAIRS) {
+        const defaultMatrix = new CollisionMatrix(defaults),
+            added = this.pairs.filter(pair => !defaultMatrix.canCollide(pair[0], pair[1])),
+            removed = defaultMatrix.pairs.filter(pair => !this.canCollide(pair[0], pair[1]));
+
+        return added.map(pair => pair.slice()).concat(removed.map(pair => [pair[0], pair[1], false]));
+    }
+
+    /**
+     * Returns the position of a pair in the matrix, in any order
+     *
+     * @param {String} groupA The name of the first group.
+     * @param {String} groupB The name of the second group.
+     * @returns {Number} the index of the pair, -1 if not found
+     *
+     * @private
+     */
+    _getPairIndex(groupA, groupB) {
+        let i = this.pairs.length;
+
+        while (i--) {
+            const pair = this.pairs[i];
+
+            if ((pair[0] === groupA && pair[1] === groupB) || (pair[0] === groupB && pair[1] === groupA)) {
+                return i;
+            }
+        }
+
+        return -1;
+    }
+
+    /**
+     * Returns the name of the collision group of an object
+     *
+     * @param {(String|Number)} collideGroup The `collideGroup` of the object: legacy numbers are converted into names.
+     * @returns {String} the name of the group, an empty string if the object has no group
+     */
+    static getGroupName(collideGroup) {
+        if (typeof collideGroup === 'number') {
+            return LEGACY_GROUPS[collideGroup] || '';
+        }
+
+        return collideGroup || '';
+    }
+
+    /**
+     * Built-in collision groups
+     */
+    static get GROUP() {
+        return {
+            NONE: '',
+            PLAYER: 'player',
+            ENEMY: 'enemy',
+            FRIEND_BULLET: 'friendBullet',
+            ENEMY_BULLET: 'enemyBullet',
+            PICKUP: 'pickup',
+            PLATFORM: 'platform'
+        };
+    }
+
+    /**
+     * The pairs of groups that collide by default
+     */
+    static get DEFAULT_PAIRS() {
+        return [
+            ['player', 'enemy'],
+            ['friendBullet', 'enemy']
+        ];
+    }
+}
+
+export default CollisionMatrix;
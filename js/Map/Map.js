@@ -3,8 +3,30 @@ import RM from '../Resource/ResourceManager';
 import NM from '../Notification/NotificationManager';
 import FX from '../FX/FX';
 import MapEvent from './MapEvent';
+import Camera from './Camera';
+import TileLayer from './TileLayer';
+import Tiled from './Tiled';
+import MapFormat from './MapFormat';
+import CollisionMatrix from './CollisionMatrix';
+import SpatialHash from './SpatialHash';
+import Shape from '../Util/Shape';
+
+// debug: global list of maps, not available when running without a browser
+if (typeof window !== 'undefined') {
+    window.maps = {};
+}
 
-window.maps = {};
+// storage used for tile numbers, and default value meaning there is no tile
+const TILE_FORMATS = {
+    uint8: {
+        ArrayType: Uint8Array,
+        emptyTile: 0xff
+    },
+    uint16: {
+        ArrayType: Uint16Array,
+        emptyTile: 0xffff
+    }
+};
 
 
 /**
@@ -15,6 +37,9 @@ window.maps = {};
  * 
  * A map also contains objects that are added onto the map once the viewport reaches a `block`.
  *
+ * Besides its main layer, a map may have extra tile layers with their own tileset, scroll factor
+ * (parallax), opacity: these are only used for rendering, tile behaviors always relate to the main layer.
+ *
  */
 class Map {
     /**
@@ -35,7 +60,16 @@ class Map {
      * @param {String} [options.easing='linear'] The linear function to use when scrolling the map. Defaults to linear.
      * @param {Number} [options.startX=0] The start x position of the master object.
      * @param {Sumber} [options.startY=0] The start y position of the master object.
-     * @param {ArrayBuffer} options.buffer The buffer containing width \* height bytes container tile numbers followed by width*height bytes for the tile behaviors
+     * @param {ArrayBuffer} options.buffer The buffer containing width \* height tile numbers followed by width*height bytes for the tile behaviors
+     * @param {String} [options.tileFormat='uint8'] The size of tile numbers in the buffer: 'uint8' (up to 255 tiles) or 'uint16' (up to 65535 tiles).
+     * @param {Number} [options.emptyTile] The tile number meaning there is no tile, defaults to the highest value allowed by the tile format (255 or 65535).
+     * @param {Object} [options.camera] The options of the map's camera, see {Camera}.
+     * @param {Number} [options.overscroll=0] The number of pixels the viewport is allowed to scroll past the edges of the map.
+     * @param {Array<Object>} [options.tileLayers] Extra tile layers to add to the map, see {TileLayer}.
+     * @param {Object} [options.switches] Initial state of the map's switches, see {MapEvent}.
+     * @param {Array<Array>} [options.collisions] Pairs of collision groups that collide, added to the default ones: a third element set to false removes a default pair, see {CollisionMatrix}.
+     * @param {Number} [options.chunkSize=0] Set to render tiles by chunks of chunkSize * chunkSize tiles that are cached into offscreen canvases: this speeds up scrolling of large maps. 0 to draw each tile every time the map is redrawn.
+     * @param {Number} [options.spatialCellSize=4] The size of the cells used to find objects by position (collisions, culling), in tiles, see {SpatialHash}.
      * @example
      * // Creates a new 800x600 map, with a 320x200 viewport and 32x32 tiles
      * var map = new Map({
@@ -47,11 +81,24 @@ class Map {
      *    viewportW: 320,
      *    viewportH: 200,
      *    buffer: new ArrayBuffer(800*600*2),
+     *    tileLayers: [{
+     *        name: 'mountains',
+     *        src: 'mountains.png',
+     *        depth: -1,
+     *        scrollFactor: 0.5,
+     *        data: mountainTiles
+     *    }]
      * });
      */
     constructor(options) {
         this.options = options;
 
+        // tile layers sorted by depth: tiles, src & map properties are those of the main layer
+        this.mainLayer = new TileLayer(this, {
+            name: 'main'
+        });
+        this.tileLayers = [this.mainLayer];
+
         // image url used for the map graphic tiles
         this.src = options.src;
         // tiles and map width
@@ -80,54 +127,51 @@ class Map {
         this.xMax = this.width - this.viewportW;
         this.yMax = this.height - this.viewportH;
 
-        // when scrolling we set a new target and keep track of previous start x & y
-        this.viewportTargetX = this.viewportTargetY = this.viewportSpeedX = this.viewsportSpeedY = this.viewportStartX = this.viewportStartY = 0;
-
-        /* Scroll Type 1 */
-        // this.viewportLimitX = 230;
-        // this.viewportCenterX = 10; // 207
-
-        // this.viewportLimitY = 154;
-        // this.viewportCenterY = 230;
+        // pixels the viewport may scroll past the edges of the map
+        this.overscroll = options.overscroll || 0;
 
-        /* Scroll Type 2 */
-        /* Scrolling specific: TODESCRIBE */
-        this.viewportLimitX = 230;
-        this.viewportCenterX = 307;
+        // maps smaller than the viewport are centered
+        const viewport = this.clampViewport(this.viewportX, this.viewportY);
 
-        this.viewportLimitY = 154;
-        this.viewportCenterY = 230;
-        /* / End Scrolltype */
+        this.viewportX = viewport.x;
+        this.viewportY = viewport.y;
 
-        // offset related to tileWidth: used if we need to draw partial tiles
-        this.tileOffsetX = 0;
-        this.tileOffsetY = 0;
-
-        // when tileOffset !== 0, the tileWidth/height changes a well
-        this.scrollTileWidth = 0;
-        this.scrollTileHeight = 0;
+        // when scrolling we set a new target and keep track of previous start x & y
+        this.viewportTargetX = this.viewportTargetY = this.viewportSpeedX = this.viewsportSpeedY = this.viewportStartX = this.viewportStartY = 0;
 
-        this.viewportLimits = {
-            x1: this.viewportLimitX,
-            x2: this.viewportW - this.viewportLimitX,
-            y1: this.viewportLimitY,
-            y2: this.viewportH - this.viewportLimitY
-        };
+        // set to true while the viewport is moving, used to send map:scrollStart/map:scrollEnd notifications
+        this.scrolling = false;
 
         /* list of objects sorted by type for faster colision detection */
         this.objects = [];
-        this.friendBullets = [];
-        this.enemies = [];
-        this.platforms = [];
+        this.collisionGroups = {};
+        this.friendBullets = this.getCollisionGroup('friendBullet');
+        this.enemies = this.getCollisionGroup('enemy');
+        this.platforms = this.getCollisionGroup('platform');
+        // riders moved by their platform during the current update, see movePlatforms()
+        this.carriedObjects = [];
+
+        // which collision groups collide with each other
+        this.collisionMatrix = new CollisionMatrix(CollisionMatrix.DEFAULT_PAIRS.concat(options.collisions || []));
+
+        // map objects sorted by position, in cells of spatialCellSize * spatialCellSize tiles
+        this.spatialCellSize = options.spatialCellSize || 4;
+        this.spatialHash = new SpatialHash(this.tileWidth * this.spatialCellSize, this.tileHeight * this.spatialCellSize);
 
         this.name = options.name || 'map' + new Date().getTime();
 
         // calculate the number of rows/cols depending on the viewport window
         this._calcNumTiles(false);
 
+        this.setTileFormat(options.tileFormat, options.emptyTile);
+
         // sets map data buffer
         this.setBuffer(options.buffer);
 
+        if (options.tileLayers) {
+            options.tileLayers.forEach((layer) => this.addTileLayer(layer));
+        }
+
         this.dataUrl = options.dataUrl;
 
         // viewport bounds
@@ -137,6 +181,13 @@ class Map {
 
         this.srcBitmap = null;
 
+        // size of pre-rendered chunks, in tiles
+        this.chunkSize = options.chunkSize || 0;
+
+        // animated tiles: current time and visible cells that need to be redrawn when their frame changes
+        this.animationTime = 0;
+        this.animatedCells = [];
+
         // if map is being scrolled, should we scroll again ?
         this.moving = false;
 
@@ -146,9 +197,6 @@ class Map {
 
         // used when initiating a new scroll
         this.startMoveTime = null;
-        // scrollType 1
-        // this.duration = 10;
-        // scrollType 2
         // scrolling duration
         this.duration = 800;
 
@@ -162,7 +210,9 @@ class Map {
         this.startY = options.startY || 0;
 
         // Debug: add current map to the global list of maps
-        window.maps[this.name] = this;
+        if (typeof window !== 'undefined') {
+            window.maps[this.name] = this;
+        }
 
         // set mapEvent class
         // if (options.mapEventClass) {
@@ -174,6 +224,9 @@ class Map {
         // TODESCRIBE
         this.mapEvent = new MapEvent(this);
 
+        // moves the viewport around the master object (or any other target)
+        this.camera = new Camera(this, options.camera);
+
         // we need to keep a reference to the scene
         this.scene = null;
 
@@ -181,6 +234,172 @@ class Map {
         this.isDirty = true;
     }
 
+    /**
+     * Creates a new Map from a map made with the Tiled editor
+     *
+     * Maps can also be loaded using the `tiled` resource type: the `options` property of the resource
+     * is passed to this method.
+     *
+     * @param {Object} json The map, exported from Tiled using the JSON format.
+     * @param {Object} [options] Options that override the ones found in the Tiled map, see {Map}.
+     * @returns {Map} the new map
+     *
+     * @see {Tiled}
+     *
+     * @example
+     * RM.addResources({
+     *     id: 'level1',
+     *     type: 'tiled',
+     *     src: './maps/level1.json',
+     *     options: {
+     *         viewportW: 320,
+     *         viewportH: 200
+     *     }
+     * });
+     */
+    static fromTiled(json, options) {
+        return new Map(Tiled.toMapOptions(json, options));
+    }
+
+    /**
+     * Creates a new Map from data returned by `map.serialize()`
+     *
+     * @param {Object|String|ArrayBuffer} data The serialized map: JSON description (object or string) or binary map.
+     * @param {Object} [options] Options that override the serialized ones, see {Map}.
+     * @returns {Map} the new map
+     */
+    static deserialize(data, options = {}) {
+        const mapOptions = MapFormat.toMapOptions(data);
+
+        for (const name in options) {
+            mapOptions[name] = options[name];
+        }
+
+        return new Map(mapOptions);
+    }
+
+    /**
+     * The tile numbers of the main layer
+     *
+     * @type {Uint8Array|Uint16Array}
+     */
+    get map() {
+        return this.mainLayer.data;
+    }
+
+    set map(data) {
+        this.mainLayer.data = data;
+    }
+
+    /**
+     * The tileset of the main layer
+     *
+     * @type {Array<Tile>}
+     */
+    get tiles() {
+        return this.mainLayer.tiles;
+    }
+
+    set tiles(tiles) {
+        this.mainLayer.tiles = tiles;
+    }
+
+    /**
+     * The id of the image used to render the main layer
+     *
+     * @type {String}
+     */
+    get src() {
+        return this.mainLayer.src;
+    }
+
+    set src(src) {
+        this.mainLayer.src = src;
+    }
+
+    /**
+     * The image used to render the main layer
+     *
+     * @type {Image}
+     */
+    get srcBitmap() {
+        return this.mainLayer.srcBitmap;
+    }
+
+    set srcBitmap(bitmap) {
+        this.mainLayer.srcBitmap = bitmap;
+    }
+
+    /**
+     * Adds a new tile layer to the map
+     *
+     * @param {Object} options The options of the layer, see {TileLayer}.
+     * @returns {TileLayer} the new layer
+     *
+     * @example
+     * // a foreground layer drawn above sprites, with a faster scrolling
+     * map.addTileLayer({
+     *     name: 'trees',
+     *     depth: 1,
+     *     scrollFactor: 1.5,
+     *     aboveSprites: true,
+     *     data: treeTiles
+     * });
+     */
+    addTileLayer(options) {
+        const layer = new TileLayer(this, options);
+        let index = 0;
+
+        if (!layer.data) {
+            // empty layer
+            layer.setData(this.createTileArray().fill(this.emptyTile));
+        }
+
+        // layers with the same depth are drawn in the order they were added
+        while (index < this.tileLayers.length && this.tileLayers[index].depth <= layer.depth) {
+            index++;
+        }
+
+        this.tileLayers.splice(index, 0, layer);
+
+        this.isDirty = true;
+
+        return layer;
+    }
+
+    /**
+     * Returns the tile layer with the specified name
+     *
+     * @param {String} name The name of the layer.
+     * @returns {TileLayer} the layer, undefined if not found
+     */
+    getTileLayer(name) {
+        return this.tileLayers.filter(layer => layer.name === name)[0];
+    }
+
+    /**
+     * Removes the tile layer with the specified name: the main layer cannot be removed
+     *
+     * @param {String} name The name of the layer to remove.
+     */
+    removeTileLayer(name) {
+        const layer = this.getTileLayer(name);
+
+        if (layer && layer !== this.mainLayer) {
+            this.tileLayers.splice(this.tileLayers.indexOf(layer), 1);
+            this.isDirty = true;
+        }
+    }
+
+    /**
+     * Returns true if some of the map's layers have to be drawn above the sprites
+     *
+     * @returns {Boolean} true if at least one visible layer is drawn above sprites
+     */
+    hasLayersAboveSprites() {
+        return this.tileLayers.some(layer => layer.aboveSprites && layer.visible);
+    }
+
     /**
 	 *
 	 * Changes the start position using the master's current position: usually called when reaching a checkpoint
@@ -225,20 +444,20 @@ class Map {
 	 *  - reset windows
 	 *  - reset triggers
 	 *  - reset mapEvents
-	 *  - reset viewport + tileOffset
+	 *  - reset viewport
 	 *  - sets isDirty to true so that map is redrawn
 	 *
-	 * TODO: tileOffset shouldn't be 0 but depends on the master's position
-	 *
 	 */
     reset() {
         this.masterObject = null;
 
         // remove objects from the map and empty collision groups
         this.objects.length = 0;
-        this.friendBullets.length = 0;
-        this.enemies.length = 0;
-        this.platforms.length = 0;
+        this.carriedObjects.length = 0;
+        for (const group in this.collisionGroups) {
+            this.collisionGroups[group].length = 0;
+        }
+        this.spatialHash.clear();
         // reset mapItems
 
         // reset windows
@@ -255,17 +474,9 @@ class Map {
         this.mapEvent.reset();
 
         // and reset viewport too
-        this.viewportX = this.options.viewportX || 0;
-        this.viewportY = this.options.viewportY || 0;
-        this.viewportW = this.options.viewportW || 0;
-        this.viewportH = this.options.viewportH || 0;
-
-        // and tileOffset
-        this.tileOffsetX = 0;
-        this.tileOffsetY = 0;
-
-        this.scrollTileWidth = 0;
-        this.scrollTileHeight = 0;
+        this.setViewPort(this.options.viewportX || 0, this.options.viewportY || 0, this.options.viewportW || this.width, this.options.viewportH || this.height);
+        this.moving = false;
+        this.scrolling = false;
 
         this.firstCol = (-this.viewportX / this.tileWidth);
         this.firstRow = (-this.viewportY / this.tileHeight);
@@ -276,6 +487,9 @@ class Map {
         this.startX = this.options.startX || 0;
         this.startY = this.options.startY || 0;
 
+        this.camera.reset();
+        this.camera.resetEffects();
+
         this.isDirty = true;
     }
 
@@ -288,32 +502,109 @@ class Map {
         this.scene = scene;
     }
 
+    /**
+     * Marks the pre-rendered chunks of every layer as dirty, see `options.chunkSize`
+     */
+    invalidateChunks() {
+        this.tileLayers.forEach(layer => layer.invalidateChunks());
+        this.isDirty = true;
+    }
+
+    /**
+     * Changes the way tile numbers are stored
+     *
+     * Tile numbers of every layer are converted to the new format: the main layer's ones are
+     * copied into a new buffer, along with the tile behaviors, see `setData`.
+     *
+     * @param {String} [tileFormat='uint8'] The tile format: 'uint8' (up to 255 tiles) or 'uint16' (up to 65535 tiles).
+     * @param {Number} [emptyTile] The tile number meaning there is no tile, defaults to the highest value allowed by the format.
+     */
+    setTileFormat(tileFormat = 'uint8', emptyTile) {
+        const format = TILE_FORMATS[tileFormat],
+            previousEmptyTile = this.emptyTile;
+
+        if (!format) {
+            throw `unknown map tile format: ${tileFormat}`;
+        }
+
+        this.tileFormat = tileFormat;
+        this.emptyTile = typeof emptyTile !== 'undefined' ? emptyTile : format.emptyTile;
+
+        this.tileLayers.forEach((layer) => {
+            if (layer.data) {
+                const data = layer.data;
+
+                layer.data = this.createTileArray();
+                data.forEach((tileNum, i) => {
+                    layer.data[i] = tileNum === previousEmptyTile ? this.emptyTile : tileNum;
+                });
+                layer.invalidateChunks();
+            }
+        });
+
+        // the buffer holds the main layer's tiles followed by the tile behaviors
+        if (this.map && this.tileBehaviors) {
+            this.setData(this.map, this.tileBehaviors);
+        }
+    }
+
+    /**
+     * Creates an array that can hold the tile numbers of a layer, using the map's tile format
+     *
+     * @param {Number|ArrayBuffer} [source] The number of tiles, or a buffer to read tiles from, defaults to numCols * numRows.
+     * @param {Number} [offset=0] The byte offset of the tiles in the buffer.
+     * @returns {Uint8Array|Uint16Array} the array of tiles
+     */
+    createTileArray(source = this.numCols * this.numRows, offset = 0) {
+        const ArrayType = TILE_FORMATS[this.tileFormat].ArrayType;
+
+        return typeof source === 'number' ? new ArrayType(source) : new ArrayType(source, offset, this.numCols * this.numRows);
+    }
+
     /**
 	 * Sets the map tiles and tiletypes from binary buffer:
-	 *  - first (numCols * numRows) bytes are visual tile numbers
+	 *  - first (numCols * numRows) tile numbers are visual tile numbers, one or two bytes each depending on the tile format
 	 *  - last (numCols * numRows) bytes are the tile types (wall, ladder,...)
 	 *
-	 * @param {any} buffer
+	 * @param {ArrayBuffer} buffer
 	 *
 	 */
     setBuffer(buffer) {
         const size = this.numCols * this.numRows;
 
-        this.map = new Uint8Array(buffer, 0, size);
-        this.tileBehaviors = new Uint8Array(buffer, size);
+        this.map = this.createTileArray(buffer);
+        this.tileBehaviors = new Uint8Array(buffer, size * this.map.BYTES_PER_ELEMENT, size);
         this.buffer = buffer;
+
+        this.mainLayer.invalidateChunks();
     }
 
-    setData(map, behaviors) {
+    /**
+     * Sets the map tiles and tiletypes from arrays
+     *
+     * @param {Array|Uint8Array|Uint16Array} map The tile numbers.
+     * @param {Array|Uint8Array} behaviors The tile behaviors.
+     * @param {String} [tileFormat] The format of the tile numbers, defaults to the current one.
+     */
+    setData(map, behaviors, tileFormat) {
         const size = this.numCols * this.numRows;
 
-        const array = new Uint8Array(size * 2);
-        array.set(new Uint8Array(map), 0);
-        array.set(new Uint8Array(behaviors), size);
+        if (tileFormat && tileFormat !== this.tileFormat) {
+            this.setTileFormat(tileFormat, this.options.emptyTile);
+        }
+
+        const tileBytes = size * TILE_FORMATS[this.tileFormat].ArrayType.BYTES_PER_ELEMENT,
+            buffer = new ArrayBuffer(tileBytes + size);
+
+        this.map = this.createTileArray(buffer);
+        this.map.set(map instanceof ArrayBuffer ? this.createTileArray(map) : map);
+
+        this.tileBehaviors = new Uint8Array(buffer, tileBytes, size);
+        this.tileBehaviors.set(behaviors instanceof ArrayBuffer ? new Uint8Array(behaviors, 0, size) : behaviors);
 
-        this.buffer = array.buffer;
-        this.map = new Uint8Array(this.buffer, 0, size);
-        this.tileBehaviors = new Uint8Array(this.buffer, size, size);
+        this.buffer = buffer;
+
+        this.invalidateChunks();
     }
 
     /**
@@ -325,8 +616,15 @@ class Map {
 	 *
 	 */
     setMasterObject(obj) {
+        const players = this.getCollisionGroup('player');
+
         this.masterObject = obj;
 
+        // the master object is a player, unless it has its own collision group
+        if (!CollisionMatrix.getGroupName(obj.collideGroup) && players.indexOf(obj) === -1) {
+            players.push(obj);
+        }
+
         // position master object at map's startX/Y
         // TODO: use checkpoint instead
         obj.x = this.startX;
@@ -340,7 +638,7 @@ class Map {
      *  - added to collision group
      *
      * <blockquote><strong>Note:</strong> the object will be added to the correct collision group
-     * if `obj.collideGroup` is set.</blockquote>
+     * if `obj.collideGroup` is set, the master object defaults to the `'player'` group.</blockquote>
      * 
      * @param {Drawable} obj A reference to the new object to add.
      * @param {Number} [layerIndex=0] The layer to add the object into.
@@ -357,21 +655,21 @@ class Map {
         obj.layer = layerIndex;
 
         this.objects.push(obj);
+        this.spatialHash.update(obj);
 
         if (obj.master === true) {
             this.setMasterObject(obj);
         }
 
         // add element to collision group
-        if (obj.collideGroup === 1) {
-            // console.log('adding', obj.id, 'to enemies group!');
-            this.enemies.push(obj);
-        } else if (obj.collideGroup === 2) {
-            // console.log('adding', obj.id, 'to friend bullets group!');
-            this.friendBullets.push(obj);
-        } else if (obj.collideGroup === 3) {
-            console.log(`[Map] adding platform ${obj.id}`);
-            this.platforms.push(obj);
+        const group = CollisionMatrix.getGroupName(obj.collideGroup);
+
+        if (group) {
+            if (group === 'platform') {
+                console.log(`[Map] adding platform ${obj.id}`);
+            }
+
+            this.getCollisionGroup(group).push(obj);
         }
         /*
         else {
@@ -396,13 +694,18 @@ class Map {
     setTilesSize(width, height) {
         this.tileWidth = width;
         this.tileHeight = height;
+
+        // cells of the spatial hash depend on the size of the tiles
+        this.spatialHash = new SpatialHash(this.tileWidth * this.spatialCellSize, this.tileHeight * this.spatialCellSize);
+        this.updateSpatialHash();
     }
 
 
     /**
 	 * changes current viewport size and position
 	 *
-	 * <blockquote><strong>note:</strong> there is currently no boundaries checks.</blockquote>
+	 * <blockquote><strong>note:</strong> the position is clamped so that the viewport doesn't go past the edges of the map
+	 * (see the `overscroll` option), and maps that are smaller than the viewport are centered.</blockquote>
      * 
 	 * @param {number} x Horizontal position of the viewport.
 	 * @param {number} y Vertical position of the viewport.
@@ -412,10 +715,36 @@ class Map {
 	 *
 	 */
     setViewPort(x, y, width, height) {
-        this.viewportX = x;
-        this.viewportY = y;
         this.viewportW = width;
         this.viewportH = height;
+
+        this.xMax = this.width - this.viewportW;
+        this.yMax = this.height - this.viewportH;
+        this.maxWinX = (this.width / this.viewportW) | 0;
+
+        this._calcNumTiles();
+
+        const pos = this.clampViewport(x, y);
+
+        this.viewportX = pos.x;
+        this.viewportY = pos.y;
+
+        this.isDirty = true;
+    }
+
+    /**
+     * Returns the nearest valid viewport position: the viewport cannot go past the edges of the map
+     * by more than `overscroll` pixels, and maps smaller than the viewport are centered
+     *
+     * @param {number} x Horizontal position of the viewport.
+     * @param {number} y Vertical position of the viewport.
+     * @returns {Object} the clamped position `{ x, y }`
+     */
+    clampViewport(x, y) {
+        return {
+            x: this.xMax < 0 ? -this.xMax / 2 | 0 : Math.min(this.overscroll, Math.max(-this.xMax - this.overscroll, x)),
+            y: this.yMax < 0 ? -this.yMax / 2 | 0 : Math.min(this.overscroll, Math.max(-this.yMax - this.overscroll, y))
+        };
     }
 
 
@@ -438,27 +767,59 @@ class Map {
      * @param {Number} timestamp current time
 	 */
     moveObjects(timestamp) {
-        this.objects.forEach(function (obj) {
+        this.objects.forEach((obj) => {
             // moving platforms must be moved before any other object
             // so they are moved in Map.movePlatforms() first
-            if (obj.collideGroup !== 3 && obj.movable) {
-                obj.update(timestamp);
+            if (this.platforms.indexOf(obj) === -1) {
+                // riders already saved their position before being carried by their platform
+                if (this.carriedObjects.indexOf(obj) === -1) {
+                    obj._savePreviousPosition();
+                }
 
-                // TODO: set platform() if object reached a platform
+                if (obj.movable) {
+                    obj.update(timestamp);
+
+                    if (this.platforms.length) {
+                        this.checkForPlatform(obj);
+                    }
+                }
             }
         });
+
+        this.carriedObjects.length = 0;
     }
 
     /**
 	 * Move platform objects onto the map: they must be moved before normal objects are moved
 	 * so that movable objects move related to the platforms
 	 *
+	 * Objects standing on a platform (its riders) are moved along with it: their previous position is saved
+	 * before they are moved so that they are drawn along with the platform when positions are interpolated.
+	 *
      * @param {Number} timestamp Current time.
 	 */
     movePlatforms(timestamp) {
-        this.platforms.forEach(function (obj) {
-            if (obj.movable) {
-                obj.update(timestamp);
+        this.platforms.forEach((platform) => {
+            platform._savePreviousPosition();
+
+            if (platform.movable) {
+                platform.update(timestamp);
+
+                const dx = platform.x - platform.prevX,
+                    dy = platform.y - platform.prevY;
+
+                if (dx || dy) {
+                    this.objects.forEach((obj) => {
+                        if (obj.platform === platform) {
+                            if (this.carriedObjects.indexOf(obj) === -1) {
+                                obj._savePreviousPosition();
+                                this.carriedObjects.push(obj);
+                            }
+
+                            this.moveAndCollide(obj, dx, dy);
+                        }
+                    });
+                }
             }
         });
     }
@@ -466,8 +827,9 @@ class Map {
 
     /**
 	 * Handle moving map & its objects:
-	 *  - updates the viewport window if map.moving is set
+	 *  - updates the viewport window if map.moving is set, or lets the camera move it
 	 *  - checks for triggers (that could spawn new objects onto the map)
+	 *  - adds objects found in windows that became visible
 	 *  - move platforms and objects
 	 *
      * @param {Number} timestamp current time
@@ -477,7 +839,15 @@ class Map {
             t = 0,
             moveProgress = 0;
 
-        // TODO: handle end/begining of map reach
+        const viewportX = this.viewportX,
+            viewportY = this.viewportY;
+
+        // time used to display the current frame of animated tiles
+        this.animationTime = timestamp;
+
+        // shake, zoom, rotation
+        this.camera.updateEffects(timestamp);
+
         if (this.moving === true) {
             ellapsedTime = timestamp - this.startMoveTime;
             t = ellapsedTime / this.duration;
@@ -486,7 +856,6 @@ class Map {
                 this.moving = false;
                 this.viewportX = this.viewportTargetX;
                 this.viewportY = this.viewportTargetY;
-                // TODO: send endMove event ?
             } else {
                 moveProgress = this.easing(t, ellapsedTime, 0, 1, this.duration);
 
@@ -496,10 +865,21 @@ class Map {
                 this.viewportY = this.viewportStartY + moveProgress * this.viewportSpeedY | 0;
             }
             this.isDirty = true;
-        } else if (this.masterObject) {
-            // TODO: this has nothing to do in this method!
+        } else {
             this.checkMasterPosition();
-            this.checkForTriggers();
+
+            if (this.masterObject) {
+                // TODO: this has nothing to do in this method!
+                this.checkForTriggers();
+            }
+        }
+
+        this._checkScrolling(viewportX, viewportY);
+
+        // the viewport changed: add objects found in newly visible windows
+        // this is done here and not when drawing so that it also happens when there is no display
+        if (this.isDirty) {
+            this.checkVisibleWindows();
         }
 
         // first move platforms
@@ -507,68 +887,317 @@ class Map {
 
         // then move normal objects
         this.moveObjects(timestamp);
+
+        // and put objects into their new cells
+        this.updateSpatialHash();
     }
 
+    /**
+     * Updates the cells of every object in the spatial hash: this is done after objects are moved
+     * and should be done by hand when objects are moved outside of `Map.update()`
+     */
+    updateSpatialHash() {
+        this.objects.forEach(obj => this.spatialHash.update(obj));
+    }
 
     /**
-	 *
-	 * Triggers map scrolling depending on the master's position (if needed)
-	 *
-	 */
-    checkMasterPosition() {
-        let destX = null,
-            destY = null;
-        // TODO: adapt moveTo() ?
-        // TODO: do not scroll left if we already see all of the map on the left
-        if (this.masterObject && !this.moving) {
-            // Scroll Type 1: continous
-            // if (this.viewportX && ((this.masterObject.x + this.viewportX) < this.viewportLimitX)) {
-            // 	destX = this.viewportX + (this.viewportLimitX - (this.masterObject.x + this.viewportX)); // this.viewportCenterX;
-            // } else if (((-this.viewportX + this.viewportW) - this.masterObject.x) < this.viewportLimitX) {
-            // 	destX = this.viewportX - (this.viewportLimitX - ((-this.viewportX + this.viewportW) - this.masterObject.x)); // this.viewportCenterX;
-            // }
-
-            // if (this.viewportY && ((this.masterObject.y + this.viewportY) < this.viewportLimitY)) {
-            // 	destY = this.viewportY + this.viewportCenterY;
-            // } else if (((-this.viewportY + this.viewportH) - this.masterObject.y) < this.viewportLimitY) {
-            // 	destY = this.viewportY - this.viewportCenterY;
-            // }
-
-            // Scroll Type 2: direct
-            if (this.viewportX && ((this.masterObject.x + this.viewportX) <= this.viewportLimitX)) {
-                destX = this.viewportX + this.viewportCenterX;
-            } else if (((-this.viewportX + this.viewportW) - this.masterObject.x) <= this.viewportLimitX) {
-                destX = this.viewportX - this.viewportCenterX;
-            }
+     * Returns the objects of the map found in a rect, using their hitbox and display size
+     *
+     * @param {Number} x The left of the rect, in pixels.
+     * @param {Number} y The top of the rect, in pixels.
+     * @param {Number} x2 The right of the rect, in pixels (inclusive).
+     * @param {Number} y2 The bottom of the rect, in pixels (inclusive).
+     * @returns {Array<Drawable>} the objects found in the rect, in the order they were added onto the map
+     */
+    getObjectsInRect(x, y, x2, y2) {
+        const hash = this.spatialHash;
 
-            if (this.viewportY && ((this.masterObject.y + this.viewportY) <= this.viewportLimitY)) {
-                destY = this.viewportY + this.viewportCenterY;
-            } else if (((-this.viewportY + this.viewportH) - this.masterObject.y) <= this.viewportLimitY) {
-                destY = this.viewportY - this.viewportCenterY;
-            }
+        // objects get their id when they are added onto the map
+        return hash.query(x, y, x2, y2).sort((a, b) => hash.getId(a) - hash.getId(b));
+    }
+
+
+    /**
+     * Sends scrolling notifications by comparing the viewport with its previous position:
+     *  - `map:scrollStart` when the viewport starts moving
+     *  - `map:scrollEnd` when the viewport stops moving
+     *  - `map:edgeReached` when the viewport reaches an edge of the map
+     *
+     * @param {number} prevX Horizontal position of the viewport before the update.
+     * @param {number} prevY Vertical position of the viewport before the update.
+     *
+     * @private
+     */
+    _checkScrolling(prevX, prevY) {
+        const moved = prevX !== this.viewportX || prevY !== this.viewportY;
+
+        if (moved && !this.scrolling) {
+            this.scrolling = true;
+            this.notify('map:scrollStart', {
+                map: this,
+                x: prevX,
+                y: prevY
+            });
+        } else if (!moved && this.scrolling) {
+            this.scrolling = false;
+            this.notify('map:scrollEnd', {
+                map: this,
+                x: this.viewportX,
+                y: this.viewportY
+            });
+        }
 
-            if (destX !== null || destY !== null) {
-                this.moveTo(destX !== null ? destX : this.viewportX, destY !== null ? destY : this.viewportY);
+        if (!moved) {
+            return;
+        }
+
+        // only maps larger than the viewport have edges that can be reached
+        if (this.xMax > 0) {
+            if (this.viewportX >= 0 && prevX < 0) {
+                this.notify('map:edgeReached', { map: this, edge: 'left' });
+            } else if (this.viewportX <= -this.xMax && prevX > -this.xMax) {
+                this.notify('map:edgeReached', { map: this, edge: 'right' });
             }
+        }
 
-            if (destX !== null || destY !== null) {
-                this.moveTo(destX !== null ? destX : this.viewportX, destY !== null ? destY : this.viewportY);
+        if (this.yMax > 0) {
+            if (this.viewportY >= 0 && prevY < 0) {
+                this.notify('map:edgeReached', { map: this, edge: 'top' });
+            } else if (this.viewportY <= -this.yMax && prevY > -this.yMax) {
+                this.notify('map:edgeReached', { map: this, edge: 'bottom' });
             }
         }
     }
 
+    /**
+	 *
+	 * Moves the viewport depending on the position of the master object (or the camera target): scrolling
+	 * is handled by the map's camera, see {Camera}.
+	 *
+	 */
+    checkMasterPosition() {
+        this.camera.update();
+    }
+
 
     /**
 	 *
-	 * Check for collisions
+	 * Check for collisions between the objects of every pair of groups found in the collision matrix
 	 *
+	 * <blockquote><strong>Note:</strong> every collision is reported: unlike with the former `checkMasterToEnemiesCollisions()`,
+	 * the master object keeps being tested once it has hit an enemy.</blockquote>
+	 *
+	 * @see {CollisionMatrix}
 	 */
     checkCollisions() {
-        if (this.masterObject && this.masterObject.canCollide) {
-            this.checkMasterToEnemiesCollisions();
+        this.collisionMatrix.getPairs().forEach((pair) => {
+            this.checkGroupCollisions(pair[0], pair[1]);
+        });
+    }
+
+    /**
+     * Checks collisions between the objects of two collision groups
+     *
+     * Colliding objects get their `onCollision(other, info)` method called, with info containing
+     * the name of both groups and the overlapping area `{ group, otherGroup, overlap: { x, y, width, height } }`.
+     * Children of objects are tested too, like with `Drawable.hitTest()`: the colliding child is then the one
+     * whose `onCollision()` method gets called.
+     *
+     * Only objects found near each other in the spatial hash are tested, see {SpatialHash}: objects that were not
+     * added using `Map.addObject()` are tested against every object of the other group.
+     *
+     * @param {String} groupA The name of the first group.
+     * @param {String} groupB The name of the second group, objects of a group may collide with each other.
+     * @returns {Boolean} true if a collision was found
+     */
+    checkGroupCollisions(groupA, groupB) {
+        const hash = this.spatialHash,
+            objectsA = this.getCollisionGroup(groupA).slice(),
+            objectsB = groupA === groupB ? objectsA : this.getCollisionGroup(groupB).slice(),
+            // position of groupB objects, by id in the spatial hash
+            indexesB = {},
+            allIndexes = [],
+            unhashedIndexes = [];
+        let found = false;
+
+        objectsB.forEach((b, j) => {
+            const id = hash.getId(b);
+
+            if (id > -1) {
+                indexesB[id] = j;
+            } else {
+                unhashedIndexes.push(j);
+            }
+
+            allIndexes.push(j);
+        });
+
+        for (let i = 0; i < objectsA.length; ++i) {
+            const a = objectsA[i],
+                // bounds include the children of the object
+                box = hash.getId(a) > -1 ? hash.getBounds(a) : null,
+                nearby = box ? hash.query(box.x, box.y, box.x2, box.y2)
+                    .map(b => indexesB[hash.getId(b)])
+                    .filter(j => typeof j !== 'undefined')
+                    .concat(unhashedIndexes) : allIndexes,
+                // objects of a group only have to be tested against the next objects of the group
+                candidates = nearby.filter(j => j > (groupA === groupB ? i : -1)).sort((j, k) => j - k);
+
+            for (let j = 0; j < candidates.length; ++j) {
+                const b = objectsB[candidates[j]],
+                    // enemies have to opt-in for friend bullets collisions
+                    ignored = (groupA === 'friendBullet' && !b.canCollideFriendBullet) || (groupB === 'friendBullet' && !a.canCollideFriendBullet),
+                    collision = !ignored && this._getCollision(a, b);
+
+                if (collision) {
+                    collision.a.onCollision(collision.b, {
+                        group: groupA,
+                        otherGroup: groupB,
+                        overlap: collision.overlap
+                    });
+                    collision.b.onCollision(collision.a, {
+                        group: groupB,
+                        otherGroup: groupA,
+                        overlap: collision.overlap
+                    });
+
+                    found = true;
+                }
+            }
+        }
+
+        return found;
+    }
+
+    /**
+     * Checks collisions between the master object and enemies
+     *
+     * @returns {Boolean} true if a collision was found
+     *
+     * @deprecated use `checkGroupCollisions('player', 'enemy')`: every enemy hitting the master object is now reported.
+     */
+    checkMasterToEnemiesCollisions() {
+        return this.checkGroupCollisions('player', 'enemy');
+    }
+
+    /**
+     * Checks collisions between friend bullets and enemies that can be hit by them, see `Drawable.canCollideFriendBullet`
+     *
+     * @returns {Boolean} true if a collision was found
+     *
+     * @deprecated use `checkGroupCollisions('friendBullet', 'enemy')`.
+     */
+    checkMasterBulletsToEnemiesCollisions() {
+        return this.checkGroupCollisions('friendBullet', 'enemy');
+    }
+
+    /**
+     * Returns the first parts of two objects that collide: objects are tested first, then their children,
+     * like `Drawable.hitTest()` does
+     *
+     * @param {Drawable} a The first object.
+     * @param {Drawable} b The second object.
+     * @returns {(Object|null)} the colliding objects or children with their overlapping area `{ a, b, overlap }`,
+     * null if objects do not collide
+     *
+     * @private
+     */
+    _getCollision(a, b) {
+        const overlap = this._getOverlap(a, b);
+        let collision = null;
+
+        if (overlap) {
+            return {
+                a: a,
+                b: b,
+                overlap: overlap
+            };
+        }
+
+        for (let i = 0; i < a.children.length && !collision; ++i) {
+            collision = this._getCollision(a.children[i], b);
+        }
+
+        for (let i = 0; i < b.children.length && !collision; ++i) {
+            collision = this._getCollision(a, b.children[i]);
+        }
+
+        return collision;
+    }
+
+    /**
+     * Returns the area where the hitboxes of two objects overlap
+     *
+     * Scaled or rotated objects, and objects whose hitbox has a shape, are tested using their shapes:
+     * the overlapping area is then the one of their bounding boxes, see {Shape}.
+     *
+     * @param {Drawable} a The first object.
+     * @param {Drawable} b The second object.
+     * @returns {(Object|null)} the overlapping area `{ x, y, width, height }`, null if objects do not collide
+     *
+     * @private
+     */
+    _getOverlap(a, b) {
+        if (a === b || !a.canCollide || !b.canCollide || !a.visible || !b.visible) {
+            return null;
+        }
+
+        const precise = !Shape.isSimple(a) || !Shape.isSimple(b),
+            shapeA = precise ? Shape.fromDrawable(a) : null,
+            shapeB = precise ? Shape.fromDrawable(b) : null;
+
+        if (precise && !Shape.intersects(shapeA, shapeB)) {
+            return null;
+        }
+
+        const boxA = this._getWorldHitBox(a, shapeA),
+            boxB = this._getWorldHitBox(b, shapeB),
+            x = Math.max(boxA.x, boxB.x),
+            y = Math.max(boxA.y, boxB.y),
+            x2 = Math.min(boxA.x2, boxB.x2),
+            y2 = Math.min(boxA.y2, boxB.y2);
+
+        if (x2 < x || y2 < y) {
+            return null;
+        }
+
+        return {
+            x: x,
+            y: y,
+            width: x2 - x + 1,
+            height: y2 - y + 1
+        };
+    }
+
+    /**
+     * Returns the hitbox of an object in map coordinates
+     *
+     * @param {Drawable} obj The object.
+     * @param {Object} [shape] The shape of the object in map coordinates: its bounding box is returned if specified.
+     * @returns {Object} the hitbox `{ x, y, x2, y2 }`, x2 & y2 being inclusive
+     *
+     * @private
+     */
+    _getWorldHitBox(obj, shape) {
+        if (shape) {
+            const bounds = Shape.getBounds(shape);
+
+            return {
+                x: Math.floor(bounds.x),
+                y: Math.floor(bounds.y),
+                x2: Math.ceil(bounds.x2) - 1,
+                y2: Math.ceil(bounds.y2) - 1
+            };
         }
 
-        this.checkMasterBulletsToEnemiesCollisions();
+        const box = obj.getHitBox();
+
+        return {
+            x: obj.x + box.x,
+            y: obj.y + box.y,
+            x2: obj.x + box.x2,
+            y2: obj.y + box.y2
+        };
     }
 
 
@@ -595,7 +1224,8 @@ class Map {
      *
      * This method uses current map.duration and map.easing to perform the move.
 	 *
-	 * <bockquote><strong>Note:</strong> moveTo will do nothing in case the map is already scrolling.</blockquote>
+	 * <bockquote><strong>Note:</strong> moveTo will do nothing in case the map is already scrolling. The destination
+	 * is clamped to the edges of the map, see `clampViewport`.</blockquote>
      * 
 	 * @param {number} x The horizontal position to move the viewport at.
 	 * @param {number} y The vertical position to move the viewport at.
@@ -603,8 +1233,9 @@ class Map {
 	 */
     moveTo(x, y) {
         // snap X/Y to edge of the map
-        const targetX = x < -this.xMax ? -this.xMax : x;
-        const targetY = y < -this.yMax ? -this.yMax : y;
+        const target = this.clampViewport(x, y),
+            targetX = target.x,
+            targetY = target.y;
 
         if (!this.moving && (this.viewportX !== targetX || this.viewportY !== targetY)) {
             // console.log('moveTo from', this.viewportX, 'to', x, y);
@@ -612,9 +1243,9 @@ class Map {
                 this.masterObject.savePosition();
             }
 
-            this.viewportTargetX = targetX > 0 ? 0 : targetX;
-            this.viewportTargetY = targetY > 0 ? 0 : targetY;
-            this.startMoveTime = new Date().getTime();
+            this.viewportTargetX = targetX;
+            this.viewportTargetY = targetY;
+            this.startMoveTime = this.scene ? this.scene.getTime() : new Date().getTime();
             this.viewportSpeedX = targetX - this.viewportX | 0;
             this.viewportSpeedY = targetY - this.viewportY | 0;
             this.viewportStartX = this.viewportX;
@@ -635,6 +1266,8 @@ class Map {
 	 */
     setNewSrc(options) {
         this.src = options.src;
+        this.srcBitmap = null;
+        this.invalidateChunks();
     }
 
 
@@ -651,90 +1284,174 @@ class Map {
 
 
     /**
-	 * Checks if tile at position x,y is `TYPE.WALL` and returns true if it is a wall, false otherwise
+	 * Checks if position x,y is solid ground: walls, the part of slopes that is below their ground
+	 * and one-way platforms when the object comes from above
 	 *
 	 * @param {Number} x The x position of the tile to check.
 	 * @param {Number} y The y position of the tile to check.
-	 * @returns {Boolean} Returns true if the tile is a wall, false otherwise.
+	 * @param {Number} [fromY] The current bottom of the object: one-way platforms are only solid if it is above them.
+	 * @returns {Boolean} Returns true if the position is solid, false otherwise.
 	 *
 	 * @related {Tile}
 	 */
-    fallTest(x, y) {
-        let pos = this.getTileIndexFromPixel(x, y);
+    fallTest(x, y, fromY) {
+        const pos = this.getTileIndexFromPixel(x, y),
+            behavior = this.tileBehaviors[pos.x + pos.y * this.numCols];
+
+        if (Tile.isSlope(behavior)) {
+            return y >= this._getSlopeY(behavior, pos.x, pos.y, x);
+        } else if (behavior === Tile.TYPE.PLATFORM) {
+            return typeof fromY === 'undefined' || fromY < pos.y * this.tileHeight;
+        }
+
+        return behavior === Tile.TYPE.WALL;
+    }
+
+    /**
+     * Returns the position of the first ground found at column x, between y and maxY
+     *
+     * Ground is the top of walls and one-way platforms, or the surface of slopes.
+     *
+     * @param {Number} x The horizontal position to check.
+     * @param {Number} y The vertical position where to start looking for the ground.
+     * @param {Number} maxY The vertical position where to stop looking.
+     * @returns {(Number|Boolean)} The vertical position of the ground, false if there is no ground or if y is inside a wall or a slope.
+     */
+    getGroundY(x, y, maxY) {
+        const col = x / this.tileWidth | 0,
+            lastRow = Math.min(this.numRows - 1, maxY / this.tileHeight | 0);
+
+        for (let row = Math.max(0, y / this.tileHeight | 0); row <= lastRow; row++) {
+            const behavior = this.tileBehaviors[row * this.numCols + col],
+                isSlope = Tile.isSlope(behavior);
+            let groundY = row * this.tileHeight;
+
+            if (isSlope) {
+                groundY = this._getSlopeY(behavior, col, row, x);
 
-        // return (!(this.tileBehaviors[pos.x + pos.y * this.numCols] & 1));
-        return this.tileBehaviors[pos.x + pos.y * this.numCols] === Tile.TYPE.WALL;
+                // no ground in this column of the tile
+                if (groundY >= (row + 1) * this.tileHeight) {
+                    continue;
+                }
+            } else if (behavior !== Tile.TYPE.WALL && behavior !== Tile.TYPE.PLATFORM) {
+                continue;
+            }
+
+            if (groundY >= y) {
+                return groundY <= maxY ? groundY : false;
+            } else if (behavior === Tile.TYPE.WALL || isSlope) {
+                return false;
+            }
+        }
+
+        return false;
     }
 
+    /**
+     * Returns true if the sprite is standing on, or walking along, a slope
+     *
+     * @param {Drawable} sprite The sprite to check.
+     * @returns {Boolean} true if there is a slope under the sprite's feet
+     */
+    isOnSlope(sprite) {
+        const hitBox = sprite.getHitBox(),
+            pos = this.getTileIndexFromPixel(sprite.x + (hitBox.x + hitBox.x2) / 2, sprite.y + hitBox.y2 + 1);
+
+        return Tile.isSlope(this.getTileBehaviorAtIndex(pos.x, pos.y)) || Tile.isSlope(this.getTileBehaviorAtIndex(pos.x, pos.y - 1));
+    }
 
     /**
-	 *
-	 * Checks collisions between master bullets and enemies: call hitTest method on
-	 * any frend bullet object with the enemies object as parameter
-	 *
-	 */
-    checkMasterBulletsToEnemiesCollisions() {
-        let i = 0,
-            j = 0,
-            maxBullets = this.friendBullets.length,
-            maxEnemies = this.enemies.length;
+     * Moves a sprite vertically so that its feet are right above the ground: used to walk along slopes
+     *
+     * The ground is looked for below the center of the sprite's hitbox.
+     *
+     * @param {Drawable} sprite The sprite to move.
+     * @param {Number} [maxDistance=tileHeight / 2] The maximum distance the sprite may be moved, up or down.
+     * @returns {Boolean} true if the ground was found and the sprite moved onto it, false otherwise
+     */
+    snapToGround(sprite, maxDistance = this.tileHeight / 2) {
+        const hitBox = sprite.getHitBox(),
+            bottom = sprite.y + hitBox.y2,
+            groundY = this.getGroundY(Math.round(sprite.x + (hitBox.x + hitBox.x2) / 2), Math.ceil(bottom + 1 - maxDistance), Math.floor(bottom + 1 + maxDistance));
 
-        for (i = 0; i < maxBullets; ++i) {
-            for (j = 0; j < maxEnemies; ++j) {
-                if (this.enemies[j] && this.enemies[j].canCollideFriendBullet) {
-                    this.friendBullets[i] && this.friendBullets[i].hitTest(this.enemies[j]);
-                }
-            }
+        if (typeof groundY !== 'number') {
+            return false;
         }
-    }
 
+        sprite.y += groundY - 1 - bottom;
 
-    /**
-    * Checks collisions between master object and enemies, calling hitTest on any enemie
-    * that collides with the master
-    *
-    * @returns {Boolean} Returns true if the masterSprite was hit, false otherwise.
-    *
-    */
-    checkMasterToEnemiesCollisions() {
-        let i = 0,
-            max = this.enemies.length,
-            found = false;
+        return true;
+    }
 
-        // TODO: player should have some invicibility for a few frames once it has
-        // hit an enemy
-        while (i < max && !found) {
-            found = this.enemies[i].hitTest(this.masterObject);
-            i++;
-        }
+    /**
+     * Returns the vertical position of the ground of a slope tile
+     *
+     * @param {Number} behavior The behavior of the tile.
+     * @param {Number} col The column of the tile.
+     * @param {Number} row The row of the tile.
+     * @param {Number} x The horizontal position, in pixels.
+     * @returns {Number} the first solid pixel of the slope at this position
+     *
+     * @private
+     */
+    _getSlopeY(behavior, col, row, x) {
+        const ratio = (x - col * this.tileWidth) / (this.tileWidth - 1);
 
-        return found;
+        return Math.round((row + 1 - Tile.getSlopeHeight(behavior, ratio)) * this.tileHeight);
     }
 
 
     /**
-    * WIP: Check if user will reach a platform
+    * Checks if an object landed on a moving platform, or left the one it was standing on,
+    * and updates its platform using `Drawable.setPlatform()`
     *
-    * @param {Drawable} drawable The drawable to use.
-    * @param {Number} vx The current vx of the object.
-    * @param {Number} vy The current vy of the object.
-    * @returns {Boolean} false (not fully implemented yet).
+    * Objects land on a platform when their bottom goes through its top: they are then placed on top of it.
+    * They leave the platform when they jump or are not above it anymore.
     *
-    * @private
+    * @param {Drawable} drawable The drawable to check.
+    * @returns {(Drawable|null)} The platform the object is standing on, null if there isn't any.
     *
     */
-    checkForPlatform(drawable, vx, vy) {
-        let box = drawable.getHitBox(),
-            x = box.x + sprite.x,
-            y = box.y + sprite.y;
+    checkForPlatform(drawable) {
+        const box = drawable.getHitBox(),
+            left = drawable.x + box.x,
+            right = drawable.x + box.x2,
+            bottom = drawable.y + box.y2,
+            prevBottom = drawable.prevY + box.y2;
+        let platform = drawable.platform;
+
+        const isAbove = (platform) => {
+            const platformBox = platform.getHitBox();
+
+            return right >= platform.x + platformBox.x && left <= platform.x + platformBox.x2;
+        };
 
-        this.platforms.forEach((platform) => {
-            let platformBox = platform.getHitBox(),
-                platformX = platform.x + platformBox.x,
-                platformY = platform.y + platformBox.y;
-        });
+        const getTop = (platform) => platform.y + platform.getHitBox().y;
 
-        return false;
+        if (platform) {
+            const top = getTop(platform);
+
+            // jumped or walked off the platform
+            if (!isAbove(platform) || this.platforms.indexOf(platform) === -1 || top - 1 - bottom > 1) {
+                drawable.setPlatform(null);
+                platform = null;
+            } else {
+                drawable.y += top - 1 - bottom;
+            }
+        }
+
+        if (!platform) {
+            platform = this.platforms.filter((obj) => {
+                return obj !== drawable && isAbove(obj) && prevBottom < obj.prevY + obj.getHitBox().y && bottom >= getTop(obj);
+            })[0] || null;
+
+            if (platform) {
+                drawable.y += getTop(platform) - 1 - bottom;
+                drawable.setPlatform(platform);
+            }
+        }
+
+        return platform;
     }
 
 
@@ -837,6 +1554,171 @@ class Map {
         }
     }
 
+    /**
+     * Moves an object by dx, dy, stopping it when it reaches solid tiles
+     *
+     * The hitbox of the object is swept through every tile found on its way, first horizontally then vertically,
+     * so that fast objects cannot go through walls, whatever the size of the tiles.
+     *
+     * Slopes and one-way platforms are considered as ground: objects land on them when moving down,
+     * and walk along slopes when moving horizontally.
+     *
+     * @param {Drawable} sprite The object to move.
+     * @param {Number} dx The horizontal distance to move.
+     * @param {Number} dy The vertical distance to move.
+     * @param {Object} [options]
+     * @param {Array<Number>} [options.solidTypes=[Tile.TYPE.WALL]] The tile behaviors that stop the object.
+     * @returns {Object} The distance the object moved and its contacts with solid tiles `{ dx, dy, floor, ceiling, left, right }`
+     *
+     * @example
+     * const contacts = map.moveAndCollide(sprite, sprite.vx, sprite.vy);
+     *
+     * if (contacts.floor) {
+     *     sprite.vy = 0;
+     * }
+     */
+    moveAndCollide(sprite, dx, dy, options = {}) {
+        const solidTypes = options.solidTypes || [Tile.TYPE.WALL],
+            startX = sprite.x,
+            startY = sprite.y,
+            wasOnSlope = this.isOnSlope(sprite),
+            contacts = {
+                dx: 0,
+                dy: 0,
+                floor: false,
+                ceiling: false,
+                left: false,
+                right: false
+            };
+
+        if (dx) {
+            dx = this._sweepX(sprite, dx, solidTypes, contacts);
+            sprite.x += dx;
+
+            // walk along slopes
+            if (dy >= 0 && (wasOnSlope || this.isOnSlope(sprite)) && this.snapToGround(sprite)) {
+                contacts.floor = true;
+                dy = 0;
+            }
+        }
+
+        if (dy) {
+            sprite.y += this._sweepY(sprite, dy, solidTypes, contacts);
+        }
+
+        contacts.dx = sprite.x - startX;
+        contacts.dy = sprite.y - startY;
+
+        return contacts;
+    }
+
+    /**
+     * Returns the horizontal distance an object can move before reaching a solid tile
+     *
+     * @param {Drawable} sprite The object to move.
+     * @param {Number} dx The horizontal distance to move.
+     * @param {Array<Number>} solidTypes The tile behaviors that stop the object.
+     * @param {Object} contacts The contacts of the object, updated if a solid tile is reached.
+     * @returns {Number} The distance the object can move
+     *
+     * @private
+     */
+    _sweepX(sprite, dx, solidTypes, contacts) {
+        const hitBox = sprite.getHitBox(),
+            left = sprite.x + hitBox.x,
+            right = sprite.x + hitBox.x2,
+            firstRow = Math.max(0, (sprite.y + hitBox.y) / this.tileHeight | 0),
+            lastRow = Math.min(this.numRows - 1, (sprite.y + hitBox.y2) / this.tileHeight | 0),
+            step = dx > 0 ? 1 : -1,
+            firstCol = Math.floor((dx > 0 ? right : left) / this.tileWidth) + step,
+            lastCol = Math.floor(((dx > 0 ? right : left) + dx) / this.tileWidth);
+
+        for (let col = firstCol; step > 0 ? col <= lastCol : col >= lastCol; col += step) {
+            if (col < 0 || col >= this.numCols) {
+                continue;
+            }
+
+            for (let row = firstRow; row <= lastRow; row++) {
+                if (solidTypes.indexOf(this.tileBehaviors[row * this.numCols + col]) > -1) {
+                    if (dx > 0) {
+                        contacts.right = true;
+                        return col * this.tileWidth - 1 - right;
+                    } else {
+                        contacts.left = true;
+                        return (col + 1) * this.tileWidth - left;
+                    }
+                }
+            }
+        }
+
+        return dx;
+    }
+
+    /**
+     * Returns the vertical distance an object can move before reaching a solid tile or the ground
+     *
+     * @param {Drawable} sprite The object to move.
+     * @param {Number} dy The vertical distance to move.
+     * @param {Array<Number>} solidTypes The tile behaviors that stop the object.
+     * @param {Object} contacts The contacts of the object, updated if a solid tile is reached.
+     * @returns {Number} The distance the object can move
+     *
+     * @private
+     */
+    _sweepY(sprite, dy, solidTypes, contacts) {
+        const hitBox = sprite.getHitBox(),
+            left = sprite.x + hitBox.x,
+            right = sprite.x + hitBox.x2,
+            top = sprite.y + hitBox.y,
+            bottom = sprite.y + hitBox.y2,
+            firstCol = Math.max(0, Math.floor(left / this.tileWidth)),
+            lastCol = Math.min(this.numCols - 1, Math.floor(right / this.tileWidth));
+
+        if (dy < 0) {
+            const firstRow = Math.floor(top / this.tileHeight) - 1,
+                lastRow = Math.max(0, Math.floor((top + dy) / this.tileHeight));
+
+            for (let row = firstRow; row >= lastRow; row--) {
+                for (let col = firstCol; col <= lastCol; col++) {
+                    if (solidTypes.indexOf(this.tileBehaviors[row * this.numCols + col]) > -1) {
+                        contacts.ceiling = true;
+                        return (row + 1) * this.tileHeight - top;
+                    }
+                }
+            }
+        } else {
+            const firstRow = Math.max(0, Math.floor(bottom / this.tileHeight)),
+                lastRow = Math.min(this.numRows - 1, Math.floor((bottom + dy) / this.tileHeight));
+
+            for (let row = firstRow; row <= lastRow; row++) {
+                let groundY = Infinity;
+
+                for (let col = firstCol; col <= lastCol; col++) {
+                    const behavior = this.tileBehaviors[row * this.numCols + col];
+                    let tileGroundY = row * this.tileHeight;
+
+                    if (Tile.isSlope(behavior)) {
+                        tileGroundY = Math.min(this._getSlopeY(behavior, col, row, Math.max(left, col * this.tileWidth)), this._getSlopeY(behavior, col, row, Math.min(right, (col + 1) * this.tileWidth - 1)));
+                    } else if (behavior !== Tile.TYPE.PLATFORM && solidTypes.indexOf(behavior) === -1) {
+                        continue;
+                    }
+
+                    // tiles the object is already into are ignored
+                    if (tileGroundY > bottom) {
+                        groundY = Math.min(groundY, tileGroundY);
+                    }
+                }
+
+                if (bottom + dy >= groundY) {
+                    contacts.floor = true;
+                    return groundY - 1 - bottom;
+                }
+            }
+        }
+
+        return dy;
+    }
+
     /**
     * Calculates and sets the object's next x position using its current x, vx and
     * avoids tileTypes tiles (ie: walls, moving platforms)
@@ -845,84 +1727,34 @@ class Map {
     * @param {Number} tileTypes The tileType.
     * @returns {Boolean} Returns true if the object hit the spcified tile, false otherwise
     *
+    * @see {Map#moveAndCollide}
     */
     setNextX(sprite, tileTypes) {
-        // TODO: if player moves too fast, or tiles are too small,
-        // we may miss some tiles and do not detect colisions
         // TODO: 2. handle type of movingPlatform: platformType: 0 | 1
         // TODO: 3. Iterate through list of movingPlatforms of platformType [1] too
-        // if closer than (sprite.x + sprite.vx [ +hitBox.x2 ]) && < maxX
-        // then maxX = movingPlatform.size - 1
-
-        const left = (sprite.vx > 0) ? false : true;
-
-        let hitBox = sprite.getHitBox(),
-            spriteYMax = sprite.y + hitBox.y2,
-            startX = left ? sprite.x + hitBox.x - 1 : sprite.x + hitBox.x2 + 1,
-            startY = sprite.y + hitBox.y,
-            tilePos = this.getTileIndexFromPixel(startX, startY),
-            found = false,
-            minX = left ? startX : 0;
-        //
-        // console.log('begin test');
-        // left: minX >= sprite.vx => minX
-        while (!found && ((left && (minX >= sprite.vx)) || (!left && (minX <= sprite.vx)))) {
-            for (let i = tilePos.y * this.tileHeight; i < spriteYMax; i += this.tileHeight, tilePos.y++) {
-                // DISABLE WALL COLLISIONS
-                // TODO: add a parameter to toggle collisions at runtime
-                if (this.tileBehaviors[tilePos.y * this.numCols + tilePos.x] === tileTypes) {
-                    found = true;
-                    break;
-                }
-            }
-
-            if (!found) {
-                minX = left ? ((tilePos.x * this.tileWidth) - startX) : ((++tilePos.x * this.tileWidth) - startX);
-            }
-            startX = left ? ((tilePos.x * this.tileWidth) - 1) : tilePos.x * this.tileWidth;
-
-            tilePos = this.getTileIndexFromPixel(startX, startY);
-        }
-        // console.log('end test');
+        const contacts = this.moveAndCollide(sprite, sprite.vx, 0, {
+            solidTypes: [tileTypes]
+        });
 
-        if ((left && sprite.vx >= minX) || (!left && sprite.vx < minX)) {
-            sprite.x += sprite.vx;
-            return false;
-        } else {
-            console.log('**collision');
-            sprite.x += minX;
-            return true;
-        }
+        return contacts.left || contacts.right;
     }
 
     /**
-    * WIP: Calculates and sets the object's next y position using its current y, vy and
+    * Calculates and sets the object's next y position using its current y, vy and
     * avoids tileTypes tiles (ie: walls, moving platforms)
     *
     * @param {Drawable} sprite
     * @param {any} tileTypes
     * @returns {Boolean} true if the object hit a tile, false otherwise
     *
+    * @see {Map#moveAndCollide}
     */
     setNextYTop(sprite, tileTypes) {
-        let hitBox = sprite.getHitBox,
-            spriteXMax = sprite.x + hitBox.x2,
-            startX = sprite.x + hitBox.x,
-            startY = sprite.y + hitBox.x2 + 1,
-            tilePos = this.getTileIndexFromPixel(startX, startY),
-            found = false,
-            minY = 0;
-
-        // while (!found && minY <= sprite.vy) {
-        // 	for (let i = tilePos.x * this.tileWidth; i < spriteXMax; i += this.tileWidth) {
-        // 		if (this.tileBehaviors[tilePos.y * this.numCols + tilePos.x] === tileTypes) {
-        // 			found = true;
-        // 			break;
-        // 		}
-        // 	}
-        // }
+        const contacts = this.moveAndCollide(sprite, 0, sprite.vy, {
+            solidTypes: [tileTypes]
+        });
 
-        sprite.y += sprite.vy;
+        return contacts.floor || contacts.ceiling;
     }
 
     // setNextXRight(sprite, tileTypes) {
@@ -1002,30 +1834,52 @@ class Map {
      * Tests if a rectangle collapses with certain types of tiles
      * Used when checking colligions between a sprite and walls for example
      *
+     * When testing for `Tile.TYPE.WALL`, slopes are hit if the rectangle goes below their ground, and one-way
+     * platforms are hit when `fromY` is specified and above them: this is used to land on platforms.
+     *
      * @param {number} x
      * @param {number} y
      * @param {number} x2
      * @param {number} y2
      * @param {number} types
-     * @returns {(Boolean|Object)} True if colision detected
+     * @param {number} [fromY] The current bottom of the object, when falling.
+     * @returns {(Boolean|Object)} False if no collision was detected, the tile that was hit `{ x, y, behavior, groundY, tile: { x, y } }` otherwise
      *
      */
-    hitObjectTest(x, y, x2, y2, types) {
+    hitObjectTest(x, y, x2, y2, types, fromY) {
         let pos1 = this.getTileIndexFromPixel(x, y),
             pos2 = this.getTileIndexFromPixel(x2, y),
             pos3 = this.getTileIndexFromPixel(x, y2),
             max1 = pos2.x,
             max2 = pos3.y,
             i, j,
-            tileType;
+            tileType,
+            groundY,
+            hit;
 
         for (i = pos1.x; i <= max1; i++) {
             for (j = pos1.y; j <= max2; j++) {
                 tileType = this.tileBehaviors[j * this.numCols + i];
-                if (tileType === types) {
+                groundY = j * this.tileHeight;
+
+                if (types === Tile.TYPE.WALL && tileType !== types) {
+                    if (Tile.isSlope(tileType)) {
+                        // the ground of slopes is a line: its highest point is on one side of the rectangle
+                        groundY = Math.min(this._getSlopeY(tileType, i, j, Math.max(x, i * this.tileWidth)), this._getSlopeY(tileType, i, j, Math.min(x2, (i + 1) * this.tileWidth - 1)));
+                        hit = y2 >= groundY;
+                    } else {
+                        hit = tileType === Tile.TYPE.PLATFORM && typeof fromY !== 'undefined' && fromY < groundY && y2 >= groundY;
+                    }
+                } else {
+                    hit = tileType === types;
+                }
+
+                if (hit) {
                     return {
                         x: i,
                         y: j,
+                        behavior: tileType,
+                        groundY: groundY,
                         tile: {
                             x: i * this.tileWidth,
                             y: j * this.tileHeight
@@ -1042,71 +1896,78 @@ class Map {
     /**
      * Draws tile at pixel position (x, y) onto the specified {Canvas} context
      *
-     * <blockquote<strong>Note:</strong> if offset is true it means scroll is in progress and
-     * we are drawing the first col: in this case we have to draw
-     * a partial tile and we do not use `tileWidth/tileHeight`
-     * but this.scrollTileOffsetX instead</blockquote>
-     *
      * <blockquote>Unless noted otherwise, positions are related to the whole map, and not to the viewport.</blockquote>
      * 
      * @param {number} tileNum The tile number to draw.
      * @param {CanvasContext} ctx The canvas rendering context to draw the tile into.
      * @param {number} x The horizontal position where to draw the tile.
      * @param {number} y The vertical position where to draw the tile.
-     * @param {Boolean} partialTileX If set to true, the tile will be partially rendered starting at tileOffsetX.
-     * @param {Boolean} partialTileY If set to true, the tile will be partially rendered starting at tileOffsetY.
-     * This happens if the tile is at the firstRow/firstCol of the viewport and viewportX/Y % tileWidth/Height != 0.
+     * @param {TileLayer} [layer=this.mainLayer] The layer the tile belongs to.
      *
      * @private
      *
      */
-    drawTile(tileNum, ctx, x, y, partialTileX, partialTileY) {
-        let currentTile = this.tiles[tileNum];
-
-        ctx.drawImage(this.srcBitmap,
-            currentTile.offsetX + (partialTileX && this.tileOffsetX) || 0,
-            currentTile.offsetY + (partialTileY && this.tileOffsetY) || 0,
-            partialTileX ? this.scrollTileWidth : currentTile.width,
-            partialTileY ? this.scrollTileHeight : currentTile.height,
+    drawTile(tileNum, ctx, x, y, layer = this.mainLayer) {
+        let currentTile = layer.getTiles()[tileNum],
+            frame = currentTile.getFrame(this.animationTime);
+
+        ctx.drawImage(layer.getBitmap(),
+            frame.offsetX,
+            frame.offsetY,
+            currentTile.width,
+            currentTile.height,
             x,
             y,
-            partialTileX ? this.scrollTileWidth : currentTile.width,
-            partialTileY ? this.scrollTileHeight : currentTile.height);
+            currentTile.width,
+            currentTile.height);
     }
 
 
     /**
-	 * Internal: calculates scrolling offsets for first cols in case a scrolling is in progress
+	 * Calls a function for each tile of the map that's inside the viewport
+	 *
+	 * @param {Boolean} showHidden Set to true to go through every tile of the map and not only the visible ones.
+	 * @param {Number} mapOffsetX The x offset where to start drawing the map.
+	 * @param {Number} mapOffsetY The y offset where to start drawing the map.
+	 * @param {Function} callback The function to call with the index of the tile in the map buffer and its position on the screen.
+	 * @param {Object} [viewport] The viewport position to use, defaults to the map's one: layers with a scroll factor have their own.
+	 * @param {Object} [area] Only go through tiles found in this part of the viewport `{ x, y, width, height }`, defaults to the whole viewport.
 	 *
 	 * @private
 	 */
-    _getTileOffset() {
-        let viewportX = Math.abs(this.viewportX),
-            viewportY = Math.abs(this.viewportY);
-
-        this.tileOffsetX = viewportX < this.tileWidth ? viewportX : viewportX % this.tileWidth;
-        this.tileOffsetY = viewportY < this.tileHeight ? viewportY : viewportY % this.tileHeight;
-        this.scrollTileWidth = this.tileWidth - this.tileOffsetX;
-        this.scrollTileHeight = this.tileHeight - this.tileOffsetY;
+    _forEachVisibleTile(showHidden, mapOffsetX, mapOffsetY, callback, viewport = { x: this.viewportX, y: this.viewportY }, area = { x: 0, y: 0, width: this.viewportW, height: this.viewportH }) {
+        const viewportX = showHidden ? 0 : viewport.x,
+            viewportY = showHidden ? 0 : viewport.y,
+            // the viewport may be outside of the map (overscroll, small maps)
+            firstRow = showHidden ? 0 : Math.max(0, Math.floor((area.y - viewportY) / this.tileHeight)),
+            lastRow = showHidden ? this.numRows : Math.min(this.numRows, Math.ceil((area.y + area.height - viewportY) / this.tileHeight)),
+            firstCol = showHidden ? 0 : Math.max(0, Math.floor((area.x - viewportX) / this.tileWidth)),
+            lastCol = showHidden ? this.numCols : Math.min(this.numCols, Math.ceil((area.x + area.width - viewportX) / this.tileWidth)),
+            startX = mapOffsetX + viewportX,
+            startY = mapOffsetY + viewportY;
+
+        for (let i = firstRow; i < lastRow; i++) {
+            for (let j = firstCol; j < lastCol; j++) {
+                callback(i * this.numCols + j, startX + j * this.tileWidth, startY + i * this.tileHeight);
+            }
+        }
     }
 
 
     /**
 	 * Draws the map, showing the whole map and not only the visible window if showHidden true
 	 *
+	 * Tiles that are partially visible are clipped to the viewport.
+	 *
 	 * @param {RenderingContext} ctx The context of the canvas where to draw the map.
 	 * @param {Boolean} showHidden The map only draws the viewport, set this to true to draw the whole map.
 	 * @param {Number} [mapOffsetX=0] The x offset where to start drawing the map.
 	 * @param {Number} [mapOffsetY=0] The y offset where to start drawing the map.
+	 * @param {Boolean} [withLayersAboveSprites=false] Set to true to also draw layers that should be above sprites, when there is no other display layer to draw them on.
 	 *
 	 * @private
 	 */
-    draw(ctx, showHidden, mapOffsetX = 0, mapOffsetY = 0) {
-        let i, j, max, max2,
-            tileNum = 0,
-            x = 0,
-            y = 0;
-
+    draw(ctx, showHidden, mapOffsetX = 0, mapOffsetY = 0, withLayersAboveSprites = false) {
         // no tiles defined, nothing to render
         if (!this.tiles.length) {
             // set isDirty to true to prevent running into this method until some tiles have been set
@@ -1114,58 +1975,196 @@ class Map {
             return;
         }
 
-        if (!this.srcBitmap) {
-            // console.log('[Map] no bitmap, need to get the source');
-            this.srcBitmap = RM.getResourceById(this.src);
+        if (this.isDirty || !this.lastCol) {
+            const layers = this.tileLayers.filter(layer => withLayersAboveSprites || !layer.aboveSprites);
+
+            // 1. get first col/row of map
+            this._getBoundariesTiles(showHidden);
+
+            this._drawLayers(ctx, layers, showHidden, mapOffsetX, mapOffsetY);
 
-            if (!this.srcBitmap) {
-                throw 'no source bitmap found when drawing map';
+            this.animatedCells = showHidden ? [] : this._getAnimatedCells(layers);
+
+            // chunks may have been rendered with another frame of animated tiles
+            if (this.chunkSize && this.animatedCells.length) {
+                this._drawLayers(ctx, layers, showHidden, mapOffsetX, mapOffsetY, this.animatedCells);
             }
+
+            this.isDirty = false;
         }
+    }
+
+    /**
+     * Redraws the cells of the map that contain animated tiles whose frame has changed since they were drawn:
+     * this allows animating tiles without redrawing the whole map each frame.
+     *
+     * @param {RenderingContext} ctx The context of the canvas where the map has been drawn.
+     * @param {Number} [mapOffsetX=0] The x offset where to start drawing the map.
+     * @param {Number} [mapOffsetY=0] The y offset where to start drawing the map.
+     * @param {Boolean} [withLayersAboveSprites=false] Set to true if layers above sprites were drawn with the map.
+     *
+     * @private
+     */
+    drawAnimatedTiles(ctx, mapOffsetX = 0, mapOffsetY = 0, withLayersAboveSprites = false) {
+        const cells = this.animatedCells.filter((cell) => {
+            const frame = cell.tile.getFrameIndex(this.animationTime);
 
-        // this.isDirty = true;
+            if (frame !== cell.frame) {
+                cell.frame = frame;
+                return true;
+            }
 
-        i = j = max = max2 = 0;
-        // 1. get first col/row of map
-        if (this.isDirty || !this.lastCol) {
-            this._getBoundariesTiles(showHidden);
+            return false;
+        });
+
+        if (cells.length) {
+            this._drawLayers(ctx, this.tileLayers.filter(layer => withLayersAboveSprites || !layer.aboveSprites), false, mapOffsetX, mapOffsetY, cells);
         }
+    }
 
-        if (this.isDirty || !this.lastCol) {
-            this._getTileOffset();
+    /**
+     * Draws the visible pre-rendered chunks of a layer
+     *
+     * @param {RenderingContext} ctx The context of the canvas where to draw the layer.
+     * @param {TileLayer} layer The layer to draw.
+     * @param {Number} mapOffsetX The x offset where to start drawing the map.
+     * @param {Number} mapOffsetY The y offset where to start drawing the map.
+     *
+     * @private
+     */
+    _drawChunks(ctx, layer, mapOffsetX, mapOffsetY) {
+        const viewport = layer.getViewport(),
+            chunkWidth = this.chunkSize * this.tileWidth,
+            chunkHeight = this.chunkSize * this.tileHeight,
+            firstCol = Math.max(0, Math.floor(-viewport.x / chunkWidth)),
+            lastCol = Math.min(Math.ceil(this.numCols / this.chunkSize), Math.ceil((this.viewportW - viewport.x) / chunkWidth)),
+            firstRow = Math.max(0, Math.floor(-viewport.y / chunkHeight)),
+            lastRow = Math.min(Math.ceil(this.numRows / this.chunkSize), Math.ceil((this.viewportH - viewport.y) / chunkHeight));
+
+        for (let row = firstRow; row < lastRow; row++) {
+            for (let col = firstCol; col < lastCol; col++) {
+                ctx.drawImage(layer.getChunk(col, row), mapOffsetX + viewport.x + col * chunkWidth, mapOffsetY + viewport.y + row * chunkHeight);
+            }
+        }
+    }
 
-            for (i = this.firstRow, max = this.lastRow, y = mapOffsetY; i < max; i++) {
-                // if (this.viewportX && i === this.firstRow)
-                //     debugger;
-                for (j = this.firstCol, max2 = this.lastCol, x = mapOffsetX; j < max2; j++) {
-                    tileNum = this.map[i * this.numCols + j];
+    /**
+     * Returns the visible cells of the specified layers that contain an animated tile
+     *
+     * @param {Array<TileLayer>} layers The layers to look into.
+     * @returns {Array<Object>} the cells, with their position in the viewport, their size, their tile and its current frame
+     *
+     * @private
+     */
+    _getAnimatedCells(layers) {
+        const cells = [];
 
-                    if (tileNum < 255) { // no tile goes here
-                        // TODO: check that viewportY is not zero too ?
-                        this.drawTile(tileNum, ctx, x, y, !!(this.viewportX && j === this.firstCol), !!(this.viewportY && i === this.firstRow));
-                    }
-                    if (this.viewportX && j === this.firstCol) {
-                        x += this.scrollTileWidth;
-                    } else {
-                        x += this.tileWidth;
-                    }
-                }
-                if (this.viewportY && i === this.firstRow) {
-                    y += this.scrollTileHeight;
-                } else {
-                    y += this.tileHeight;
+        layers.forEach((layer) => {
+            const tiles = layer.getTiles();
+
+            if (!layer.visible || !layer.opacity || !tiles.some(tile => tile.isAnimated())) {
+                return;
+            }
+
+            this._forEachVisibleTile(false, 0, 0, (index, x, y) => {
+                const tile = tiles[layer.data[index]];
+
+                if (tile && tile.isAnimated()) {
+                    cells.push({
+                        x,
+                        y,
+                        width: tile.width,
+                        height: tile.height,
+                        tile,
+                        frame: tile.getFrameIndex(this.animationTime)
+                    });
                 }
+            }, layer.getViewport());
+        });
+
+        return cells;
+    }
+
+    /**
+     * Draws the layers that are above sprites
+     *
+     * Unlike the other layers, these are rendered onto a display layer that's cleared every frame
+     * so they have to be drawn each frame.
+     *
+     * @param {RenderingContext} ctx The context of the canvas where to draw the layers.
+     * @param {Number} [mapOffsetX=0] The x offset where to start drawing the map.
+     * @param {Number} [mapOffsetY=0] The y offset where to start drawing the map.
+     *
+     * @private
+     */
+    drawLayersAboveSprites(ctx, mapOffsetX = 0, mapOffsetY = 0) {
+        if (this.tiles.length) {
+            this._drawLayers(ctx, this.tileLayers.filter(layer => layer.aboveSprites), false, mapOffsetX, mapOffsetY);
+        }
+    }
+
+    /**
+     * Draws the visible tiles of the specified layers, using their opacity and scroll factor
+     *
+     * @param {RenderingContext} ctx The context of the canvas where to draw the layers.
+     * @param {Array<TileLayer>} layers The layers to draw.
+     * @param {Boolean} showHidden Set to true to draw the whole map and not only the viewport.
+     * @param {Number} mapOffsetX The x offset where to start drawing the map.
+     * @param {Number} mapOffsetY The y offset where to start drawing the map.
+     * @param {Array<Object>} [areas] Only clear and redraw these parts of the viewport `{ x, y, width, height }`.
+     *
+     * @private
+     */
+    _drawLayers(ctx, layers, showHidden, mapOffsetX, mapOffsetY, areas) {
+        ctx.save();
+
+        // apply camera effects (shake, zoom,...)
+        this.camera.setTransform(ctx, 1, 0, 0, 1, 0, 0);
+
+        if (!showHidden) {
+            ctx.beginPath();
+            ctx.rect(mapOffsetX, mapOffsetY, this.viewportW, this.viewportH);
+            ctx.clip();
+        }
+
+        if (areas) {
+            ctx.beginPath();
+            areas.forEach(area => ctx.rect(mapOffsetX + area.x, mapOffsetY + area.y, area.width, area.height));
+            ctx.clip();
+            areas.forEach(area => ctx.clearRect(mapOffsetX + area.x, mapOffsetY + area.y, area.width, area.height));
+        }
+
+        layers.forEach((layer) => {
+            if (!layer.visible || !layer.opacity) {
+                return;
             }
 
-            /* This should be done in another canvas */
-            if (this.isDebug === true) {
-                this.showTileBehaviors(ctx, showHidden, mapOffsetX, mapOffsetY);
+            ctx.globalAlpha = layer.opacity;
+
+            if (this.chunkSize && !showHidden && !areas) {
+                this._drawChunks(ctx, layer, mapOffsetX, mapOffsetY);
+                return;
             }
 
-            this.checkVisibleWindows();
+            (areas || [undefined]).forEach((area) => {
+                this._forEachVisibleTile(showHidden, mapOffsetX, mapOffsetY, (index, x, y) => {
+                    const tileNum = layer.data[index];
 
-            this.isDirty = false;
+                    if (tileNum !== this.emptyTile) { // no tile goes here
+                        this.drawTile(tileNum, ctx, x, y, layer);
+                    }
+                }, layer.getViewport(), area);
+            });
+        });
+
+        ctx.globalAlpha = 1;
+
+        /* This should be done in another canvas */
+        if (this.isDebug === true && layers.indexOf(this.mainLayer) > -1) {
+            this.showTileBehaviors(ctx, showHidden, mapOffsetX, mapOffsetY);
         }
+
+        ctx.restore();
     }
 
     /**
@@ -1205,10 +2204,12 @@ class Map {
 	 * @private
 	 */
     checkVisibleWindows() {
-        // calc maxX/maxY
-        const startIndex = ((Math.abs(this.viewportY) / this.viewportH) * this.maxWinX) | 0,
-            max = this.viewportY % this.viewportH ? startIndex + this.maxWinX : startIndex,
-            mod = this.viewportX % this.viewportW;
+        // calc maxX/maxY: the viewport may be outside of the map (overscroll, small maps)
+        const viewportX = Math.min(0, this.viewportX),
+            viewportY = Math.min(0, this.viewportY),
+            startIndex = ((Math.abs(viewportY) / this.viewportH) * this.maxWinX) | 0,
+            max = viewportY % this.viewportH ? startIndex + this.maxWinX : startIndex,
+            mod = viewportX % this.viewportW;
 
         for (let i = startIndex; i <= max; i += this.maxWinX) {
             this.addNewObjectsFromWindow(i);
@@ -1225,58 +2226,80 @@ class Map {
 	 * @param {Array}  drawContexts The list of draw context.
 	 * @param {number} [mapOffsetX=0] The x offset where to start rendering the object.
 	 * @param {number} [mapOffsetY=0] The y offset where to start rendering the object.
+	 * @param {number} [alpha=1] Interpolation factor between the previous and the current update.
 	 *
 	 * @private
 	 */
-    drawObjects(drawContexts, mapOffsetX = 0, mapOffsetY = 0) {
+    drawObjects(drawContexts, mapOffsetX = 0, mapOffsetY = 0, alpha = 1) {
         let i,
-            j,
-            max = this.objects.length,
-            objects = this.objects,
-            obj = null,
-            child = null;
+            objects = this.getVisibleObjects(),
+            max = objects.length,
+            obj = null;
 
-        // TODO: only draw visible objects (viewport) + active ones
         for (i = max - 1; i >= 0; i--) {
             obj = objects[i];
             const drawContext = obj.layer;
             // update position with map offset in case map should doesn't take the whole scene display
             if (mapOffsetX || mapOffsetY) {
-                obj.x += mapOffsetX;
-                obj.y += mapOffsetY;
-                if (obj.children.length) {
-                    for (j = 0; j < obj.children.length; ++j) {
-                        child = obj.children[j];
-                        child.x += mapOffsetX;
-                        child.y += mapOffsetY;
-                    }
-                }
+                this._offsetObject(obj, mapOffsetX, mapOffsetY);
             }
-            obj._draw(drawContexts[drawContext]);
+            obj._draw(drawContexts[drawContext], alpha);
             this.isDebug && obj.showHitBox(drawContexts[drawContext]);
 
             if (obj.children.length) {
                 obj.children.forEach((sprite) => {
-                    sprite._draw(drawContexts[drawContext]);
+                    sprite._draw(drawContexts[drawContext], alpha);
                     this.isDebug && sprite.showHitBox(drawContexts[drawContext]);
                 });
             }
 
             // restores its position
             if (mapOffsetX || mapOffsetY) {
-                obj.x -= mapOffsetX;
-                obj.y -= mapOffsetY;
-                if (obj.children.length) {
-                    for (j = 0; j < obj.children.length; ++j) {
-                        child = obj.children[j];
-                        child.x -= mapOffsetX;
-                        child.y -= mapOffsetY;
-                    }
-                }
+                this._offsetObject(obj, -mapOffsetX, -mapOffsetY);
             }
         }
     }
 
+    /**
+     * Returns the objects that may be visible in the viewport, so that objects found outside are not drawn
+     *
+     * Objects found less than one cell of the spatial hash away from the viewport are returned too, since they
+     * are drawn between their previous and current position. Every object is returned when camera effects
+     * (zoom, rotation,...) are applied.
+     *
+     * @returns {Array<Drawable>} the visible objects, in the order they were added onto the map
+     */
+    getVisibleObjects() {
+        if (this.camera.getViewMatrix()) {
+            return this.objects;
+        }
+
+        const marginX = this.spatialHash.cellWidth,
+            marginY = this.spatialHash.cellHeight;
+
+        return this.getObjectsInRect(-this.viewportX - marginX, -this.viewportY - marginY, -this.viewportX + this.viewportW - 1 + marginX, -this.viewportY + this.viewportH - 1 + marginY);
+    }
+
+    /**
+     * Shifts the current and previous positions of an object and its children
+     *
+     * @param {Drawable} obj The object to shift.
+     * @param {number} offsetX The horizontal offset to add.
+     * @param {number} offsetY The vertical offset to add.
+     *
+     * @private
+     */
+    _offsetObject(obj, offsetX, offsetY) {
+        obj.x += offsetX;
+        obj.y += offsetY;
+        obj.prevX += offsetX;
+        obj.prevY += offsetY;
+
+        for (let j = 0; j < obj.children.length; ++j) {
+            this._offsetObject(obj.children[j], offsetX, offsetY);
+        }
+    }
+
 
     /**
 	 * Returns the tile at (x, y) pixels
@@ -1428,13 +2451,39 @@ class Map {
             this.objects.splice(foundIndex, 1);
         }
 
-        foundIndex = this.enemies.indexOf(drawable);
+        this.spatialHash.remove(drawable);
 
-        if (foundIndex > -1) {
-            this.enemies.splice(foundIndex, 1);
-        } else if ((foundIndex = this.friendBullets.indexOf(drawable)) > -1) {
-            this.friendBullets.splice(foundIndex, 1);
+        if ((foundIndex = this.platforms.indexOf(drawable)) > -1) {
+            this.platforms.splice(foundIndex, 1);
+
+            this.objects.forEach((obj) => {
+                if (obj.platform === drawable) {
+                    obj.setPlatform(null);
+                }
+            });
+        }
+
+        for (const group in this.collisionGroups) {
+            foundIndex = this.collisionGroups[group].indexOf(drawable);
+
+            if (foundIndex > -1) {
+                this.collisionGroups[group].splice(foundIndex, 1);
+            }
+        }
+    }
+
+    /**
+     * Returns the objects of a collision group
+     *
+     * @param {String} name The name of the group.
+     * @returns {Array<Drawable>} the objects of the group
+     */
+    getCollisionGroup(name) {
+        if (!this.collisionGroups[name]) {
+            this.collisionGroups[name] = [];
         }
+
+        return this.collisionGroups[name];
     }
 
     /**
@@ -1445,50 +2494,41 @@ class Map {
 	 *
 	 */
     showTileBehaviors(ctx, showHidden, mapOffsetX = 0, mapOffsetY = 0) {
-        let i, j, max, max2,
-            x = 0,
-            y = 0,
-            styles = [
-                null,
-                null,
-                'rgba(240,0,0,.6)',
-                'rgba(0,0,240,.6)'
-            ],
-            w,
-            h;
-
-        i = j = max = max2 = 0;
-
-        for (i = this.firstRow, max = this.lastRow, y = mapOffsetY; i < max; i++) {
-            for (j = this.firstCol, max2 = this.lastCol, x = mapOffsetX; j < max2; j++) {
-                w = (this.viewportX && j === this.firstCol) ? this.scrollTileWidth : this.tileWidth;
-                h = (this.viewportY && i === this.firstRow) ? this.scrollTileHeight : this.tileHeight;
-                if (this.tileBehaviors[i * this.numCols + j] > 1) {
-                    // if (this.tileBehaviors[i * this.numCols + j] > 1) {
-                    // 	debugger;
-                    // }
-                    ctx.fillStyle = styles[this.tileBehaviors[i * this.numCols + j]];
+        const styles = [
+            null,
+            null,
+            'rgba(240,0,0,.6)',
+            'rgba(0,0,240,.6)',
+            'rgba(0,240,0,.6)',
+            'rgba(240,0,0,.6)',
+            'rgba(240,0,0,.6)',
+            'rgba(240,0,0,.6)',
+            'rgba(240,0,0,.6)',
+            'rgba(240,0,0,.6)',
+            'rgba(240,0,0,.6)',
+            'rgba(240,160,0,.6)'
+        ];
+
+        this._forEachVisibleTile(showHidden, mapOffsetX, mapOffsetY, (index, x, y) => {
+            const behavior = this.tileBehaviors[index];
+
+            if (behavior > 1) {
+                ctx.fillStyle = styles[behavior];
+
+                if (Tile.isSlope(behavior)) {
                     ctx.beginPath();
-                    ctx.moveTo(x, y);
-                    ctx.lineTo(x + w, y);
-                    ctx.lineTo(x + w, y + h);
-                    ctx.lineTo(x, y + h);
-                    ctx.lineTo(x, y);
-                    ctx.closePath();
+                    ctx.moveTo(x, y + this.tileHeight);
+                    ctx.lineTo(x, y + this.tileHeight * (1 - Tile.getSlopeHeight(behavior, 0)));
+                    ctx.lineTo(x + this.tileWidth, y + this.tileHeight * (1 - Tile.getSlopeHeight(behavior, 1)));
+                    ctx.lineTo(x + this.tileWidth, y + this.tileHeight);
                     ctx.fill();
-                }
-                if (this.viewportX && j === this.firstCol) {
-                    x += this.scrollTileWidth;
+                } else if (behavior === Tile.TYPE.PLATFORM) {
+                    ctx.fillRect(x, y, this.tileWidth, this.tileHeight / 4);
                 } else {
-                    x += this.tileWidth;
+                    ctx.fillRect(x, y, this.tileWidth, this.tileHeight);
                 }
             }
-            if (this.viewportY && i === this.firstRow) {
-                y += this.scrollTileHeight;
-            } else {
-                y += this.tileHeight;
-            }
-        }
+        });
     }
 
 
@@ -1505,46 +2545,29 @@ class Map {
     }
 
     /**
-	 * WIP/DEBUG: converts current map into a string
-	 *
-	 * @returns {String} The json export of the map.
-	 *
-	 * @private
-	 */
-    toString() {
-        // exports the options needed to create current map
-        // especially usefull when working on a new map with the MapEditor
-        //
-        let i = 0,
-            max = this.tiles.length,
-            obj = {
-                src: this.src,
-                viewportX: 0,
-                viewportY: 0,
-                viewportW: this.viewportW,
-                viewportH: this.viewportH,
-                width: this.width,
-                height: this.height,
-                tileWidth: this.tileWidth,
-                tileHeight: this.tileHeight,
-                map: this.map,
-                objects: this.objects,
-                tiles: []
-            };
-
-        for (i = 0; i < max; i++) {
-            obj.tiles.push('new Tile({' +
-                'offsetX: tile.offsetX,' +
-                'offsetY: tile.offsetY,' +
-                'width: tile.width,' +
-                'height: tile.height,' +
-                'inertia: tile.inertia,' +
-                'upCollide: tile.upCollide,' +
-                'downCollide: tile.downCollide' +
-                '}),');
-        }
+     * Serializes the map, so that it can be saved and loaded using `Map.deserialize`
+     *
+     * Tiles, behaviors, tilesets, tile layers, windows, triggers, start position and switches are saved:
+     * objects that are currently on the map are not.
+     *
+     * @param {String} [format='json'] The format to use: 'json' or 'binary', see {MapFormat}.
+     * @returns {Object|ArrayBuffer} the JSON description of the map, or an ArrayBuffer for the binary format
+     *
+     * @example
+     * const json = JSON.stringify(map.serialize()),
+     *     copy = Map.deserialize(json);
+     */
+    serialize(format = 'json') {
+        return format === 'binary' ? MapFormat.toBinary(this) : MapFormat.toJSON(this);
+    }
 
-        return JSON.stringify(obj);
+    /**
+     * Converts current map into a JSON string
+     *
+     * @returns {String} The json export of the map.
+     */
+    toString() {
+        return JSON.stringify(this.serialize());
     }
 
 
@@ -1581,7 +2604,7 @@ class Map {
         }
 
         // set map to dirty so that it is drawn
-        this.isDirty = true;
+        this.invalidateChunks();
     }
 
     /**
@@ -1597,6 +2620,8 @@ class Map {
                 this.tileBehaviors[j * this.numCols + i] = behavior;
             }
         }
+
+        this.invalidateChunks();
     }
 
     /**
@@ -1613,6 +2638,7 @@ class Map {
 
         if (tileNum > -1) {
             this.map[pos] = tileNum;
+            this.mainLayer.invalidateChunks(col, row);
             this.isDirty = true;
         }
 
@@ -1630,14 +2656,14 @@ class Map {
      * @param {Number} tile Tile to use for new lines.
      */
     shift(startLine, height, tile/*, behavior*/) {
-        const tiles = new Uint8Array(this.buffer, 0, startLine * this.numCols),
-            behaviors = new Uint8Array(this.buffer, this.numCols * this.numRows, startLine * this.numCols),
+        const tiles = this.map.subarray(0, startLine * this.numCols),
+            behaviors = this.tileBehaviors.subarray(0, startLine * this.numCols),
             offset = height * this.numCols;
 
         this.map.set(tiles, offset);
         this.tileBehaviors.set(behaviors, offset);
 
-        this.isDirty = true;
+        this.invalidateChunks();
     }
 
     /**
@@ -1689,9 +2715,9 @@ class Map {
                 newBlocksY = newBlockY - oldBlockY;
 
             // create new buffer for map tiles + behaviors
-            buffer = new ArrayBuffer(numCols * numRows * 2);
-            map = new Uint8Array(buffer, 0, numRows * numCols);
-            tileBehaviors = new Uint8Array(buffer, numRows * numCols, numRows * numCols);
+            buffer = new ArrayBuffer(numCols * numRows * (this.map.BYTES_PER_ELEMENT + 1));
+            map = new (TILE_FORMATS[this.tileFormat].ArrayType)(buffer, 0, numRows * numCols);
+            tileBehaviors = new Uint8Array(buffer, numRows * numCols * this.map.BYTES_PER_ELEMENT, numRows * numCols);
 
             // new buffer is automatically filled with zeros
             // so we only need to copy existing tiles/behaviors into the new
@@ -1756,4 +2782,7 @@ class Map {
     }
 }
 
+// Tiled maps can be loaded by the ResourceManager
+RM.registerParser('tiled', (json, res) => Map.fromTiled(json, res.options));
+
 export default Map;
\ No newline at end of file
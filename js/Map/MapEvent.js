@@ -1,5 +1,6 @@
 import RM from '../Resource/ResourceManager';
 import Wave from '../Drawable/Wave';
+import Random from '../Util/Random';
 
 /**
  * MapEvent handles events that are triggered on the map.
@@ -26,10 +27,10 @@ class MapEvent {
     }
 
     /**
-     * Resets the MapEvent switches, events and items
+     * Resets the MapEvent switches to their initial state, events and items
      */
     reset() {
-        this.switches = {};
+        this.switches = Object.assign({}, this.map && this.map.options.switches);
         this.events = [];
         this.items = {};
     }
@@ -55,6 +56,16 @@ class MapEvent {
         return this.items[id];
     }
 
+    /**
+     * Returns the random number generator to use when handling events, instead of Math.random, so that
+     * events can be replayed
+     *
+     * @returns {Random} the random number generator of the map's scene
+     */
+    getRandom() {
+        return this.map && this.map.scene ? this.map.scene.random : Random.shared;
+    }
+
     // TODO: ability to trigger an event once a switch has been modified
     setSwitch(id, bool) {
         this.switches[id] = bool;
@@ -188,9 +199,8 @@ class MapEvent {
 
         // No need to call setTimeout if delay is zero
         if (delay) {
-            // FIXME: if the game is paused before the setTimeout is called
-            // sprite will be added right after in unpaused, potentially before the delay
-            setTimeout(() => {
+            // use the scene clock so that the delay doesn't elapse while the game is paused
+            this.map.scene.clock.setTimeout(() => {
                 this.map.addObject(drawable);
             }, delay);
         } else {
@@ -213,7 +223,9 @@ class MapEvent {
     handleWave(options) {
         // console.log('wave');
         var waveSize = options.size,
-            wave = new Wave(options),
+            wave = new Wave(Object.assign({
+                random: this.getRandom()
+            }, options)),
             i = 0,
             delay = 0;
 
@@ -0,0 +1,312 @@
+/*globals atob, btoa*/
+
+// version of the serialized maps, increased each time the format changes
+const FORMAT_VERSION = 1;
+
+// first bytes of binary maps
+const MAGIC = 'ATHM';
+
+// size of the binary header: magic, version (uint16), length of the JSON description (uint32)
+const HEADER_SIZE = 10;
+
+// returns the bytes used by a typed array
+function getBytes(array) {
+    return new Uint8Array(array.buffer, array.byteOffset, array.byteLength);
+}
+
+function toBase64(array) {
+    const bytes = getBytes(array);
+    let binary = '';
+
+    // fromCharCode cannot take too many arguments
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+        binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+    }
+
+    return btoa(binary);
+}
+
+function fromBase64(str) {
+    const binary = atob(str),
+        bytes = new Uint8Array(binary.length);
+
+    for (let i = 0; i < binary.length; i++) {
+        bytes[i] = binary.charCodeAt(i);
+    }
+
+    return bytes.buffer;
+}
+
+function encodeUTF8(str) {
+    const binary = unescape(encodeURIComponent(str)),
+        bytes = new Uint8Array(binary.length);
+
+    for (let i = 0; i < binary.length; i++) {
+        bytes[i] = binary.charCodeAt(i);
+    }
+
+    return bytes;
+}
+
+function decodeUTF8(bytes) {
+    let binary = '';
+
+    for (let i = 0; i < bytes.length; i++) {
+        binary += String.fromCharCode(bytes[i]);
+    }
+
+    return decodeURIComponent(escape(binary));
+}
+
+// tile descriptions, without the Tile instances
+function serializeTiles(tiles) {
+    return tiles.map(tile => ({
+        offsetX: tile.offsetX,
+        offsetY: tile.offsetY,
+        width: tile.width,
+        height: tile.height,
+        inertia: tile.inertia,
+        frames: tile.frames,
+        frameDuration: tile.frameDuration
+    }));
+}
+
+// windows & triggers without their runtime state
+function serializeWindows(windows) {
+    const list = {};
+
+    for (const index in windows) {
+        list[index] = {
+            items: JSON.parse(JSON.stringify(windows[index].items))
+        };
+    }
+
+    return list;
+}
+
+function serializeTriggers(triggers) {
+    const list = {};
+
+    for (const index in triggers) {
+        list[index] = JSON.parse(JSON.stringify(triggers[index]));
+        delete list[index].triggered;
+    }
+
+    return list;
+}
+
+// base64 string or ArrayBuffer read from a binary map
+function getBuffer(data) {
+    return data instanceof ArrayBuffer ? data : fromBase64(data);
+}
+
+/**
+ * Reads and writes maps using a versioned format, so that maps can be saved by tools like the map editor
+ *
+ * Maps are serialized into a JSON description:
+ *
+ * ```
+ * {
+ *     version: 1,
+ *     name, src, width, height, tileWidth, tileHeight, viewportW, viewportH, tileFormat, emptyTile, startX, startY,
+ *     tiles: [{ offsetX, offsetY, width, height, inertia, frames, frameDuration }],
+ *     data: 'base64: tile numbers followed by behaviors, see Map.setBuffer',
+ *     tileLayers: [{ name, src, tiles, depth, scrollFactorX, scrollFactorY, opacity, aboveSprites, visible, data: 'base64' }],
+ *     windows: { index: { items: [{ type, itemId, spriteOptions }] } },
+ *     triggers: { index: { type, conditions, ... } },
+ *     switches: { id: status },
+ *     collisions: [[groupA, groupB, collide]]
+ * }
+ * ```
+ *
+ * The binary format starts with the 'ATHM' bytes, followed by the version (uint16), the length of the JSON description
+ * (uint32), the JSON description (UTF-8) without the `data` properties, then the tile data of the map and of its extra layers.
+ * Every number is stored using little-endian byte order.
+ *
+ * @see {Map#serialize}
+ * @see {Map.deserialize}
+ */
+const MapFormat = {
+    /**
+     * The current version of the format
+     */
+    VERSION: FORMAT_VERSION,
+
+    /**
+     * Returns the JSON description of a map
+     *
+     * @param {Map} map The map to serialize.
+     * @param {Boolean} [withData=true] Set to false to omit tile data.
+     * @returns {Object} the JSON description
+     */
+    toJSON(map, withData = true) {
+        const json = {
+            version: FORMAT_VERSION,
+            name: map.name,
+            src: map.src,
+            width: map.width,
+            height: map.height,
+            tileWidth: map.tileWidth,
+            tileHeight: map.tileHeight,
+            viewportW: map.viewportW,
+            viewportH: map.viewportH,
+            tileFormat: map.tileFormat,
+            emptyTile: map.emptyTile,
+            startX: map.startX,
+            startY: map.startY,
+            tiles: serializeTiles(map.tiles),
+            tileLayers: map.tileLayers.filter(layer => layer !== map.mainLayer).map(layer => {
+                const description = {
+                    name: layer.name,
+                    src: layer.src,
+                    tiles: layer.tiles ? serializeTiles(layer.tiles) : null,
+                    depth: layer.depth,
+                    scrollFactorX: layer.scrollFactorX,
+                    scrollFactorY: layer.scrollFactorY,
+                    opacity: layer.opacity,
+                    aboveSprites: layer.aboveSprites,
+                    visible: layer.visible
+                };
+
+                if (withData) {
+                    description.data = toBase64(layer.data);
+                }
+
+                return description;
+            }),
+            windows: serializeWindows(map.windows),
+            triggers: serializeTriggers(map.triggers),
+            switches: JSON.parse(JSON.stringify(map.mapEvent.switches)),
+            // default pairs are added back by the map
+            collisions: map.collisionMatrix.getChanges()
+        };
+
+        if (withData) {
+            json.data = toBase64(new Uint8Array(map.buffer, 0, map.map.byteLength + map.tileBehaviors.byteLength));
+        }
+
+        return json;
+    },
+
+    /**
+     * Returns the binary version of a map
+     *
+     * @param {Map} map The map to serialize.
+     * @returns {ArrayBuffer} the binary map
+     */
+    toBinary(map) {
+        const description = encodeUTF8(JSON.stringify(this.toJSON(map, false))),
+            layers = map.tileLayers.filter(layer => layer !== map.mainLayer),
+            mapBytes = map.map.byteLength + map.tileBehaviors.byteLength,
+            size = HEADER_SIZE + description.length + mapBytes + layers.reduce((total, layer) => total + layer.data.byteLength, 0),
+            bytes = new Uint8Array(size),
+            view = new DataView(bytes.buffer);
+        let offset = HEADER_SIZE + description.length;
+
+        for (let i = 0; i < MAGIC.length; i++) {
+            bytes[i] = MAGIC.charCodeAt(i);
+        }
+
+        view.setUint16(4, FORMAT_VERSION, true);
+        view.setUint32(6, description.length, true);
+        bytes.set(description, HEADER_SIZE);
+
+        bytes.set(new Uint8Array(map.buffer, 0, mapBytes), offset);
+        offset += mapBytes;
+
+        layers.forEach((layer) => {
+            bytes.set(getBytes(layer.data), offset);
+            offset += layer.data.byteLength;
+        });
+
+        return bytes.buffer;
+    },
+
+    /**
+     * Converts a JSON description or a binary map into `Map` options
+     *
+     * @param {Object|String|ArrayBuffer} data The serialized map.
+     * @returns {Object} the options to pass to the `Map` constructor
+     */
+    toMapOptions(data) {
+        const json = data instanceof ArrayBuffer ? this._readBinary(data) : typeof data === 'string' ? JSON.parse(data) : data;
+
+        if (!json || json.version !== FORMAT_VERSION) {
+            throw `[MapFormat] toMapOptions() - unsupported map version: ${json && json.version}`;
+        }
+
+        const options = {};
+
+        for (const name in json) {
+            if (name !== 'version' && name !== 'data') {
+                options[name] = json[name];
+            }
+        }
+
+        options.buffer = getBuffer(json.data);
+
+        options.tileLayers = json.tileLayers.map((layer) => {
+            const layerOptions = {};
+
+            for (const name in layer) {
+                layerOptions[name] = layer[name];
+            }
+
+            layerOptions.data = getBuffer(layer.data);
+
+            return layerOptions;
+        });
+
+        // the map changes the state of windows and triggers
+        options.windows = {};
+
+        for (const index in json.windows) {
+            options.windows[index] = {
+                displayed: false,
+                items: json.windows[index].items
+            };
+        }
+
+        options.triggers = JSON.parse(JSON.stringify(json.triggers));
+
+        return options;
+    },
+
+    /**
+     * Reads the JSON description and tile data of a binary map
+     *
+     * @param {ArrayBuffer} buffer The binary map.
+     * @returns {Object} the JSON description, with ArrayBuffers as data
+     *
+     * @private
+     */
+    _readBinary(buffer) {
+        const bytes = new Uint8Array(buffer),
+            view = new DataView(buffer),
+            magic = String.fromCharCode.apply(null, bytes.subarray(0, MAGIC.length));
+
+        if (magic !== MAGIC) {
+            throw '[MapFormat] toMapOptions() - not a binary map';
+        }
+
+        const length = view.getUint32(6, true),
+            json = JSON.parse(decodeUTF8(bytes.subarray(HEADER_SIZE, HEADER_SIZE + length))),
+            numTiles = (json.width / json.tileWidth | 0) * (json.height / json.tileHeight | 0),
+            tileBytes = numTiles * (json.tileFormat === 'uint16' ? 2 : 1);
+        let offset = HEADER_SIZE + length;
+
+        json.version = view.getUint16(4, true);
+        // slice copies data so that 16bit tiles are correctly aligned
+        json.data = buffer.slice(offset, offset + tileBytes + numTiles);
+        offset += tileBytes + numTiles;
+
+        json.tileLayers.forEach((layer) => {
+            layer.data = buffer.slice(offset, offset + tileBytes);
+            offset += tileBytes;
+        });
+
+        return json;
+    }
+};
+
+export default MapFormat;
@@ -0,0 +1,245 @@
+import Shape from '../Util/Shape';
+
+/**
+ * A SpatialHash puts objects into the cells of a grid so that objects found in an area can be
+ * retrieved without going through every object.
+ *
+ * Objects are stored using their bounding box: the union of their display size and their hitbox
+ * (scaled and rotated if needed), and those of their children.
+ * The hash has to be updated when objects move: `Map` does it once objects have been moved.
+ *
+ * <blockquote><strong>Note:</strong> the entry of an object is kept in its `_spatialEntry` property,
+ * so an object can only belong to one hash at a time.</blockquote>
+ *
+ * @example
+ * const hash = new SpatialHash(128, 128);
+ *
+ * hash.update(sprite);
+ * // objects that may be found inside the rect
+ * hash.query(0, 0, 319, 239);
+ *
+ * @see {Map#getObjectsInRect}
+ */
+class SpatialHash {
+    /**
+     * Creates a new SpatialHash
+     *
+     * @param {Number} cellWidth The width of the cells, in pixels.
+     * @param {Number} [cellHeight] The height of the cells, in pixels, defaults to cellWidth.
+     */
+    constructor(cellWidth, cellHeight = cellWidth) {
+        this.cellWidth = cellWidth;
+        this.cellHeight = cellHeight;
+
+        // objects found in each cell, by cell key
+        this.cells = {};
+        // objects stored into the hash, with their bounds and cells
+        this.entries = [];
+        // prevents objects found in several cells from being returned more than once
+        this.queryId = 0;
+        // unique id of the next object added into the hash
+        this.nextId = 1;
+    }
+
+    /**
+     * Adds an object into the hash, or updates its cells if it has moved
+     *
+     * @param {Drawable} obj The object to add or update.
+     */
+    update(obj) {
+        const bounds = this.getBounds(obj);
+        let entry = this._getEntry(obj);
+
+        if (!entry) {
+            entry = obj._spatialEntry = {
+                hash: this,
+                id: this.nextId++,
+                obj: obj,
+                keys: [],
+                queryId: 0
+            };
+            this.entries.push(entry);
+        }
+
+        entry.x = bounds.x;
+        entry.y = bounds.y;
+        entry.x2 = bounds.x2;
+        entry.y2 = bounds.y2;
+
+        const firstCol = Math.floor(bounds.x / this.cellWidth),
+            firstRow = Math.floor(bounds.y / this.cellHeight),
+            lastCol = Math.floor(bounds.x2 / this.cellWidth),
+            lastRow = Math.floor(bounds.y2 / this.cellHeight);
+
+        // most of the time objects stay in the same cells
+        if (entry.firstCol === firstCol && entry.firstRow === firstRow && entry.lastCol === lastCol && entry.lastRow === lastRow) {
+            return;
+        }
+
+        this._removeFromCells(entry);
+
+        entry.firstCol = firstCol;
+        entry.firstRow = firstRow;
+        entry.lastCol = lastCol;
+        entry.lastRow = lastRow;
+
+        for (let row = firstRow; row <= lastRow; row++) {
+            for (let col = firstCol; col <= lastCol; col++) {
+                const key = `${col},${row}`;
+
+                (this.cells[key] = this.cells[key] || []).push(entry);
+                entry.keys.push(key);
+            }
+        }
+    }
+
+    /**
+     * Returns the id of an object in the hash, which can be used as a key to look objects up
+     *
+     * @param {Drawable} obj The object.
+     * @returns {Number} the id of the object, -1 if the object isn't in the hash
+     */
+    getId(obj) {
+        const entry = this._getEntry(obj);
+
+        return entry ? entry.id : -1;
+    }
+
+    /**
+     * Removes an object from the hash
+     *
+     * @param {Drawable} obj The object to remove.
+     */
+    remove(obj) {
+        const entry = this._getEntry(obj);
+
+        if (entry) {
+            this._removeFromCells(entry);
+            this.entries.splice(this.entries.indexOf(entry), 1);
+            delete obj._spatialEntry;
+        }
+    }
+
+    /**
+     * Removes every object from the hash
+     */
+    clear() {
+        this.entries.forEach(entry => delete entry.obj._spatialEntry);
+        this.entries.length = 0;
+        this.cells = {};
+    }
+
+    /**
+     * Returns the objects whose bounds intersect with a rect
+     *
+     * @param {Number} x The left of the rect, in pixels.
+     * @param {Number} y The top of the rect, in pixels.
+     * @param {Number} x2 The right of the rect, in pixels (inclusive).
+     * @param {Number} y2 The bottom of the rect, in pixels (inclusive).
+     * @returns {Array<Drawable>} the objects found in the rect, in no particular order
+     */
+    query(x, y, x2, y2) {
+        const firstCol = Math.floor(x / this.cellWidth),
+            firstRow = Math.floor(y / this.cellHeight),
+            lastCol = Math.floor(x2 / this.cellWidth),
+            lastRow = Math.floor(y2 / this.cellHeight),
+            queryId = ++this.queryId,
+            objects = [];
+
+        for (let row = firstRow; row <= lastRow; row++) {
+            for (let col = firstCol; col <= lastCol; col++) {
+                const cell = this.cells[`${col},${row}`];
+
+                if (cell) {
+                    cell.forEach((entry) => {
+                        if (entry.queryId !== queryId) {
+                            entry.queryId = queryId;
+
+                            if (entry.x <= x2 && entry.x2 >= x && entry.y <= y2 && entry.y2 >= y) {
+                                objects.push(entry.obj);
+                            }
+                        }
+                    });
+                }
+            }
+        }
+
+        return objects;
+    }
+
+    /**
+     * Returns the bounding box of an object, in pixels: the union of its display size and its hitbox,
+     * including its children
+     *
+     * @param {Drawable} obj The object.
+     * @returns {Object} the bounds of the object `{ x, y, x2, y2 }`, inclusive
+     */
+    getBounds(obj) {
+        const box = obj.getHitBox(),
+            bounds = {
+                x: obj.x + Math.min(0, box.x),
+                y: obj.y + Math.min(0, box.y),
+                x2: obj.x + Math.max(obj.getCurrentWidth() - 1, box.x2),
+                y2: obj.y + Math.max(obj.getCurrentHeight() - 1, box.y2)
+            };
+
+        if (!Shape.isSimple(obj)) {
+            const shapeBounds = Shape.getBounds(Shape.fromDrawable(obj));
+
+            bounds.x = Math.min(bounds.x, Math.floor(shapeBounds.x));
+            bounds.y = Math.min(bounds.y, Math.floor(shapeBounds.y));
+            bounds.x2 = Math.max(bounds.x2, Math.ceil(shapeBounds.x2) - 1);
+            bounds.y2 = Math.max(bounds.y2, Math.ceil(shapeBounds.y2) - 1);
+        }
+
+        obj.children.forEach((child) => {
+            const childBounds = this.getBounds(child);
+
+            bounds.x = Math.min(bounds.x, childBounds.x);
+            bounds.y = Math.min(bounds.y, childBounds.y);
+            bounds.x2 = Math.max(bounds.x2, childBounds.x2);
+            bounds.y2 = Math.max(bounds.y2, childBounds.y2);
+        });
+
+        return bounds;
+    }
+
+    /**
+     * Returns the hash entry of an object
+     *
+     * @param {Drawable} obj The object.
+     * @returns {(Object|null)} the entry of the object, null if the object isn't in the hash
+     *
+     * @private
+     */
+    _getEntry(obj) {
+        const entry = obj._spatialEntry;
+
+        return entry && entry.hash === this ? entry : null;
+    }
+
+    /**
+     * Removes an entry from the cells it belongs to
+     *
+     * @param {Object} entry The entry to remove.
+     *
+     * @private
+     */
+    _removeFromCells(entry) {
+        entry.keys.forEach((key) => {
+            const cell = this.cells[key],
+                index = cell.indexOf(entry);
+
+            cell.splice(index, 1);
+
+            if (!cell.length) {
+                delete this.cells[key];
+            }
+        });
+
+        entry.keys.length = 0;
+        entry.firstCol = entry.firstRow = entry.lastCol = entry.lastRow = undefined;
+    }
+}
+
+export default SpatialHash;
@@ -6,6 +6,17 @@
  * @param {Number} [options.offsetY=0] The vertical offset of the tile in the tilesheet.
  * @param {Number} [options.width=16] The tile width in pixels.
  * @param {Number} [options.height=16] The tile height in pixels.
+ * @param {Array<Object>} [options.frames] Animated tiles: the offsets `{ offsetX, offsetY }` of each frame in the tilesheet.
+ * @param {Number} [options.frameDuration=100] Animated tiles: the duration of each frame, in milliseconds.
+ *
+ * @example
+ * // water tile with 3 frames
+ * new Tile({
+ *     width: 32,
+ *     height: 32,
+ *     frames: [{ offsetX: 0, offsetY: 64 }, { offsetX: 32, offsetY: 64 }, { offsetX: 64, offsetY: 64 }],
+ *     frameDuration: 150
+ * });
  */
 class Tile {
     /**
@@ -20,20 +31,111 @@ class Tile {
         // TODO: this is not used yet but could allow to change inertia based on the tile on which the
         // player is moving
         this.inertia = options.inertia || 1;            // this is the inertia factor
-        this.upCollide = options.upCollide || true;     // will object collide when dropping over this tile ?
-        this.downCollide = options.downCollide || true;
+
+        // animated tiles
+        this.frames = options.frames && options.frames.length ? options.frames : null;
+        this.frameDuration = options.frameDuration || 100;
+    }
+
+    /**
+     * Returns true if the tile is animated
+     *
+     * @returns {Boolean} true if the tile has frames
+     */
+    isAnimated() {
+        return this.frames !== null;
+    }
+
+    /**
+     * Returns the frame to display at the specified time
+     *
+     * @param {Number} time The current time, in milliseconds.
+     * @returns {Number} the index of the frame, always 0 for tiles that are not animated
+     */
+    getFrameIndex(time) {
+        return this.frames ? Math.floor(time / this.frameDuration) % this.frames.length : 0;
+    }
+
+    /**
+     * Returns the offsets of the tile in the tilesheet at the specified time
+     *
+     * @param {Number} time The current time, in milliseconds.
+     * @returns {Object} the offsets `{ offsetX, offsetY }` of the current frame
+     */
+    getFrame(time) {
+        return this.frames ? this.frames[this.getFrameIndex(time)] : this;
     }
 
     /**
      * Static tile behaviors
+     *
+     * - `PLATFORM`: one-way platform, objects may jump through it and only collide when landing on it
+     * - `SLOPE_UP`, `SLOPE_DOWN`: 45° slopes going up or down from left to right
+     * - `SLOPE_UP_LOW`, `SLOPE_UP_HIGH`: 22.5° slope going up from left to right, spanning two tiles
+     * - `SLOPE_DOWN_HIGH`, `SLOPE_DOWN_LOW`: 22.5° slope going down from left to right, spanning two tiles
+     * - `HAZARD`: tiles that hurt objects, like spikes or lava
      */
     static get TYPE() {
         return {
             AIR: 1,
             WALL: 2,
-            LADDER: 3
+            LADDER: 3,
+            PLATFORM: 4,
+            SLOPE_UP: 5,
+            SLOPE_DOWN: 6,
+            SLOPE_UP_LOW: 7,
+            SLOPE_UP_HIGH: 8,
+            SLOPE_DOWN_HIGH: 9,
+            SLOPE_DOWN_LOW: 10,
+            HAZARD: 11
         };
     }
+
+    /**
+     * Returns true if the behavior is a slope
+     *
+     * @param {Number} behavior The tile behavior.
+     * @returns {Boolean} true if the behavior is one of the `SLOPE_*` types
+     */
+    static isSlope(behavior) {
+        return behavior >= Tile.TYPE.SLOPE_UP && behavior <= Tile.TYPE.SLOPE_DOWN_LOW;
+    }
+
+    /**
+     * Returns the height of the ground of a slope at the specified position
+     *
+     * @param {Number} behavior The tile behavior.
+     * @param {Number} ratio The horizontal position inside the tile, from 0 (left side) to 1 (right side).
+     * @returns {Number} the height of the ground, from 0 (bottom of the tile) to 1 (top of the tile)
+     */
+    static getSlopeHeight(behavior, ratio) {
+        const TYPE = Tile.TYPE;
+
+        ratio = Math.min(1, Math.max(0, ratio));
+
+        switch (behavior) {
+            case TYPE.SLOPE_UP:
+                return ratio;
+
+            case TYPE.SLOPE_DOWN:
+                return 1 - ratio;
+
+            case TYPE.SLOPE_UP_LOW:
+                return ratio / 2;
+
+            case TYPE.SLOPE_UP_HIGH:
+                return 0.5 + ratio / 2;
+
+            case TYPE.SLOPE_DOWN_HIGH:
+                return 1 - ratio / 2;
+
+            case TYPE.SLOPE_DOWN_LOW:
+                return 0.5 - ratio / 2;
+
+            default:
+                return 1;
+        }
+    }
 }
 
 export default Tile;
@@ -0,0 +1,220 @@
+import Tile from './Tile';
+import RM from '../Resource/ResourceManager';
+
+/**
+ * A TileLayer holds the tile numbers of one layer of a `Map`.
+ *
+ * Every map has a main layer, the one tile behaviors (collisions) are related to, and may have any number
+ * of extra layers: parallax backgrounds, foreground decorations,...
+ *
+ * Layers are rendered by increasing `depth` (the main layer has a depth of 0). Layers that are drawn
+ * above sprites are rendered onto the foremost display layer, the others onto the map display layer.
+ *
+ * @see {Map}
+ */
+class TileLayer {
+    /**
+     * Creates a new TileLayer
+     *
+     * @param {Map} map The map the layer belongs to.
+     * @param {Object} [options]
+     * @param {String} [options.name] The name of the layer.
+     * @param {Array|ArrayBuffer|Uint8Array|Uint16Array} [options.data] The tile numbers of the layer: numCols * numRows tiles using the map's tile format.
+     * @param {String} [options.src] The id of the image to use for the tiles, defaults to the map's one.
+     * @param {Array} [options.tiles] The tileset to use, defaults to the map's one.
+     * @param {Number} [options.depth=0] The rendering order of the layer: negative values are rendered behind the main layer.
+     * @param {Number} [options.scrollFactor=1] The parallax factor used for both axis: 0.5 will scroll twice as slow as the main layer.
+     * @param {Number} [options.scrollFactorX] The horizontal parallax factor, overrides scrollFactor.
+     * @param {Number} [options.scrollFactorY] The vertical parallax factor, overrides scrollFactor.
+     * @param {Number} [options.opacity=1] The opacity of the layer, from 0 to 1.
+     * @param {Boolean} [options.aboveSprites=false] Set to true to draw the layer above the sprites of the map.
+     * @param {Boolean} [options.visible=true] Set to false to hide the layer.
+     */
+    constructor(map, options = {}) {
+        const scrollFactor = typeof options.scrollFactor !== 'undefined' ? options.scrollFactor : 1;
+
+        this.map = map;
+        this.name = options.name || `layer${TileLayer.count++}`;
+
+        this.data = null;
+        this.src = options.src || null;
+        this.srcBitmap = null;
+        this.tiles = options.tiles ? options.tiles.map(tile => new Tile(tile)) : null;
+
+        this.depth = options.depth || 0;
+        this.scrollFactorX = typeof options.scrollFactorX !== 'undefined' ? options.scrollFactorX : scrollFactor;
+        this.scrollFactorY = typeof options.scrollFactorY !== 'undefined' ? options.scrollFactorY : scrollFactor;
+        this.opacity = typeof options.opacity !== 'undefined' ? options.opacity : 1;
+        this.aboveSprites = !!options.aboveSprites;
+        this.visible = options.visible !== false;
+
+        // pre-rendered chunks of tiles, used when the map has a chunkSize
+        this.chunks = {};
+
+        if (options.data) {
+            this.setData(options.data);
+        }
+    }
+
+    /**
+     * Sets the tile numbers of the layer
+     *
+     * @param {Array|ArrayBuffer|Uint8Array|Uint16Array} data The tile numbers: numCols * numRows tiles using the map's tile format.
+     */
+    setData(data) {
+        this.data = this.map.createTileArray();
+        this.data.set(data instanceof ArrayBuffer ? this.map.createTileArray(data) : data);
+
+        this.invalidateChunks();
+
+        this.map.isDirty = true;
+    }
+
+    /**
+     * Returns the tile number found at the specified position
+     *
+     * @param {Number} col The column of the tile.
+     * @param {Number} row The row of the tile.
+     * @returns {Number} the tile number, the map's `emptyTile` if there is no tile
+     */
+    getTile(col, row) {
+        return this.data[row * this.map.numCols + col];
+    }
+
+    /**
+     * Changes the tile at the specified position
+     *
+     * @param {Number} col The column of the tile.
+     * @param {Number} row The row of the tile.
+     * @param {Number} tileNum The new tile number, the map's `emptyTile` for no tile.
+     */
+    setTile(col, row, tileNum) {
+        this.data[row * this.map.numCols + col] = tileNum;
+        this.invalidateChunks(col, row);
+        this.map.isDirty = true;
+    }
+
+    /**
+     * Marks pre-rendered chunks as dirty so that they get rendered again next time they are displayed
+     *
+     * @param {Number} [col] The column of the tile that changed: every chunk is invalidated if not specified.
+     * @param {Number} [row] The row of the tile that changed.
+     */
+    invalidateChunks(col, row) {
+        if (typeof col === 'undefined') {
+            for (const key in this.chunks) {
+                this.chunks[key].dirty = true;
+            }
+        } else {
+            const chunk = this.chunks[this._getChunkKey(col / this.map.chunkSize | 0, row / this.map.chunkSize | 0)];
+
+            if (chunk) {
+                chunk.dirty = true;
+            }
+        }
+    }
+
+    /**
+     * Returns the canvas with the tiles of the specified chunk, rendering it if needed
+     *
+     * @param {Number} chunkCol The column of the chunk.
+     * @param {Number} chunkRow The row of the chunk.
+     * @returns {HTMLCanvasElement} the canvas of the chunk
+     */
+    getChunk(chunkCol, chunkRow) {
+        const map = this.map,
+            size = map.chunkSize,
+            key = this._getChunkKey(chunkCol, chunkRow),
+            firstCol = chunkCol * size,
+            firstRow = chunkRow * size,
+            lastCol = Math.min(map.numCols, firstCol + size),
+            lastRow = Math.min(map.numRows, firstRow + size);
+        let chunk = this.chunks[key];
+
+        if (!chunk) {
+            const canvas = document.createElement('canvas');
+
+            canvas.width = (lastCol - firstCol) * map.tileWidth;
+            canvas.height = (lastRow - firstRow) * map.tileHeight;
+
+            chunk = this.chunks[key] = {
+                canvas: canvas,
+                ctx: canvas.getContext('2d'),
+                dirty: true
+            };
+        }
+
+        if (chunk.dirty) {
+            chunk.ctx.clearRect(0, 0, chunk.canvas.width, chunk.canvas.height);
+
+            for (let row = firstRow; row < lastRow; row++) {
+                for (let col = firstCol; col < lastCol; col++) {
+                    const tileNum = this.data[row * map.numCols + col];
+
+                    if (tileNum !== map.emptyTile) {
+                        map.drawTile(tileNum, chunk.ctx, (col - firstCol) * map.tileWidth, (row - firstRow) * map.tileHeight, this);
+                    }
+                }
+            }
+
+            chunk.dirty = false;
+        }
+
+        return chunk.canvas;
+    }
+
+    /**
+     * Returns the key of a chunk in the chunks cache
+     *
+     * @param {Number} chunkCol The column of the chunk.
+     * @param {Number} chunkRow The row of the chunk.
+     * @returns {Number} the key of the chunk
+     *
+     * @private
+     */
+    _getChunkKey(chunkCol, chunkRow) {
+        return chunkRow * Math.ceil(this.map.numCols / this.map.chunkSize) + chunkCol;
+    }
+
+    /**
+     * Returns the tileset of the layer
+     *
+     * @returns {Array<Tile>} the tiles of the layer, or the map's ones if the layer doesn't have its own tileset
+     */
+    getTiles() {
+        return this.tiles || this.map.tiles;
+    }
+
+    /**
+     * Returns the image used to render the tiles of the layer
+     *
+     * @returns {Image} the image of the tiles
+     */
+    getBitmap() {
+        if (!this.srcBitmap) {
+            this.srcBitmap = RM.getResourceById(this.src || this.map.src);
+
+            if (!this.srcBitmap) {
+                throw `no source bitmap found when drawing map layer ${this.name}`;
+            }
+        }
+
+        return this.srcBitmap;
+    }
+
+    /**
+     * Returns the position of the layer's viewport, taking into account its scroll factors
+     *
+     * @returns {Object} the viewport position `{ x, y }`
+     */
+    getViewport() {
+        return {
+            x: Math.round(this.map.viewportX * this.scrollFactorX) || 0,
+            y: Math.round(this.map.viewportY * this.scrollFactorY) || 0
+        };
+    }
+}
+
+TileLayer.count = 1;
+
+export default TileLayer;
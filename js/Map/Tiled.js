@@ -0,0 +1,356 @@
+import Tile from './Tile';
+
+/*globals atob*/
+
+// Tiled stores flip/rotation flags in the highest bits of global tile ids
+const GID_MASK = 0x1FFFFFFF;
+
+// custom properties are an array since Tiled 1.2, an object before
+function getProperties(element) {
+    const properties = {};
+
+    if (Array.isArray(element.properties)) {
+        element.properties.forEach((property) => {
+            properties[property.name] = property.value;
+        });
+    } else if (element.properties) {
+        for (const name in element.properties) {
+            properties[name] = element.properties[name];
+        }
+    }
+
+    return properties;
+}
+
+// sets a property using a dotted path: 'spriteOptions.vx' => { spriteOptions: { vx } }
+function setPath(obj, path, value) {
+    const names = path.split('.'),
+        last = names.pop();
+
+    names.forEach((name) => {
+        obj = obj[name] = obj[name] || {};
+    });
+
+    obj[last] = value;
+}
+
+// returns group layers' children along with the other layers
+function flattenLayers(layers) {
+    return layers.reduce((list, layer) => list.concat(layer.type === 'group' ? flattenLayers(layer.layers) : [layer]), []);
+}
+
+// behaviors may be set using their value or their name in Tile.TYPE
+function getBehavior(behavior) {
+    if (typeof behavior === 'string') {
+        return Tile.TYPE[behavior.toUpperCase()] || Tile.TYPE.AIR;
+    }
+
+    return typeof behavior === 'number' ? behavior : Tile.TYPE.AIR;
+}
+
+// layer data is either an array of global tile ids or an uncompressed base64 string
+function getLayerData(layer) {
+    if (layer.encoding !== 'base64') {
+        return layer.data;
+    }
+
+    if (layer.compression) {
+        throw `[Tiled] compressed layers are not supported: ${layer.name}`;
+    }
+
+    const binary = atob(layer.data),
+        data = [];
+
+    for (let i = 0; i < binary.length; i += 4) {
+        data.push((binary.charCodeAt(i) | binary.charCodeAt(i + 1) << 8 | binary.charCodeAt(i + 2) << 16 | binary.charCodeAt(i + 3) << 24) >>> 0);
+    }
+
+    return data;
+}
+
+// converts a Tiled tileset into Tile descriptions and behaviors
+function readTileset(tileset) {
+    if (tileset.source) {
+        throw `[Tiled] external tilesets are not supported, tileset has to be embedded in the map: ${tileset.source}`;
+    }
+
+    const margin = tileset.margin || 0,
+        spacing = tileset.spacing || 0,
+        tileProperties = {},
+        animations = {},
+        tiles = [],
+        behaviors = [];
+
+    const getOffsets = (id) => ({
+        offsetX: margin + (id % tileset.columns) * (tileset.tilewidth + spacing),
+        offsetY: margin + (id / tileset.columns | 0) * (tileset.tileheight + spacing)
+    });
+
+    (tileset.tiles || []).forEach((tile) => {
+        tileProperties[tile.id] = getProperties(tile);
+        animations[tile.id] = tile.animation;
+    });
+
+    for (let id = 0; id < tileset.tilecount; id++) {
+        const properties = tileProperties[id] || {},
+            animation = animations[id],
+            offsets = getOffsets(id);
+
+        tiles.push({
+            offsetX: offsets.offsetX,
+            offsetY: offsets.offsetY,
+            width: tileset.tilewidth,
+            height: tileset.tileheight,
+            inertia: properties.inertia,
+            // Tiled frames may have different durations: we use the first one
+            frames: animation ? animation.map(frame => getOffsets(frame.tileid)) : undefined,
+            frameDuration: animation && animation.length ? animation[0].duration : undefined
+        });
+
+        behaviors.push(getBehavior(properties.behavior));
+    }
+
+    return {
+        firstgid: tileset.firstgid,
+        name: tileset.name,
+        tiles: tiles,
+        behaviors: behaviors
+    };
+}
+
+/**
+ * Converts maps created with the [Tiled](https://www.mapeditor.org) editor, exported using the JSON format
+ *
+ * - tile layers become tile layers of the map: the main layer is the one with a `main` custom property set to true,
+ * or the first tile layer. Each layer may only use one tileset, whose name is used as the id of the tiles image.
+ * - tile animations are converted into animated tiles, using the duration of the first frame for every frame.
+ * - the `behavior` custom property of tiles (a number or a `Tile.TYPE` name, like 'wall') is used for tile behaviors,
+ * which are read from the layer with a `behaviors` custom property set to true, or the main layer.
+ * - objects of object layers with a `trigger` type are converted into triggers: their `event` property is the type of
+ * the event, `switch:<id>` properties become switch conditions, other properties are passed to the MapEvent.
+ * - other objects are added to map windows: their type is the id of the resource to create, their name the item id
+ * and their properties the options of the new sprite.
+ *
+ * Custom property names may use dots to set nested options, like `spriteOptions.vx`.
+ *
+ * @see {Map.fromTiled}
+ */
+const Tiled = {
+    /**
+     * Converts a Tiled map into `Map` options
+     *
+     * @param {Object} json The map, exported from Tiled as JSON.
+     * @param {Object} [options] Map options that override the ones found in the Tiled map, like `viewportW`, `viewportH`.
+     * @returns {Object} the options to pass to the `Map` constructor
+     */
+    toMapOptions(json, options = {}) {
+        if (json.infinite) {
+            throw '[Tiled] infinite maps are not supported';
+        }
+
+        const properties = getProperties(json),
+            tilesets = json.tilesets.map(readTileset),
+            layers = flattenLayers(json.layers),
+            tileLayers = layers.filter(layer => layer.type === 'tilelayer'),
+            behaviorLayer = tileLayers.filter(layer => getProperties(layer).behaviors === true)[0],
+            drawnLayers = tileLayers.filter(layer => layer !== behaviorLayer),
+            mainLayer = drawnLayers.filter(layer => getProperties(layer).main === true)[0] || drawnLayers[0],
+            mainIndex = drawnLayers.indexOf(mainLayer),
+            size = json.width * json.height,
+            // the largest tile index of uint8 maps has to stay below the empty tile 0xff
+            tileFormat = tilesets.some(tileset => tileset.tiles.length - 1 >= 0xff) ? 'uint16' : 'uint8',
+            emptyTile = tileFormat === 'uint16' ? 0xffff : 0xff,
+            mapOptions = {
+                width: json.width * json.tilewidth,
+                height: json.height * json.tileheight,
+                tileWidth: json.tilewidth,
+                tileHeight: json.tileheight,
+                tileFormat: tileFormat,
+                emptyTile: emptyTile,
+                tileLayers: [],
+                windows: {},
+                triggers: {}
+            };
+
+        if (!mainLayer) {
+            throw '[Tiled] map has no tile layer';
+        }
+
+        // returns the tileset that contains the specified global tile id
+        const getTileset = (gid) => tilesets.filter(tileset => tileset.firstgid <= gid).pop();
+
+        // converts global tile ids into tile numbers of the layer's tileset
+        const readLayer = (layer) => {
+            const data = getLayerData(layer),
+                tiles = [];
+            let tileset = null;
+
+            data.forEach((gid) => {
+                gid = gid & GID_MASK;
+
+                if (!gid) {
+                    tiles.push(emptyTile);
+                } else {
+                    tileset = tileset || getTileset(gid);
+
+                    if (getTileset(gid) !== tileset) {
+                        throw `[Tiled] layer ${layer.name} uses more than one tileset`;
+                    }
+
+                    tiles.push(gid - tileset.firstgid);
+                }
+            });
+
+            return {
+                tiles,
+                tileset: tileset || tilesets[0]
+            };
+        };
+
+        const main = readLayer(mainLayer),
+            behaviorSource = behaviorLayer ? readLayer(behaviorLayer) : main,
+            tileBytes = tileFormat === 'uint16' ? 2 : 1,
+            buffer = new ArrayBuffer(size * (tileBytes + 1)),
+            behaviors = new Uint8Array(buffer, size * tileBytes, size);
+
+        (tileFormat === 'uint16' ? new Uint16Array(buffer, 0, size) : new Uint8Array(buffer, 0, size)).set(main.tiles);
+
+        behaviorSource.tiles.forEach((tileNum, i) => {
+            behaviors[i] = tileNum === emptyTile ? Tile.TYPE.AIR : behaviorSource.tileset.behaviors[tileNum];
+        });
+
+        mapOptions.buffer = buffer;
+        mapOptions.src = main.tileset.name;
+        mapOptions.tiles = main.tileset.tiles;
+
+        drawnLayers.forEach((layer, index) => {
+            if (layer === mainLayer) {
+                return;
+            }
+
+            const layerProperties = getProperties(layer),
+                tileLayer = readLayer(layer);
+
+            mapOptions.tileLayers.push({
+                name: layer.name,
+                data: tileLayer.tiles,
+                src: tileLayer.tileset !== main.tileset ? tileLayer.tileset.name : undefined,
+                tiles: tileLayer.tileset !== main.tileset ? tileLayer.tileset.tiles : undefined,
+                depth: index - mainIndex,
+                scrollFactorX: typeof layer.parallaxx !== 'undefined' ? layer.parallaxx : 1,
+                scrollFactorY: typeof layer.parallaxy !== 'undefined' ? layer.parallaxy : 1,
+                opacity: typeof layer.opacity !== 'undefined' ? layer.opacity : 1,
+                aboveSprites: layerProperties.aboveSprites === true,
+                visible: layer.visible !== false
+            });
+        });
+
+        // map custom properties, then user options, override the defaults
+        for (const name in properties) {
+            setPath(mapOptions, name, properties[name]);
+        }
+
+        for (const name in options) {
+            mapOptions[name] = options[name];
+        }
+
+        layers.filter(layer => layer.type === 'objectgroup').forEach((layer) => {
+            layer.objects.forEach((object) => {
+                const type = object.type || object.class;
+
+                if (type === 'trigger') {
+                    this._addTrigger(mapOptions, object);
+                } else if (type) {
+                    this._addWindowItem(mapOptions, object, type);
+                } else {
+                    console.warn(`[Tiled] skipping object ${object.id}: it doesn't have any type`);
+                }
+            });
+        });
+
+        return mapOptions;
+    },
+
+    /**
+     * Adds a trigger onto every tile covered by the object
+     *
+     * @param {Object} mapOptions The map options.
+     * @param {Object} object The Tiled object.
+     *
+     * @private
+     */
+    _addTrigger(mapOptions, object) {
+        const properties = getProperties(object),
+            numCols = mapOptions.width / mapOptions.tileWidth | 0,
+            firstCol = Math.floor(object.x / mapOptions.tileWidth),
+            firstRow = Math.floor(object.y / mapOptions.tileHeight),
+            lastCol = Math.floor((object.x + Math.max(1, object.width || 0) - 1) / mapOptions.tileWidth),
+            lastRow = Math.floor((object.y + Math.max(1, object.height || 0) - 1) / mapOptions.tileHeight),
+            trigger = {
+                type: properties.event,
+                triggered: false
+            };
+
+        for (const name in properties) {
+            if (name.indexOf('switch:') === 0) {
+                trigger.conditions = trigger.conditions || [];
+                trigger.conditions.push({
+                    type: 'switch',
+                    id: name.substr(7),
+                    status: properties[name]
+                });
+            } else if (name !== 'event') {
+                setPath(trigger, name, properties[name]);
+            }
+        }
+
+        for (let row = firstRow; row <= lastRow; row++) {
+            for (let col = firstCol; col <= lastCol; col++) {
+                mapOptions.triggers[row * numCols + col] = trigger;
+            }
+        }
+    },
+
+    /**
+     * Adds the object into the map window it belongs to
+     *
+     * @param {Object} mapOptions The map options.
+     * @param {Object} object The Tiled object.
+     * @param {String} type The id of the resource to create when the window becomes visible.
+     *
+     * @private
+     */
+    _addWindowItem(mapOptions, object, type) {
+        const properties = getProperties(object),
+            viewportW = mapOptions.viewportW || mapOptions.width,
+            viewportH = mapOptions.viewportH || mapOptions.height,
+            x = Math.round(object.x),
+            // the position of tile objects is their bottom-left corner
+            y = Math.round(object.gid ? object.y - object.height : object.y),
+            index = Math.floor(y / viewportH) * (mapOptions.width / viewportW | 0) + Math.floor(x / viewportW),
+            item = {
+                type: type,
+                spriteOptions: {}
+            };
+
+        if (object.name) {
+            item.itemId = object.name;
+        }
+
+        for (const name in properties) {
+            setPath(item.spriteOptions, name, properties[name]);
+        }
+
+        item.spriteOptions.x = x;
+        item.spriteOptions.y = y;
+
+        mapOptions.windows[index] = mapOptions.windows[index] || {
+            displayed: false,
+            items: []
+        };
+
+        mapOptions.windows[index].items.push(item);
+    }
+};
+
+export default Tiled;
@@ -43,6 +43,8 @@ const NotificationManager = {
     }
 };
 
-window.NM = NotificationManager;
+if (typeof window !== 'undefined') {
+    window.NM = NotificationManager;
+}
 
 export default NotificationManager;
\ No newline at end of file
@@ -1,7 +1,6 @@
 import Binary from '../Util/Binary';
 import AM from '../Audio/AudioManager';
 import Pool from '../Util/Pool';
-import Wad from 'web-audio-daw';
 import Deferred from '../Util/Deferred';
 import Dom from '../Util/Dom';
 
@@ -12,7 +11,7 @@ function newObject(Obj) {
 
 // little shim for browsers not supporting createImageBitmap yet
 // in case browser doesn't support createImageBitmap we simply resolve with the original image
-const createImageBitmap = window.createImageBitmap || function createImageBitmap(img) { return Deferred.resolve(img); };
+const createImageBitmap = typeof window !== 'undefined' && window.createImageBitmap || function createImageBitmap(img) { return Deferred.resolve(img); };
 
 /**
  * Handles resource loading at runtime
@@ -23,10 +22,11 @@ const createImageBitmap = window.createImageBitmap || function createImageBitmap
  *  - Images
  *  - Sounds
  *  - Maps (JSON-based)
+ *  - JSON files converted by a registered parser, like Tiled maps
  *
  */
 const ResourceManager = {
-    isLocal: !!document.location.href.match(/^file:\/\//),
+    isLocal: typeof document !== 'undefined' && !!document.location.href.match(/^file:\/\//),
     scriptMaxTime: 3000,
     groupMaxTime: 5000,
     /**
@@ -41,6 +41,7 @@ const ResourceManager = {
         'any': {
             def: new Deferred(),
             loadedRes: 0,
+            failedRes: [],
             numRes: 0,
             res: {},
             progressCb: null,
@@ -48,7 +49,10 @@ const ResourceManager = {
         }
     },
     dynamicScripts: {},
-    iOS: !!navigator.userAgent.match(/iPhone|iPad/),
+    parsers: {},
+    // the WAD library used to load audio files, see setWadLibrary()
+    Wad: null,
+    iOS: typeof navigator !== 'undefined' && !!navigator.userAgent.match(/iPhone|iPad/),
     skipResources: ['script'],
     async: true,
     loading: false,
@@ -119,6 +123,7 @@ const ResourceManager = {
             this.resources[groupName] = {
                 def: new Deferred(),
                 loadedRes: 0,
+                failedRes: [],
                 numRes: 0,
                 res: {},
                 progressCb: null,
@@ -162,7 +167,7 @@ const ResourceManager = {
      *  src: './sprites/gem.png'
      * }, "sprites");
      *
-     * // resource type can be image|map|audio
+     * // resource type can be image|map|audio, or a type registered using registerParser
      */
     addResources: function (resource, group) {
         group = group || 'any';
@@ -216,10 +221,23 @@ const ResourceManager = {
      * Loads all resources found in the specified group, optionnaly
      * calling a callback after each file has been loaded.
      *
+     * The progress callback is called with the following parameters:
+     * - `progress`: the percentage of processed resources
+     * - `info`: an object with the following properties: `group` (the name of the group), `resource` (the id of the resource
+     * that has just been processed), `loaded` (number of loaded resources), `failed` (ids of the resources that could not be loaded),
+     * `total` (number of resources in the group)
+     *
+     * Once every resource has been processed, the group's promise is rejected if some of them could not be loaded.
+     *
      * @param {String} group The name of the group to load.
      * @param {Function} [progressCb=undefined] an optionnal progress callback.
-     * @param {Function} [errorCb=undefined] an optionnal error callback.
+     * @param {Function} [errorCb=undefined] an optionnal error callback, called with an error message and the resource descriptor.
      *
+     * @example
+     *
+     * ResourceManager.loadResources('any', (progress, info) => {
+     *     console.log(`${progress}% - loaded ${info.resource}, ${info.failed.length} error(s)`);
+     * });
      */
     loadResources: function (group, progressCb = undefined, errorCb = undefined) {
         group = group || 'any';
@@ -238,6 +256,8 @@ const ResourceManager = {
 
         resGroup.progressCb = progressCb || null;
         resGroup.errorCb = errorCb || null;
+        // resources that failed will be attempted again
+        resGroup.failedRes = [];
 
         // FIXME: simply count the num of resources and get a ref to the first one
         // guess it could be cleaner
@@ -333,13 +353,24 @@ const ResourceManager = {
                 res.elt = bitmap; // img
                 res.img = img;// this;
                 res.loaded = true;
-                gpName && that._resLoaded(gpName);
+                gpName && that._resLoaded(gpName, res);
                 def.resolve(gpName && true || bitmap);
             });
 
             // console.log('[RM] loaded image', res.src);
         };
 
+        img.onerror = function () {
+            const error = `Unable to load image "${res.src}" [${res.id}]`;
+
+            if (gpName) {
+                that._resFailed(gpName, res, error);
+                def.resolve(false);
+            } else {
+                def.reject(error);
+            }
+        };
+
         img.src = res.src;
 
         return def.promise;
@@ -459,13 +490,18 @@ const ResourceManager = {
             res.elt = this;
             res.loaded = true;
             AM.addSound(res.id, this);
-            that._resLoaded(gpName);
+            that._resLoaded(gpName, res);
             def.resolve(true);
         }
 
         audio.preload = 'auto';
         audio.addEventListener('canplaythrough', onLoad);
 
+        audio.addEventListener('error', function () {
+            that._resFailed(gpName, res, `Unable to load audio "${res.src}" [${res.id}]`);
+            def.resolve(false);
+        });
+
         audio.addEventListener('loadstart', function () {
             console.log('loadStarted', audio.src);
         });
@@ -484,14 +520,19 @@ const ResourceManager = {
      * @returns {Deferred} a new promise that will be resolved once the file has been loaded
      */
     loadWadAudio: function (res, gpName) {
+        if (!this.Wad) {
+            this._resFailed(gpName, res, `Unable to load audio "${res.src}" [${res.id}]: the WAD library hasn't been set`);
+            return Deferred.resolve(false);
+        }
+
         let def = new Deferred(),
-            sound = new Wad({
+            sound = new this.Wad({
                 source: res.src,
                 callback: () => {
                     res.elt = sound;
                     res.loaded = true;
                     AM.addSound(res.id, sound);
-                    this._resLoaded(gpName);
+                    this._resLoaded(gpName, res);
                     def.resolve(true);
                 }
             });
@@ -515,14 +556,14 @@ const ResourceManager = {
             if (response.status === 200) {
                 return response.json();
             } else {
-                throw 'Error getting photo list';
+                throw `Unable to load JSON file "${res.src}" [${res.id}]`;
             }
         })
             .then(json => {
                 res.elt = json;
                 res.loaded = true;
                 if (!callback) {
-                    this._resLoaded(gpName);
+                    this._resLoaded(gpName, res);
                     def.resolve(true);
                     // loaded.resolve(true)
                 } else {
@@ -531,11 +572,70 @@ const ResourceManager = {
                         def.resolve(true);
                     });
                 }
+            }).catch(err => {
+                this._resFailed(gpName, res, err);
+                def.resolve(false);
             });
+
+        return def.promise;
+    },
+    /**
+     * Sets the WAD library used to load audio files
+     *
+     * The library creates an AudioContext as soon as it is imported: the AthenaJS bundle sets it, but games
+     * importing the engine modules where Web Audio isn't available (eg. headless games in Node) can leave it unset.
+     *
+     * @param {Function} Wad The Wad class of the web-audio-daw library.
+     *
+     * @example
+     * import Wad from 'web-audio-daw';
+     *
+     * RM.setWadLibrary(Wad);
+     */
+    setWadLibrary: function (Wad) {
+        this.Wad = Wad;
+    },
+    /**
+     * Registers a new type of JSON resource: once loaded, the JSON is converted using the parser
+     *
+     * @param {String} type The resource type.
+     * @param {Function} parser The function that converts the JSON, called with the JSON and the resource descriptor.
+     *
+     * @example
+     * RM.registerParser('level', (json, res) => new Level(json));
+     */
+    registerParser: function (type, parser) {
+        this.parsers[type] = parser;
+    },
+    /**
+     * Converts a JSON resource using the parser registered for its type
+     *
+     * @param {Object} res The JSON file descriptor
+     * @param {String} gpName The name of the group to load the file from
+     *
+     * @returns {Deferred} a promise that will be resolved once the file has been parsed.
+     *
+     * @private
+     */
+    parseJSON: function (res, gpName) {
+        try {
+            res.elt = this.parsers[res.type](res.elt, res);
+        } catch (err) {
+            res.loaded = false;
+            this._resFailed(gpName, res, `Unable to parse ${res.type} resource "${res.src}" [${res.id}]: ${err}`);
+            return Deferred.resolve(false);
+        }
+
+        this._resLoaded(gpName, res);
+
+        return Deferred.resolve(true);
     },
     /**
      * Loads binary data into an ArrayBuffer
      *
+     * If the map descriptor doesn't specify a `tileFormat`, it is guessed from the size of the data:
+     * 8bit tile numbers use two bytes per tile (tile number + behavior), 16bit ones three bytes.
+     *
      * @param {Object} res The JSON file descriptor
      * @param {String} gpName The name of the group to load the file from
      *
@@ -544,17 +644,25 @@ const ResourceManager = {
      * @private
      */
     loadMapData: function (res, gpName) {
-        let def = new Deferred(),
-            gp = this.resources[gpName];
+        let def = new Deferred();
+
+        Binary.getArrayBuffer((typeof document !== 'undefined' && document.location.href.match('warpdesign.fr') ? '/gods/' : '') + res.elt.dataUrl).then((arrayBuffer) => {
+            const map = res.elt,
+                size = (map.width / map.tileWidth | 0) * (map.height / map.tileHeight | 0);
+
+            if (!map.tileFormat && size) {
+                map.tileFormat = arrayBuffer.byteLength >= size * 3 ? 'uint16' : 'uint8';
+            }
 
-        Binary.getArrayBuffer((document.location.href.match('warpdesign.fr') ? '/gods/' : '') + res.elt.dataUrl).then((arrayBuffer) => {
             res.elt.buffer = arrayBuffer;
             res.loaded = true;
-            this._resLoaded(gpName);
+            this._resLoaded(gpName, res);
             def.resolve(true);
 
         }, () => {
-            gp.def.reject('Unable to load map resource "' + res.src + '" [' + res.id + ']');
+            res.loaded = false;
+            this._resFailed(gpName, res, 'Unable to load map resource "' + res.src + '" [' + res.id + ']');
+            def.resolve(false);
         });
 
         return def.promise;
@@ -565,9 +673,12 @@ const ResourceManager = {
      * If there is resource remaining to be loaded, this method will load the next resource.
      * Otherwise it will resolve the group's loading promise.
      *
+     * @param {String} groupName The name of the group the resource belongs to.
+     * @param {Object} res The resource that has been loaded.
+     *
      * @private
      */
-    _resLoaded: function (groupName) {
+    _resLoaded: function (groupName, res) {
         let group = this.resources[groupName];
 
         group.loadedRes++;
@@ -575,19 +686,69 @@ const ResourceManager = {
         /*
             Debug stuff
         */
-        new Dom('span.loaded').html(group.loadedRes);
+        if (typeof document !== 'undefined') {
+            new Dom('span.loaded').html(group.loadedRes);
+        }
+
+        this._resProcessed(groupName, res);
+    },
+    /**
+     * Internal method that gets called when a resource could not be loaded
+     *
+     * @param {String} groupName The name of the group the resource belongs to.
+     * @param {Object} res The resource that could not be loaded.
+     * @param {String} error The error message.
+     *
+     * @private
+     */
+    _resFailed: function (groupName, res, error) {
+        let group = this.resources[groupName];
+
+        console.error(`[RM] ${error}`);
+
+        group.failedRes.push(res.id);
+
+        if (group.errorCb) {
+            group.errorCb.call(this, error, res);
+        }
+
+        this._resProcessed(groupName, res);
+    },
+    /**
+     * Reports progress of the group and settles its promise once every resource has been processed
+     *
+     * @param {String} groupName The name of the group.
+     * @param {Object} res The resource that has just been processed.
+     *
+     * @private
+     */
+    _resProcessed: function (groupName, res) {
+        let group = this.resources[groupName],
+            processed = group.loadedRes + group.failedRes.length;
 
         if (group.progressCb) {
-            group.progressCb.call(this, Math.floor((group.loadedRes * 100) / group.numRes));
+            group.progressCb.call(this, Math.floor((processed * 100) / group.numRes), {
+                group: groupName,
+                resource: res && res.id,
+                loaded: group.loadedRes,
+                failed: group.failedRes.slice(),
+                total: group.numRes
+            });
         }
 
-        if (group.loadedRes === group.numRes) {
+        if (processed === group.numRes) {
             // console.log('[RM] need to resolve stuff :)) ' + group.loadedRes + '/' + group.numRes);
             this.loading = false;
-            if (group.gpTimeout !== null) {
+            if (group.gpTimeout) {
                 clearTimeout(group.gpTimeout);
+                group.gpTimeout = null;
+            }
+
+            if (group.failedRes.length) {
+                group.def.reject(`[RM] Unable to load the following resources: ${group.failedRes.join(', ')}`);
+            } else {
+                group.def.resolve(true);
             }
-            group.def.resolve(true);
         } else if (!this.async) {
             // console.log('[RM] more stuff to load !', group.loadedRes + '/' + group.numRes);
             this.loadNextResource(groupName);
@@ -617,6 +778,10 @@ const ResourceManager = {
 
             // case 'map'
             default:
+                if (this.parsers[res.type]) {
+                    return this.loadJSON(res, groupName, this.parseJSON);
+                }
+
                 // load Map JSON + Binary data
                 return this.loadJSON(res, groupName, this.loadMapData);
         }
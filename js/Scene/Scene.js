@@ -4,9 +4,13 @@ import NM from '../Notification/NotificationManager';
 import Input from '../Input/InputManager';
 import Dom from '../Util/Dom';
 import Deferred from '../Util/Deferred';
+import Clock from '../Util/Clock';
+import Random from '../Util/Random';
 
-// debug stuff
-window.scenes = {};
+// debug stuff, not available when running without a browser
+if (typeof window !== 'undefined') {
+    window.scenes = {};
+}
 
 /**
  * The `Scene` is used to display your objects. In AthenaJS you first add objects onto the scene.
@@ -39,6 +43,7 @@ class Scene {
      * @param {Number} [options.layers=2] The number of layers: layers are stacked above the backgrounds.
      * @param {Number} [options.opacity=1] The default opacity for the scene: can be usefull to have fadeIn effects when starting the scene.
      * @param {Scene} [options.hudScene] Scenes can have an option `hud` scene that is automatically rendered on top of it. This allows to easily add score/status elements to games.
+     * @param {Number} [options.seed] The seed of the scene's random number generator: if not specified, the game generates a new one each time the scene is started.
      */
     constructor(options) {
         options = options || {};
@@ -74,8 +79,17 @@ class Scene {
         this.time = null;
         this.playTime = null;
 
+        // scene time: only advances when the scene is updated
+        this.clock = new Clock();
+
+        // seeded random number generator, use it instead of Math.random so that sessions can be replayed
+        this.seed = options.seed;
+        this.random = new Random(options.seed);
+
         // debug
-        window.scenes[this.name] = this;
+        if (typeof window !== 'undefined') {
+            window.scenes[this.name] = this;
+        }
 
         // methods that are called too early are added here
         this._objectsToAdd = [];
@@ -94,7 +108,8 @@ class Scene {
      *
      */
     _prepareCanvas() {
-        if (this.resources) {
+        // headless scenes don't have any display
+        if (this.resources && this.display) {
             this.display.prepareCanvas(this.resources);
         }
     }
@@ -142,7 +157,7 @@ class Scene {
     fadeInAndOut(inDuration, delay, outDuration) {
         let def = new Deferred();
         this.fadeIn(inDuration).then(() => {
-            setTimeout(() => {
+            this.clock.setTimeout(() => {
                 this.fadeOut(outDuration).then(() => {
                     def.resolve();
                 });
@@ -246,23 +261,24 @@ class Scene {
     /**
      * Loads resources added on the scene's constructor
      *
+     * @param {Function} [progressCb=undefined] A progress callback that gets called after each resource has been processed, see `ResourceManager.loadResources`.
      * @returns {Promise} a promise that will be resolved once the scene resources have been loaded
      *
      * @private
      */
-    _load() {
+    _load(progressCb) {
         // console.log('[Scene ' + this.name + '] load()');
         let def = new Deferred();
         if (this.hudScene && !this.hudScene.loaded) {
-            this.hudScene._load().then(() => {
-                this._loadResources(this.resources).then(() => {
+            this.hudScene._load(progressCb).then(() => {
+                this._loadResources(this.resources, progressCb).then(() => {
                     def.resolve(this);
-                });
+                }, err => def.reject(err));
             }).catch(err => {
-                console.error(err);
+                def.reject(err);
             });
         } else {
-            this._loadResources(this.resources).then(() => def.resolve(this));
+            this._loadResources(this.resources, progressCb).then(() => def.resolve(this), err => def.reject(err));
         }
 
         return def.promise;
@@ -361,7 +377,9 @@ class Scene {
         this.mapOffsetY = y;
 
         // debug stuff
-        window.currentMap = this.map;
+        if (typeof window !== 'undefined') {
+            window.currentMap = this.map;
+        }
     }
 
 
@@ -423,37 +441,55 @@ class Scene {
      * Draws the associated map into the specified canvas context
      *
      * @param {RenderingContext} destCtx The canvas context where the map should be rendered.
+     * @param {Boolean} [withLayersAboveSprites=false] Set to true to also draw map layers that should be above sprites.
      *
      * @private
      */
-    drawMap(destCtx) {
+    drawMap(destCtx, withLayersAboveSprites = false) {
         if (!this.map.isDirty) {
+            // only cells with animated tiles may need to be redrawn
+            this.map.drawAnimatedTiles(destCtx, this.mapOffsetX, this.mapOffsetY, withLayersAboveSprites);
             return;
         }
 
         this.display.clearScreen(destCtx);
-        this.map.draw(destCtx, false, this.mapOffsetX, this.mapOffsetY);
+        this.map.draw(destCtx, false, this.mapOffsetX, this.mapOffsetY, withLayersAboveSprites);
+    }
+
+    /**
+     * Draws the map layers that should appear above sprites
+     *
+     * @param {RenderingContext} destCtx The canvas context where the layers should be rendered.
+     *
+     * @private
+     */
+    drawMapLayersAboveSprites(destCtx) {
+        if (this.map.hasLayersAboveSprites()) {
+            this.map.drawLayersAboveSprites(destCtx, this.mapOffsetX, this.mapOffsetY);
+        }
     }
 
     /**
      * Draws every object that is part of the associated map
      *
      * @param {Array<RenderingContext>} drawContexts An array with all layers context.
+     * @param {Number} [alpha=1] Interpolation factor between the previous and the current update.
      *
      * @private
      */
-    drawMapObjects(drawContexts) {
-        this.map.drawObjects(drawContexts, this.mapOffsetX, this.mapOffsetY);
+    drawMapObjects(drawContexts, alpha = 1) {
+        this.map.drawObjects(drawContexts, this.mapOffsetX, this.mapOffsetY, alpha);
     }
 
     /**
      * Draws every object that has been added onto the scene
      *
      * @param {Array<RenderingContext>} drawContexts An array with all layers context.
+     * @param {Number} [alpha=1] Interpolation factor between the previous and the current update.
      *
      * @private
      */
-    drawSceneObjects(drawContexts) {
+    drawSceneObjects(drawContexts, alpha = 1) {
         // go through the list of all objects and render them if they are visible ?
         for (let i = 0, max = this.layers.length; i < max; i++) {
             const layer = this.layers[i],
@@ -461,14 +497,14 @@ class Scene {
 
             for (let j = 0, max2 = layer.length; j < max2; j++) {
                 let obj = layer[j];
-                obj._draw(drawContext);
+                obj._draw(drawContext, alpha);
                 if (this.isDebug) {
                     this.isDebug && obj.showHitBox(drawContext);
                 }
 
                 if (obj.children.length) {
                     obj.children.forEach((sprite) => {
-                        sprite._draw(drawContext);
+                        sprite._draw(drawContext, alpha);
                         this.isDebug && sprite.showHitBox(drawContext);
                     });
                 }
@@ -477,10 +513,13 @@ class Scene {
     }
 
     /**
-     * This method calls the update() callback of each object that has been placed onto the map.
+     * This method calls the update() callback of each object that has been placed onto the scene.
      *
      * It is automatically called by the run method after each frame.
      *
+     * The position of every object is saved before it's moved so that it can be
+     * drawn at an interpolated position between two updates.
+     *
      * @param {Number} timestamp Current time.
      *
      * @private
@@ -491,6 +530,7 @@ class Scene {
             let layer = this.layers[i];
             for (let j = 0, max2 = layer.length; j < max2; j++) {
                 let obj = layer[j];
+                obj._savePreviousPosition();
                 if (obj.movable) {
                     obj.update(timestamp);
                 }
@@ -566,13 +606,15 @@ class Scene {
         }
     }
 
-    _start() {
+    _start(seed) {
         this.running = true;
-        this.time = new Date().getTime();
+        this.clock.reset();
+        this.random.setSeed(typeof seed !== 'undefined' ? seed : this.seed);
+        this.time = this.clock.now();
         this.playTime = null;
 
         if (this.hudScene) {
-            this.hudScene._start();
+            this.hudScene._start(this.random.seed);
         }
     }
 
@@ -616,6 +658,7 @@ class Scene {
      * Called when the scene is paused. This may happen for several reasons:
      * - browser tab is hidden
      * - debug is enabled and user pressed the p key
+     * - another scene has been pushed on top of it using `Game.pushScene()`
      *
      * @param {Boolean} isRunning
      */
@@ -634,12 +677,42 @@ class Scene {
         if (this.playTime) {
             playTime = this.playTime;
         } else {
-            playTime = new Date().getTime() - this.time;
+            playTime = this.clock.now() - this.time;
         }
 
         return playTime / 1000;
     }
 
+    /**
+     * Returns the current time of the scene, as given by its clock: this is the time of the last update.
+     *
+     * This time is used by time-based features like sprite animations, effects and timers.
+     *
+     * @returns {Number} The current scene time in milliseconds.
+     */
+    getTime() {
+        return this.clock.now();
+    }
+
+    /**
+     * Internal update method called by the game on each update: advances the scene clock
+     * then calls the public `update` method with the new scene time.
+     *
+     * @param {Number} elapsed the time elapsed since previous update, in milliseconds
+     *
+     * @private
+     */
+    _update(elapsed) {
+        this.clock.tick(elapsed);
+
+        // the hud isn't updated but its objects and timers may need the current time
+        if (this.hudScene) {
+            this.hudScene.clock.tick(elapsed);
+        }
+
+        this.update(this.clock.now());
+    }
+
     /**
      * The run loop is where scene elements are moved and collisions are checked.
      *
@@ -659,20 +732,30 @@ class Scene {
     }
 
     /**
-     * This method is responsible for drawing the scene and will be called 60 times a second.
+     * This method is responsible for drawing the scene and will be called on each display refresh.
      *
      * @param {Array<RenderingContext>} drawContexts The layers array to draw over.
+     * @param {Number} [alpha=1] Interpolation factor between the previous and the current update: since
+     * the scene is updated at a fixed rate, objects are drawn in-between their previous and current positions.
      * *note* When the scene is not running, this method isn't called at all.
      */
-    render(drawContexts) {
-        const mapIndex = drawContexts.length - 1;
+    render(drawContexts, alpha = 1) {
+        const mapIndex = drawContexts.length - 1,
+            // map layers above sprites are drawn onto the foremost layer
+            foremostIndex = this.display ? this.display.sortedLayers[this.display.sortedLayers.length - 1] : mapIndex;
+
         // render-loop: put render-related stuff here
         if (this.map) {
-            this.drawMap(drawContexts[mapIndex]);
-            this.drawMapObjects(drawContexts);
+            // no foreground layer: every map layer is drawn onto the map layer
+            this.drawMap(drawContexts[mapIndex], foremostIndex === mapIndex);
+            this.drawMapObjects(drawContexts, alpha);
+
+            if (foremostIndex !== mapIndex) {
+                this.drawMapLayersAboveSprites(drawContexts[foremostIndex]);
+            }
         }
 
-        this.drawSceneObjects(drawContexts);
+        this.drawSceneObjects(drawContexts, alpha);
     }
 
     /**
@@ -681,7 +764,7 @@ class Scene {
      * @param {Boolean} background Set to true to put layer in background, false for foreground.
      */
     setLayerPriority(layer, background) {
-        this.display.setLayerZIndex(layer, background ? 0 : 2);
+        this.display && this.display.setLayerZIndex(layer, background ? 0 : 2);
     }
 
     /**
@@ -735,6 +818,11 @@ class Scene {
      * @param {Object} options The options of the effect.
      */
     animate(fxName, options) {
+        // effects cannot be rendered without a display (headless game)
+        if (!this.display) {
+            return Deferred.resolve(true);
+        }
+
         return this.display.animate(fxName, options, this);
     }
 
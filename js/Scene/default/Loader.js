@@ -0,0 +1,144 @@
+import Scene from '../Scene';
+import Paint from '../../Drawable/Paint';
+import SimpleText from '../../Drawable/SimpleText';
+
+/**
+ * A simple progress bar
+ *
+ * @extends Paint
+ * @private
+ */
+class ProgressBar extends Paint {
+    constructor(name, options) {
+        super(name, options);
+
+        this.progress = 0;
+    }
+
+    /**
+     * Draws the bar's outline and fills it according to current progress
+     */
+    render() {
+        const ctx = this.ctx;
+
+        ctx.strokeStyle = this.color;
+        ctx.lineWidth = 1;
+        ctx.strokeRect(this.x + 0.5, this.y + 0.5, this.width, this.height);
+
+        this.rect(2, 2, Math.max(0, (this.width - 3) * this.progress), this.height - 3);
+    }
+}
+
+/**
+ * The default loading scene: it is displayed by the game while the resources of a scene are being loaded.
+ *
+ * It shows a progress bar, the name of the last loaded resource and the number of resources that couldn't be loaded.
+ *
+ * The loader can be customized by extending this class, or replaced by any scene with an `onProgress` method,
+ * using the `loader` option of the {Game}.
+ *
+ * @extends Scene
+ *
+ * @example
+ * import { Game, Loader } from 'athenajs';
+ *
+ * class MyLoader extends Loader {
+ *     onProgress(progress, info) {
+ *         super.onProgress(progress, info);
+ *         console.log(`${progress}%`);
+ *     }
+ * }
+ *
+ * const game = new Game({
+ *     loader: new MyLoader({ color: 'orange' })
+ * });
+ */
+class Loader extends Scene {
+    /**
+     * Creates a new Loader scene
+     *
+     * @param {Object} [options]
+     * @param {String} [options.name="Loader"] The name of the scene.
+     * @param {String} [options.color="white"] The color of the progress bar and text.
+     * @param {String} [options.errorColor="red"] The color of the text once a resource couldn't be loaded.
+     */
+    constructor(options = {}) {
+        super(Object.assign({
+            name: 'Loader'
+        }, options));
+
+        this.color = options.color || 'white';
+        this.errorColor = options.errorColor || 'red';
+
+        this.progress = 0;
+        this.info = null;
+
+        this.bar = null;
+        this.text = null;
+
+        // the loader doesn't need any resource so it's ready right away
+        this.loaded = true;
+    }
+
+    /**
+     * Creates the progress bar and the status text
+     */
+    start() {
+        const width = this.display.width,
+            height = this.display.height,
+            barWidth = width * 0.6 | 0;
+
+        this._emptyLayers();
+
+        this.progress = 0;
+        this.info = null;
+
+        this.bar = new ProgressBar('loaderBar', {
+            x: (width - barWidth) / 2 | 0,
+            y: height / 2 - 5 | 0,
+            width: barWidth,
+            height: 10,
+            color: this.color
+        });
+
+        this.text = new SimpleText('loaderText', {
+            text: 'Loading...',
+            x: this.bar.x,
+            y: this.bar.y + 20,
+            fontSize: '14px',
+            color: this.color
+        });
+
+        this.addObject([this.bar, this.text]);
+    }
+
+    /**
+     * Called by the game each time a resource has been processed
+     *
+     * @param {Number} progress The percentage of processed resources.
+     * @param {Object} info Details about the loading process, see `ResourceManager.loadResources`.
+     */
+    onProgress(progress, info) {
+        this.progress = progress;
+        this.info = info;
+
+        if (!this.bar) {
+            return;
+        }
+
+        this.bar.progress = progress / 100;
+
+        if (info) {
+            let status = `${info.resource} (${info.loaded}/${info.total})`;
+
+            if (info.failed.length) {
+                status += ` - unable to load: ${info.failed.join(', ')}`;
+                this.text.color = this.errorColor;
+            }
+
+            this.text.setText(status);
+        }
+    }
+}
+
+export default Loader;
@@ -0,0 +1,202 @@
+/**
+ * A Clock keeps track of the time spent in a scene.
+ *
+ * Unlike wall-clock time, a clock only advances when it is ticked, and stops advancing
+ * when it is paused: this makes it possible to freeze every timed feature (effects, animations,
+ * timers,...) when the game is paused or the browser tab is hidden.
+ *
+ * Every scene has its own clock that is ticked by the game before each scene update.
+ *
+ * @example
+ * import { Scene } from 'athenajs';
+ *
+ * class MyScene extends Scene {
+ *     start() {
+ *         // will be called after 2 seconds of gameplay, pauses excluded
+ *         this.clock.setTimeout(() => {
+ *             console.log('2 seconds elapsed');
+ *         }, 2000);
+ *     }
+ * };
+ */
+class Clock {
+    /**
+     * Creates a new Clock
+     *
+     * @param {Object} [options]
+     * @param {Number} [options.time=0] The initial time of the clock, in milliseconds.
+     * @param {Number} [options.timeScale=1] The time scale of the clock.
+     */
+    constructor(options = {}) {
+        this.timeScale = typeof options.timeScale !== 'undefined' ? options.timeScale : 1;
+        this.reset(options.time);
+    }
+
+    /**
+     * Resets the clock: time is set back to the specified value, pending timers are cleared
+     * and the clock is resumed.
+     *
+     * @param {Number} [time=0] The new time of the clock, in milliseconds.
+     */
+    reset(time = 0) {
+        this.time = time;
+        this.paused = false;
+        this.timers = [];
+        this.timerId = 0;
+    }
+
+    /**
+     * Returns the current time of the clock
+     *
+     * @returns {Number} The time of the clock, in milliseconds.
+     */
+    now() {
+        return this.time;
+    }
+
+    /**
+     * Advances the clock and runs timers that are due
+     *
+     * <blockquote><strong>Note:</strong> the time scale isn't applied here: it is up to the code driving the clock
+     * (usually the game loop) to take it into account.</blockquote>
+     *
+     * @param {Number} elapsed The number of milliseconds to add to the clock.
+     */
+    tick(elapsed) {
+        if (!this.paused) {
+            this.time += elapsed;
+            this._runTimers();
+        }
+    }
+
+    /**
+     * Pauses the clock: calls to tick() won't have any effect until the clock is resumed
+     */
+    pause() {
+        this.paused = true;
+    }
+
+    /**
+     * Resumes a paused clock
+     */
+    resume() {
+        this.paused = false;
+    }
+
+    /**
+     * Changes the speed of the clock
+     *
+     * @param {Number} timeScale The new time scale: 1 is normal speed, 0.5 is slow-motion, 2 is fast-forward.
+     */
+    setTimeScale(timeScale) {
+        this.timeScale = Math.max(0, timeScale);
+    }
+
+    /**
+     * Calls a function once the clock has advanced by the specified delay
+     *
+     * @param {Function} callback The function to call.
+     * @param {Number} [delay=0] The delay in milliseconds.
+     * @returns {Number} the id of the timer, that can be passed to `clearTimeout`.
+     */
+    setTimeout(callback, delay = 0) {
+        return this._addTimer(callback, delay, 0);
+    }
+
+    /**
+     * Repeatedly calls a function each time the clock has advanced by the specified delay
+     *
+     * @param {Function} callback The function to call.
+     * @param {Number} delay The delay in milliseconds between each call.
+     * @returns {Number} the id of the timer, that can be passed to `clearInterval`.
+     */
+    setInterval(callback, delay) {
+        // prevent endless loops when running due timers
+        delay = Math.max(1, delay || 0);
+
+        return this._addTimer(callback, delay, delay);
+    }
+
+    /**
+     * Cancels a timer created by `setTimeout`
+     *
+     * @param {Number} id The id of the timer.
+     */
+    clearTimeout(id) {
+        this.timers = this.timers.filter((timer) => timer.id !== id);
+    }
+
+    /**
+     * Cancels a timer created by `setInterval`
+     *
+     * @param {Number} id The id of the timer.
+     */
+    clearInterval(id) {
+        this.clearTimeout(id);
+    }
+
+    /**
+     * Adds a new timer
+     *
+     * @param {Function} callback The function to call.
+     * @param {Number} delay The delay before the first call.
+     * @param {Number} interval The delay between next calls, 0 for a one-time timer.
+     * @returns {Number} the id of the new timer
+     *
+     * @private
+     */
+    _addTimer(callback, delay, interval) {
+        const id = ++this.timerId;
+
+        this.timers.push({
+            id: id,
+            time: this.time + delay,
+            interval: interval,
+            callback: callback
+        });
+
+        return id;
+    }
+
+    /**
+     * Runs every timer that is due, in chronological order
+     *
+     * @private
+     */
+    _runTimers() {
+        let timer = this._getNextTimer();
+
+        while (timer) {
+            if (timer.interval) {
+                timer.time += timer.interval;
+            } else {
+                this.clearTimeout(timer.id);
+            }
+
+            timer.callback();
+
+            timer = this._getNextTimer();
+        }
+    }
+
+    /**
+     * Returns the timer that is due first
+     *
+     * @returns {Object} the next timer to run or null if no timer is due
+     *
+     * @private
+     */
+    _getNextTimer() {
+        let next = null;
+
+        this.timers.forEach((timer) => {
+            if (timer.time <= this.time && (!next || timer.time < next.time)) {
+                next = timer;
+            }
+        });
+
+        return next;
+    }
+}
+
+export default Clock;
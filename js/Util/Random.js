@@ -0,0 +1,130 @@
+/**
+ * A seedable pseudo-random number generator
+ *
+ * Unlike `Math.random`, a generator created with the same seed always returns the same sequence
+ * of numbers: this makes it possible to replay a game session or write tests that involve randomness.
+ *
+ * The game and every scene have their own generator: the scene's generator is seeded each time the scene
+ * is started, with the seed of the recording if input is being recorded or replayed.
+ *
+ * @example
+ * import { Scene } from 'athenajs';
+ *
+ * class MyScene extends Scene {
+ *     start() {
+ *         // the enemy will appear at the same position when the session is replayed
+ *         this.addObject(new Enemy('enemy', {
+ *             x: this.random.integer(0, 320),
+ *             y: 0
+ *         }));
+ *     }
+ * };
+ */
+class Random {
+    /**
+     * Creates a new Random generator
+     *
+     * @param {Number} [seed] The seed of the generator, a random one is used if not specified.
+     */
+    constructor(seed) {
+        this.setSeed(seed);
+    }
+
+    /**
+     * Returns a new random seed
+     *
+     * @returns {Number} an unsigned 32bit integer
+     */
+    static createSeed() {
+        return Math.random() * 0x100000000 >>> 0;
+    }
+
+    /**
+     * Resets the generator with a new seed
+     *
+     * @param {Number} [seed] The new seed, a random one is used if not specified.
+     */
+    setSeed(seed) {
+        this.seed = typeof seed !== 'undefined' && seed !== null ? seed >>> 0 : Random.createSeed();
+        this.state = this.seed;
+    }
+
+    /**
+     * Returns the internal state of the generator, so that the sequence can be restored later
+     *
+     * @returns {Number} the state of the generator
+     */
+    getState() {
+        return this.state;
+    }
+
+    /**
+     * Restores a state returned by `getState`
+     *
+     * @param {Number} state The state to restore.
+     */
+    setState(state) {
+        this.state = state >>> 0;
+    }
+
+    /**
+     * Returns the next number of the sequence (mulberry32 algorithm)
+     *
+     * @returns {Number} a number between 0 (inclusive) and 1 (exclusive), like `Math.random`
+     */
+    next() {
+        let t = this.state = (this.state + 0x6D2B79F5) >>> 0;
+
+        t = Math.imul(t ^ t >>> 15, t | 1);
+        t ^= t + Math.imul(t ^ t >>> 7, t | 61);
+
+        return ((t ^ t >>> 14) >>> 0) / 0x100000000;
+    }
+
+    /**
+     * Returns a random number in the specified range
+     *
+     * @param {Number} min The minimum value (inclusive).
+     * @param {Number} max The maximum value (exclusive).
+     * @returns {Number} the random number
+     */
+    between(min, max) {
+        return min + this.next() * (max - min);
+    }
+
+    /**
+     * Returns a random integer in the specified range
+     *
+     * @param {Number} min The minimum value (inclusive).
+     * @param {Number} max The maximum value (inclusive).
+     * @returns {Number} the random integer
+     */
+    integer(min, max) {
+        return min + Math.floor(this.next() * (max - min + 1));
+    }
+
+    /**
+     * Returns true with the specified probability
+     *
+     * @param {Number} [probability=0.5] The probability, from 0 to 1.
+     * @returns {Boolean} true or false
+     */
+    chance(probability = 0.5) {
+        return this.next() < probability;
+    }
+
+    /**
+     * Returns a random element of an array
+     *
+     * @param {Array} array The array to pick an element from.
+     * @returns {any} the element, or undefined if the array is empty
+     */
+    pick(array) {
+        return array[Math.floor(this.next() * array.length)];
+    }
+}
+
+// generator used by objects that haven't been added onto a scene: sequences it returns can't be replayed
+Random.shared = new Random();
+
+export default Random;
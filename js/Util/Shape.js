@@ -0,0 +1,277 @@
+/**
+ * Helpers to work with collision shapes: convex polygons and circles.
+ *
+ * Shapes are described using plain objects:
+ * - polygons: `{ type: 'polygon', points: [{ x, y }, ...] }`, points of convex polygons, in any order
+ * - circles: `{ type: 'circle', x, y, radius }`
+ *
+ * Hitboxes of animation frames may have a `shape`, relative to the frame, which is used instead of the box
+ * to perform precise collision tests. Hitboxes follow the `scale` and `angle` of objects, the same way
+ * objects are rendered: see {Shape.fromDrawable}.
+ *
+ * @example
+ * hitBox: {
+ *     x: 0,
+ *     y: 0,
+ *     x2: 31,
+ *     y2: 31,
+ *     shape: { type: 'circle', x: 16, y: 16, radius: 16 }
+ * }
+ */
+const Shape = {
+    /**
+     * Returns the polygon of a hitbox `{ x, y, x2, y2 }`
+     *
+     * @param {Object} box The hitbox, whose x2 & y2 are inclusive.
+     * @returns {Object} the polygon covering the pixels of the box
+     */
+    fromBox(box) {
+        return {
+            type: 'polygon',
+            points: [
+                { x: box.x, y: box.y },
+                { x: box.x2 + 1, y: box.y },
+                { x: box.x2 + 1, y: box.y2 + 1 },
+                { x: box.x, y: box.y2 + 1 }
+            ]
+        };
+    },
+
+    /**
+     * Returns true if the hitbox of an object is an axis-aligned box: it doesn't have a shape,
+     * isn't scaled nor rotated
+     *
+     * @param {Drawable} drawable The object to test.
+     * @returns {Boolean} true if the hitbox of the object is a simple box
+     */
+    isSimple(drawable) {
+        const scale = typeof drawable.scale === 'number' ? drawable.scale : 1;
+
+        return scale === 1 && !drawable.angle && !drawable.getHitBox().shape;
+    },
+
+    /**
+     * Returns the hit shape of an object in map coordinates, following its scale and angle
+     *
+     * Like `Sprite.draw()`, the shape is first scaled, then the scale and the angle are applied around
+     * the center of the scaled object, which is found at `x + floor(width * scale / 2)`.
+     *
+     * @param {Drawable} drawable The object.
+     * @returns {Object} the shape of the object: its hitbox shape, or the polygon of its hitbox
+     */
+    fromDrawable(drawable) {
+        const box = drawable.getHitBox(),
+            scale = typeof drawable.scale === 'number' ? drawable.scale : 1,
+            scaled = this.transform(box.shape || this.fromBox(box), {
+                scale: scale
+            });
+
+        return this.transform(scaled, {
+            x: drawable.x,
+            y: drawable.y,
+            originX: Math.floor(drawable.getCurrentWidth() * scale / 2),
+            originY: Math.floor(drawable.getCurrentHeight() * scale / 2),
+            scale: scale,
+            angle: drawable.angle || 0
+        });
+    },
+
+    /**
+     * Scales, rotates then moves a shape
+     *
+     * @param {Object} shape The shape to transform.
+     * @param {Object} transform The transformation to apply.
+     * @param {Number} [transform.x=0] The horizontal translation.
+     * @param {Number} [transform.y=0] The vertical translation.
+     * @param {Number} [transform.originX=0] The horizontal position of the center of scaling and rotation.
+     * @param {Number} [transform.originY=0] The vertical position of the center of scaling and rotation.
+     * @param {Number} [transform.scale=1] The scale to apply.
+     * @param {Number} [transform.angle=0] The angle of the rotation, in radians.
+     * @returns {Object} a new shape
+     */
+    transform(shape, transform) {
+        const x = transform.x || 0,
+            y = transform.y || 0,
+            originX = transform.originX || 0,
+            originY = transform.originY || 0,
+            scale = typeof transform.scale === 'number' ? transform.scale : 1,
+            cos = Math.cos(transform.angle || 0),
+            sin = Math.sin(transform.angle || 0);
+
+        const transformPoint = (point) => {
+            const dx = (point.x - originX) * scale,
+                dy = (point.y - originY) * scale;
+
+            return {
+                x: x + originX + dx * cos - dy * sin,
+                y: y + originY + dx * sin + dy * cos
+            };
+        };
+
+        if (shape.type === 'circle') {
+            const center = transformPoint(shape);
+
+            return {
+                type: 'circle',
+                x: center.x,
+                y: center.y,
+                radius: shape.radius * Math.abs(scale)
+            };
+        }
+
+        return {
+            type: 'polygon',
+            points: shape.points.map(transformPoint)
+        };
+    },
+
+    /**
+     * Returns the axis-aligned bounding box of a shape
+     *
+     * @param {Object} shape The shape.
+     * @returns {Object} the bounds of the shape `{ x, y, x2, y2 }`, x2 & y2 being the right and bottom edges
+     */
+    getBounds(shape) {
+        if (shape.type === 'circle') {
+            return {
+                x: shape.x - shape.radius,
+                y: shape.y - shape.radius,
+                x2: shape.x + shape.radius,
+                y2: shape.y + shape.radius
+            };
+        }
+
+        const xs = shape.points.map(point => point.x),
+            ys = shape.points.map(point => point.y);
+
+        return {
+            x: Math.min(...xs),
+            y: Math.min(...ys),
+            x2: Math.max(...xs),
+            y2: Math.max(...ys)
+        };
+    },
+
+    /**
+     * Returns true if two shapes overlap, using the separating axis theorem: shapes that only
+     * touch each other do not overlap
+     *
+     * @param {Object} shapeA The first shape.
+     * @param {Object} shapeB The second shape.
+     * @returns {Boolean} true if the shapes overlap
+     */
+    intersects(shapeA, shapeB) {
+        if (shapeA.type === 'circle' && shapeB.type === 'circle') {
+            const dx = shapeB.x - shapeA.x,
+                dy = shapeB.y - shapeA.y,
+                radius = shapeA.radius + shapeB.radius;
+
+            return dx * dx + dy * dy < radius * radius;
+        }
+
+        const axes = this._getAxes(shapeA, shapeB).concat(this._getAxes(shapeB, shapeA));
+
+        return axes.every((axis) => {
+            const a = this._project(shapeA, axis),
+                b = this._project(shapeB, axis);
+
+            return a.min < b.max && b.min < a.max;
+        });
+    },
+
+    /**
+     * Adds the outline of a shape to the current path of a context
+     *
+     * @param {RenderingContext} ctx The context.
+     * @param {Object} shape The shape to draw.
+     * @param {Number} [offsetX=0] The horizontal offset to add to the shape.
+     * @param {Number} [offsetY=0] The vertical offset to add to the shape.
+     */
+    trace(ctx, shape, offsetX = 0, offsetY = 0) {
+        if (shape.type === 'circle') {
+            ctx.moveTo(shape.x + offsetX + shape.radius, shape.y + offsetY);
+            ctx.arc(shape.x + offsetX, shape.y + offsetY, shape.radius, 0, Math.PI * 2);
+        } else {
+            shape.points.forEach((point, i) => {
+                if (i) {
+                    ctx.lineTo(point.x + offsetX, point.y + offsetY);
+                } else {
+                    ctx.moveTo(point.x + offsetX, point.y + offsetY);
+                }
+            });
+            ctx.closePath();
+        }
+    },
+
+    /**
+     * Returns the axes to test for a shape: the normals of the edges of polygons, and for circles,
+     * the axis going from the center of the circle to the closest point of the other shape
+     *
+     * @param {Object} shape The shape.
+     * @param {Object} other The shape it's tested against.
+     * @returns {Array<Object>} the normalized axes `{ x, y }`
+     *
+     * @private
+     */
+    _getAxes(shape, other) {
+        if (shape.type === 'circle') {
+            const getDistance = point => (point.x - shape.x) * (point.x - shape.x) + (point.y - shape.y) * (point.y - shape.y),
+                closest = other.points.reduce((found, point) => getDistance(point) < getDistance(found) ? point : found);
+
+            return getDistance(closest) ? [this._normalize(closest.x - shape.x, closest.y - shape.y)] : [];
+        }
+
+        return shape.points.map((point, i) => {
+            const next = shape.points[(i + 1) % shape.points.length];
+
+            return this._normalize(point.y - next.y, next.x - point.x);
+        });
+    },
+
+    /**
+     * Projects a shape onto an axis
+     *
+     * @param {Object} shape The shape to project.
+     * @param {Object} axis The normalized axis `{ x, y }`.
+     * @returns {Object} the projection `{ min, max }`
+     *
+     * @private
+     */
+    _project(shape, axis) {
+        if (shape.type === 'circle') {
+            const center = shape.x * axis.x + shape.y * axis.y;
+
+            return {
+                min: center - shape.radius,
+                max: center + shape.radius
+            };
+        }
+
+        const values = shape.points.map(point => point.x * axis.x + point.y * axis.y);
+
+        return {
+            min: Math.min(...values),
+            max: Math.max(...values)
+        };
+    },
+
+    /**
+     * Returns a vector of length 1
+     *
+     * @param {Number} x The horizontal component of the vector.
+     * @param {Number} y The vertical component of the vector.
+     * @returns {Object} the normalized vector `{ x, y }`
+     *
+     * @private
+     */
+    _normalize(x, y) {
+        const length = Math.sqrt(x * x + y * y) || 1;
+
+        return {
+            x: x / length,
+            y: y / length
+        };
+    }
+};
+
+export default Shape;
@@ -1,8 +1,19 @@
+import Wad from 'web-audio-daw';
+import fpscounter from './lib/fpscounter/fpscounter.min';
+import ResourceManager from './Resource/ResourceManager';
+import Game from './Game/Game';
+
+// the bundle is made for browsers, where the WAD library can create its AudioContext
+// and the fps counter can be added to the page
+ResourceManager.setWadLibrary(Wad);
+Game.setFpsCounter(fpscounter);
+
 export { default as Game } from './Game/Game';
 
 export { default as Pool } from './Util/Pool';
 
 export { default as Scene } from './Scene/Scene';
+export { default as Loader } from './Scene/default/Loader';
 
 export { default as ResourceManager } from './Resource/ResourceManager';
 export { default as Drawable } from './Drawable/Drawable';
@@ -20,6 +31,12 @@ export { default as Behavior } from './Drawable/Behavior/Behavior';
 export { default as NotificationManager } from './Notification/NotificationManager';
 
 export { default as Map } from './Map/Map';
+export { default as Camera } from './Map/Camera';
+export { default as TileLayer } from './Map/TileLayer';
+export { default as Tiled } from './Map/Tiled';
+export { default as MapFormat } from './Map/MapFormat';
+export { default as CollisionMatrix } from './Map/CollisionMatrix';
+export { default as SpatialHash } from './Map/SpatialHash';
 export { default as Tile } from './Map/Tile';
 export { default as MapEvent } from './Map/MapEvent';
 
@@ -36,4 +53,7 @@ export { default as AudioManager } from './Audio/AudioManager';
 export { default as Binary } from './Util/Binary';
 
 export { default as Dom } from './Util/Dom';
-export { default as Deferred } from './Util/Deferred';
\ No newline at end of file
+export { default as Deferred } from './Util/Deferred';
+export { default as Clock } from './Util/Clock';
+export { default as Random } from './Util/Random';
+export { default as Shape } from './Util/Shape';